@@ -3,6 +3,8 @@ import StreamProvider from './src/stream-provider.js'
 import { getManifest } from './src/config/manifest.js'
 import { enrichTorrentMeta } from './src/catalog/meta-enricher.js'
 import { logger } from './src/utils/logger.js';
+import { getDebridAccounts } from './src/config/configuration.js';
+import { getProvider, getProviderInstances, findProviderByIdPrefix } from './src/providers/index.js';
 
 const CACHE_MAX_AGE = parseInt(process.env.CACHE_MAX_AGE) || 1 * 60 // 1 min
 const STALE_ERROR_AGE = 1 * 24 * 60 * 60 // 1 days
@@ -11,85 +13,32 @@ const builder = new addonBuilder(getManifest())
 
 builder.defineCatalogHandler(async (args) => {
     try {
-        const debugArgs = structuredClone(args)
-        if (args.config?.DebridApiKey)
-            debugArgs.config.DebridApiKey = '*'.repeat(args.config.DebridApiKey.length)
+        const debugArgs = toDebugArgs(args)
         logger.info("Request for catalog with args: " + JSON.stringify(debugArgs))
 
         if (args.id == 'debridsearch' || args.id == 'IntellDebridSearch') {
-            if (!(args.config?.DebridProvider && args.config?.DebridApiKey)) {
+            const accounts = getDebridAccounts(args.config)
+            if (accounts.length === 0) {
                 throw new Error('Invalid Debrid configuration: Missing configs')
             }
 
-            let provider;
-            const providerName = args.config.DebridProvider;
-            
-            switch (providerName) {
-                case 'AllDebrid':
-                    const { AllDebridProvider } = await import('./src/providers/all-debrid.js');
-                    provider = new AllDebridProvider();
-                    break;
-                case 'RealDebrid':
-                    const { RealDebridProvider } = await import('./src/providers/real-debrid.js');
-                    provider = new RealDebridProvider();
-                    break;
-                case 'DebridLink':
-                    const { DebridLinkProvider } = await import('./src/providers/debrid-link.js');
-                    provider = new DebridLinkProvider();
-                    break;
-                case 'TorBox':
-                    const { TorBoxProvider } = await import('./src/providers/torbox.js');
-                    provider = new TorBoxProvider();
-                    break;
-                case 'Premiumize':
-                    const { PremiumizeProvider } = await import('./src/providers/premiumize.js');
-                    provider = new PremiumizeProvider();
-                    break;
-                default:
-                    throw new Error(`Unsupported provider: ${providerName}`);
-            }
+            const torrentLists = await Promise.allSettled(accounts.map(account => fetchCatalogTorrents(account, args)))
+            const seenTorrents = new Set()
+            const torrents = []
 
-            let torrents = [];
-
-            // Search catalog request
-            if (args.extra.search) {
-                const { coordinateSearch } = await import('./src/search/coordinator.js');
-                const { getApiConfig } = await import('./src/config/configuration.js');
-                
-                const apiConfig = getApiConfig();
-                
-                if (apiConfig.hasAdvancedSearch) {
-                    const providers = {
-                        AllDebrid: provider,
-                        RealDebrid: provider,
-                        DebridLink: provider,
-                        TorBox: provider,
-                        Premiumize: provider
-                    };
-                    providers[providerName] = provider;
-                    
-                    const params = { 
-                        apiKey: args.config.DebridApiKey, 
-                        searchKey: args.extra.search, 
-                        provider: providerName, 
-                        tmdbApiKey: apiConfig.tmdbApiKey, 
-                        traktApiKey: apiConfig.traktApiKey, 
-                        providers
-                    };
-                    const searchResult = await coordinateSearch(params);
-                    torrents = Array.isArray(searchResult) ? searchResult : searchResult.results;
-                    logger.debug(`[CatalogHandler] Coordinated search returned ${torrents.length} torrents`);
-                } else {
-                    torrents = await provider.searchTorrents(args.config.DebridApiKey, args.extra.search);
-                    logger.debug(`[CatalogHandler] searchTorrents search returned ${torrents.length} torrents`);
+            torrentLists.forEach((outcome, index) => {
+                if (outcome.status === 'rejected') {
+                    logger.warn(`[CatalogHandler] Account ${accounts[index].label} failed: ${outcome.reason?.message || outcome.reason}`)
+                    return
                 }
-            } else {
-                // Standard catalog request
-                if (args.config.ShowCatalog) {
-                    torrents = await provider.listTorrents(args.config.DebridApiKey, args.extra.skip || 0);
-                    logger.debug(`[CatalogHandler] listTorrents search returned ${torrents.length} torrents`);
+                for (const torrent of outcome.value || []) {
+                    const torrentKey = `${torrent.source || accounts[index].provider}:${torrent.id}`
+                    if (!seenTorrents.has(torrentKey)) {
+                        seenTorrents.add(torrentKey)
+                        torrents.push(torrent)
+                    }
                 }
-            }
+            })
 
             const { toMetas } = await import('./src/catalog-provider.js');
             const metas = await toMetas(torrents);
@@ -111,9 +60,7 @@ builder.defineCatalogHandler(async (args) => {
 
 builder.defineMetaHandler(async (args) => {
     try {
-        const debugArgs = structuredClone(args)
-        if (args.config?.DebridApiKey)
-            debugArgs.config.DebridApiKey = '*'.repeat(args.config.DebridApiKey.length)
+        const debugArgs = toDebugArgs(args)
         logger.info("Request for meta with args: " + JSON.stringify(debugArgs))
 
         if (!args.id.includes(':')) {
@@ -122,48 +69,42 @@ builder.defineMetaHandler(async (args) => {
         
         const [providerNameLower, torrentId] = args.id.split(':');
         
-        if (!args.config?.DebridApiKey) {
+        const configuredAccounts = getDebridAccounts(args.config);
+        if (configuredAccounts.length === 0) {
             throw new Error('No API key configured');
         }
 
-        const providerName = args.config.DebridProvider;
+        const accountProvider = findProviderByIdPrefix(providerNameLower);
+        const accounts = configuredAccounts.filter(account => account.provider === accountProvider);
         
-        if (!providerName) {
+        if (accounts.length === 0) {
             throw new Error(`Unsupported provider: ${providerNameLower}`);
         }
         
+        // Several accounts may share a provider: use the first one that owns the torrent
         let provider;
-        switch (providerName) {
-            case 'AllDebrid':
-                const { AllDebridProvider } = await import('./src/providers/all-debrid.js');
-                provider = new AllDebridProvider();
-                break;
-            case 'RealDebrid':
-                const { RealDebridProvider } = await import('./src/providers/real-debrid.js');
-                provider = new RealDebridProvider();
-                break;
-            case 'DebridLink':
-                const { DebridLinkProvider } = await import('./src/providers/debrid-link.js');
-                provider = new DebridLinkProvider();
-                break;
-            case 'TorBox':
-                const { TorBoxProvider } = await import('./src/providers/torbox.js');
-                provider = new TorBoxProvider();
-                break;
-            case 'Premiumize':
-                const { PremiumizeProvider } = await import('./src/providers/premiumize.js');
-                provider = new PremiumizeProvider();
-                break;
-            default:
-                throw new Error(`Unsupported provider: ${providerName}`);
+        let account;
+        let torrentDetails;
+        for (const candidate of accounts) {
+            try {
+                const candidateProvider = createProvider(candidate.provider);
+                torrentDetails = await candidateProvider.getTorrentDetails(candidate.apiKey, torrentId, 'meta');
+                if (torrentDetails) {
+                    provider = candidateProvider;
+                    account = candidate;
+                    break;
+                }
+            } catch (error) {
+                logger.debug(`[MetaHandler] Torrent ${torrentId} not available on ${candidate.label}: ${error.message}`);
+            }
         }
         
-        const torrentDetails = await provider.getTorrentDetails(args.config.DebridApiKey, torrentId, 'meta');
-        
         if (!torrentDetails) {
             throw new Error('Torrent not found');
         }
         
+        const providerName = account.provider;
+        
         const videoFiles = torrentDetails.videos || [];
         const videos = [];
         
@@ -178,7 +119,7 @@ builder.defineMetaHandler(async (args) => {
             if (provider.resolveStreamUrl && file.url) {
                 logger.info(`[MetaHandler] 🔄 Resolving stream URL for ${file.name}`);
                 try {
-                    const resolved = await provider.resolveStreamUrl(args.config.DebridApiKey, file.url);
+                    const resolved = await provider.resolveStreamUrl(account.apiKey, file.url);
                     if (resolved) {
                         streamUrl = resolved;
                         logger.info(`[MetaHandler] ✅ Resolved to direct stream URL`);
@@ -237,9 +178,7 @@ builder.defineMetaHandler(async (args) => {
 // Docs: https://github.com/Stremio/stremio-addon-sdk/blob/master/docs/api/requests/defineStreamHandler.md
 builder.defineStreamHandler(args => {
     return new Promise((resolve, reject) => {
-        const debugArgs = structuredClone(args)
-        if (args.config?.DebridApiKey)
-            debugArgs.config.DebridApiKey = '*'.repeat(args.config.DebridApiKey.length)
+        const debugArgs = toDebugArgs(args)
         logger.info("Request for streams with args: " + JSON.stringify(debugArgs))
 
         if (!args.id.match(/tt\d+/i)) {
@@ -281,6 +220,69 @@ builder.defineStreamHandler(args => {
     })
 })
 
+async function fetchCatalogTorrents(account, args) {
+    const provider = createProvider(account.provider)
+
+    // Search catalog request
+    if (args.extra.search) {
+        const { coordinateSearch } = await import('./src/search/coordinator.js');
+        const { getApiConfig } = await import('./src/config/configuration.js');
+        
+        const apiConfig = getApiConfig();
+        
+        if (apiConfig.hasAdvancedSearch) {
+            const providers = getProviderInstances();
+            
+            const params = { 
+                apiKey: account.apiKey, 
+                searchKey: args.extra.search, 
+                provider: account.provider, 
+                tmdbApiKey: apiConfig.tmdbApiKey, 
+                traktApiKey: apiConfig.traktApiKey, 
+                providers
+            };
+            const searchResult = await coordinateSearch(params);
+            const torrents = Array.isArray(searchResult) ? searchResult : searchResult.results;
+            logger.debug(`[CatalogHandler] Coordinated search returned ${torrents.length} torrents from ${account.label}`);
+            return torrents;
+        }
+
+        const torrents = await provider.searchTorrents(account.apiKey, args.extra.search);
+        logger.debug(`[CatalogHandler] searchTorrents search returned ${torrents.length} torrents from ${account.label}`);
+        return torrents;
+    }
+
+    // Standard catalog request
+    if (args.config.ShowCatalog) {
+        const torrents = await provider.listTorrents(account.apiKey, args.extra.skip || 0);
+        logger.debug(`[CatalogHandler] listTorrents search returned ${torrents.length} torrents from ${account.label}`);
+        return torrents;
+    }
+
+    return [];
+}
+
+function createProvider(providerName) {
+    const provider = getProvider(providerName);
+    if (!provider) {
+        throw new Error(`Unsupported provider: ${providerName}`);
+    }
+    return provider;
+}
+
+function toDebugArgs(args) {
+    const debugArgs = structuredClone(args)
+    if (args.config?.DebridApiKey)
+        debugArgs.config.DebridApiKey = '*'.repeat(args.config.DebridApiKey.length)
+    if (Array.isArray(args.config?.DebridAccounts)) {
+        debugArgs.config.DebridAccounts = args.config.DebridAccounts.map(account => ({
+            ...account,
+            DebridApiKey: '*'.repeat(String(account?.DebridApiKey || '').length)
+        }))
+    }
+    return debugArgs
+}
+
 function enrichCacheParams() {
     return {
         cacheMaxAge: CACHE_MAX_AGE,
@@ -0,0 +1,16 @@
+import globals from 'globals';
+
+// Only catches references to undefined names (e.g. a missing import); style is not linted
+export default [
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'module',
+            globals: globals.node
+        },
+        rules: {
+            'no-undef': 'error'
+        }
+    }
+];
@@ -1,3 +1,6 @@
+import { MAX_DEBRID_ACCOUNTS, configManager } from '../src/config/configuration.js';
+import { getAvailableProviderNames, getProviderDescriptor } from '../src/providers/index.js';
+
 const STYLESHEET = `
         /* Define CSS Variables for the new theme */
         :root {
@@ -408,6 +411,92 @@ const STYLESHEET = `
             box-shadow: 0 0 10px rgba(68, 255, 68, 0.3) !important;
         }
 
+        /* Additional debrid accounts */
+        .extra-account-row {
+            display: grid;
+            grid-template-columns: 1fr 1.5fr 1fr auto;
+            gap: 8px;
+            margin-bottom: 10px;
+            align-items: center;
+        }
+
+        .extra-account-row select {
+            width: 100%;
+            padding: 14px 10px;
+            border-radius: 12px;
+            font-size: 15px;
+            background-color: rgba(74, 144, 226, 0.15);
+            color: var(--color-text-light);
+            border: 1px solid var(--color-border-strong);
+            box-shadow: 0 2px 4px var(--color-shadow);
+        }
+
+        .extra-account-row select option {
+            background-color: var(--color-medium-blue-bg);
+        }
+
+        .extra-account-row input[type="text"],
+        .extra-account-row input[type="password"] {
+            padding-right: 16px;
+        }
+
+        .add-account-button,
+        .remove-account-button {
+            background: rgba(74, 144, 226, 0.15);
+            color: var(--color-text-light);
+            border: 1px solid var(--color-border-strong);
+            border-radius: 12px;
+            padding: 10px 14px;
+            cursor: pointer;
+            transition: all 0.3s ease;
+        }
+
+        .add-account-button:hover,
+        .remove-account-button:hover {
+            border-color: var(--color-accent-blue);
+            box-shadow: 0 0 10px rgba(74, 144, 226, 0.4);
+        }
+
+        .device-login-button {
+            display: none;
+            margin-top: 10px;
+        }
+
+        .device-login-panel {
+            display: none;
+            margin-top: 10px;
+            padding: 12px 14px;
+            border-radius: 12px;
+            background: rgba(74, 144, 226, 0.1);
+            border: 1px solid var(--color-border-subtle);
+            color: var(--color-text-medium);
+            font-size: 0.9rem;
+            text-align: left;
+        }
+
+        .device-login-panel.show {
+            display: block;
+        }
+
+        .device-login-code {
+            display: block;
+            margin: 8px 0;
+            font-size: 1.4rem;
+            font-weight: 700;
+            letter-spacing: 3px;
+            color: var(--color-text-light);
+        }
+
+        .device-login-panel a {
+            color: var(--color-accent-blue);
+        }
+
+        @media (max-width: 480px) {
+            .extra-account-row {
+                grid-template-columns: 1fr auto;
+            }
+        }
+
         .toggle-group {
             display: flex;
             justify-content: space-between;
@@ -678,6 +767,37 @@ function landingTemplate(manifest, config) {
     const version = manifest.version || '0.0.0';
     const description = manifest.description || 'A smarter Stremio add-on to search downloads and torrents in your Debrid cloud.';
 
+    const providerNames = getAvailableProviderNames();
+    const apiKeyLinksHTML = providerNames
+        .map(providerName => getProviderDescriptor(providerName))
+        .filter(descriptor => descriptor.apiKeyUrl)
+        .map(descriptor => '                <a href="' + descriptor.apiKeyUrl + '" target="_blank" class="api-key-button">\n' +
+            '                    <i class="fas fa-external-link-alt"></i> ' + descriptor.name + '\n' +
+            '                </a>')
+        .join('\n');
+    const deviceLoginProviders = providerNames
+        .filter(providerName => getProviderDescriptor(providerName).capabilities.deviceLogin);
+    const proxyToggleHTML = configManager.getStreamProxyConfig().enabled ? `
+                <div class="toggle-group-wrapper">
+                    <label for="ProxyStreams" class="toggle-group">
+                        <span class="toggle-label-text">
+                            <i class="fas fa-random"></i> Stream through the addon
+                        </span>
+                        <span class="toggle-switch">
+                            <input type="checkbox" id="ProxyStreams" name="ProxyStreams" value="true" />
+                            <span class="slider"></span>
+                        </span>
+                    </label>
+                </div>
+                <div class="config-group">
+                    <p style="color: var(--color-text-medium); font-size: 0.9rem; text-align: left; margin-top: 10px;">
+                        <i class="fas fa-info-circle"></i> Videos are relayed by this server instead of opened directly. Use it when links only work from the IP that unrestricted them (e.g. RealDebrid shared across locations).
+                    </p>
+                </div>` : '';
+    const providerItemsHTML = providerNames
+        .map((providerName, index) => '                            <div class="dropdown-item" style="--i:' + (index + 1) + '" data-value="' + providerName + '">' + providerName + '</div>')
+        .join('\n');
+
     let contactHTML = '';
     if (manifest.contactEmail) {
         contactHTML = '<div class="contact">' +
@@ -707,21 +827,7 @@ function landingTemplate(manifest, config) {
         <div class="api-keys-section">
             <h3><i class="fas fa-key"></i> Get Your Debrid API Key</h3>
             <div class="api-keys-grid">
-                <a href="https://real-debrid.com/apitoken" target="_blank" class="api-key-button">
-                    <i class="fas fa-external-link-alt"></i> RealDebrid
-                </a>
-                <a href="https://debrid-link.fr/webapp/apikey" target="_blank" class="api-key-button">
-                    <i class="fas fa-external-link-alt"></i> DebridLink
-                </a>
-                <a href="https://alldebrid.com/apikeys" target="_blank" class="api-key-button">
-                    <i class="fas fa-external-link-alt"></i> AllDebrid
-                </a>
-                <a href="https://www.premiumize.me/account" target="_blank" class="api-key-button">
-                    <i class="fas fa-external-link-alt"></i> Premiumize
-                </a>
-                <a href="https://torbox.app/settings" target="_blank" class="api-key-button">
-                    <i class="fas fa-external-link-alt"></i> TorBox
-                </a>
+${apiKeyLinksHTML}
             </div>
         </div>
 
@@ -737,11 +843,7 @@ function landingTemplate(manifest, config) {
                             <i class="fas fa-chevron-down chevron"></i>
                         </div>
                         <div class="dropdown-content" id="dropdownContent">
-                            <div class="dropdown-item" style="--i:1" data-value="RealDebrid">RealDebrid</div>
-                            <div class="dropdown-item" style="--i:2" data-value="DebridLink">DebridLink</div>
-                            <div class="dropdown-item" style="--i:3" data-value="AllDebrid">AllDebrid</div>
-                            <div class="dropdown-item" style="--i:4" data-value="Premiumize">Premiumize</div>
-                            <div class="dropdown-item" style="--i:5" data-value="TorBox">TorBox</div>
+${providerItemsHTML}
                         </div>
                     </div>
                 </div>
@@ -753,6 +855,19 @@ function landingTemplate(manifest, config) {
                         <input type="password" id="DebridApiKey" name="DebridApiKey" required placeholder="Enter your API key" />
                         <i class="fas fa-eye toggle-password" id="toggleApiKey"></i>
                     </div>
+                    <button type="button" class="add-account-button device-login-button" id="deviceLoginButton">
+                        <i class="fas fa-sign-in-alt"></i> <span id="deviceLoginLabel">Connect instead of pasting a key</span>
+                    </button>
+                    <div class="device-login-panel" id="deviceLoginPanel"></div>
+                </div>
+                <div class="config-group">
+                    <label class="config-label">
+                        <i class="fas fa-users"></i> Additional Accounts
+                    </label>
+                    <div id="extraAccounts"></div>
+                    <button type="button" class="add-account-button" id="addAccountButton">
+                        <i class="fas fa-plus"></i> Add another account
+                    </button>
                 </div>
                 <div class="toggle-group-wrapper">
                     <label for="ShowCatalog" class="toggle-group">
@@ -770,6 +885,22 @@ function landingTemplate(manifest, config) {
                         <i class="fas fa-info-circle"></i> When enabled, shows your cloud torrents in Stremio's Discover section.
                     </p>
                 </div>
+                <div class="toggle-group-wrapper">
+                    <label for="IncludeDownloads" class="toggle-group">
+                        <span class="toggle-label-text">
+                            <i class="fas fa-download"></i> Include hoster downloads
+                        </span>
+                        <span class="toggle-switch">
+                            <input type="checkbox" id="IncludeDownloads" name="IncludeDownloads" value="true" checked />
+                            <span class="slider"></span>
+                        </span>
+                    </label>
+                </div>
+                <div class="config-group">
+                    <p style="color: var(--color-text-medium); font-size: 0.9rem; text-align: left; margin-top: 10px;">
+                        <i class="fas fa-info-circle"></i> Also searches links unrestricted on your provider (RealDebrid downloads, AllDebrid saved links, Debrid-Link downloader). Files also present in a torrent are only listed once.
+                    </p>
+                </div>${proxyToggleHTML}
             </form>
         </div>
 
@@ -819,13 +950,24 @@ function landingTemplate(manifest, config) {
             mainForm: document.getElementById('mainForm'),
             debridApiKey: document.getElementById('DebridApiKey'),
             showCatalog: document.getElementById('ShowCatalog'),
+            includeDownloads: document.getElementById('IncludeDownloads'),
+            proxyStreams: document.getElementById('ProxyStreams'),
             dropdownButton: document.getElementById('dropdownButton'),
             dropdownContent: document.getElementById('dropdownContent'),
             chevron: document.querySelector('.chevron'),
             selectedOption: document.getElementById('selectedOption'),
-            toggleApiKey: document.getElementById('toggleApiKey')
+            toggleApiKey: document.getElementById('toggleApiKey'),
+            extraAccounts: document.getElementById('extraAccounts'),
+            addAccountButton: document.getElementById('addAccountButton'),
+            deviceLoginButton: document.getElementById('deviceLoginButton'),
+            deviceLoginLabel: document.getElementById('deviceLoginLabel'),
+            deviceLoginPanel: document.getElementById('deviceLoginPanel')
         };
+        const maxAccounts = ${MAX_DEBRID_ACCOUNTS};
+        const providerOptions = ${JSON.stringify(providerNames)};
+        const deviceLoginProviders = ${JSON.stringify(deviceLoginProviders)};
         let selectedProvider = "";
+        let deviceLoginTimer = null;
         // Toggle API Key visibility
         elements.toggleApiKey.addEventListener('click', function() {
             const type = elements.debridApiKey.getAttribute('type') === 'password' ? 'text' : 'password';
@@ -855,6 +997,7 @@ function landingTemplate(manifest, config) {
             item.addEventListener('click', function() {
                 selectedProvider = this.dataset.value;
                 elements.selectedOption.textContent = this.textContent;
+                updateDeviceLogin();
                 elements.dropdownContent.classList.remove('open');
                 elements.chevron.classList.remove('rotate');
                 elements.dropdownButton.style.background = 'rgba(74, 144, 226, 0.2)';
@@ -901,8 +1044,153 @@ function landingTemplate(manifest, config) {
                 elements.dropdownMenu.classList.remove('show');
             }
         });
+        // Additional accounts: each row holds a provider, an API key and an optional label
+        function addAccountRow(account) {
+            account = account || {};
+            if (elements.extraAccounts.children.length >= maxAccounts - 1) {
+                showNotification('You can configure up to ' + maxAccounts + ' accounts', 'warning');
+                return;
+            }
+            var row = document.createElement('div');
+            row.className = 'extra-account-row';
+
+            var providerSelect = document.createElement('select');
+            providerSelect.className = 'account-provider';
+            providerOptions.forEach(function(provider) {
+                var option = document.createElement('option');
+                option.value = provider;
+                option.textContent = provider;
+                providerSelect.appendChild(option);
+            });
+            if (account.DebridProvider) providerSelect.value = account.DebridProvider;
+
+            var keyInput = document.createElement('input');
+            keyInput.type = 'password';
+            keyInput.className = 'account-key';
+            keyInput.placeholder = 'API key';
+            keyInput.value = account.DebridApiKey || '';
+
+            var labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.className = 'account-label';
+            labelInput.placeholder = 'Label (optional)';
+            labelInput.maxLength = 32;
+            labelInput.value = account.Label || '';
+
+            var removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'remove-account-button';
+            removeButton.innerHTML = '<i class="fas fa-trash"></i>';
+            removeButton.addEventListener('click', function() { row.remove(); });
+
+            row.appendChild(providerSelect);
+            row.appendChild(keyInput);
+            row.appendChild(labelInput);
+            row.appendChild(removeButton);
+            elements.extraAccounts.appendChild(row);
+        }
+        function getExtraAccounts() {
+            return Array.prototype.map.call(elements.extraAccounts.children, function(row) {
+                return {
+                    DebridProvider: row.querySelector('.account-provider').value,
+                    DebridApiKey: row.querySelector('.account-key').value.trim(),
+                    Label: row.querySelector('.account-label').value.trim()
+                };
+            });
+        }
+        function getKeyInputs() {
+            return [elements.debridApiKey].concat(Array.prototype.map.call(elements.extraAccounts.children, function(row) {
+                return row.querySelector('.account-key');
+            }));
+        }
+        elements.addAccountButton.addEventListener('click', function(e) {
+            e.preventDefault();
+            addAccountRow();
+        });
+        // Device-code login: the provider authorizes this addon and the returned credentials replace the API key
+        function updateDeviceLogin() {
+            clearTimeout(deviceLoginTimer);
+            elements.deviceLoginPanel.classList.remove('show');
+            var supported = deviceLoginProviders.indexOf(selectedProvider) !== -1;
+            elements.deviceLoginButton.style.display = supported ? 'block' : 'none';
+            elements.deviceLoginLabel.textContent = 'Connect with ' + selectedProvider + ' instead of pasting a key';
+        }
+        function showDeviceLoginMessage(text, code, link) {
+            elements.deviceLoginPanel.textContent = text;
+            if (code) {
+                var codeElement = document.createElement('span');
+                codeElement.className = 'device-login-code';
+                codeElement.textContent = code;
+                elements.deviceLoginPanel.appendChild(codeElement);
+            }
+            if (link) {
+                var linkElement = document.createElement('a');
+                linkElement.href = link;
+                linkElement.target = '_blank';
+                linkElement.rel = 'noopener noreferrer';
+                linkElement.textContent = link;
+                elements.deviceLoginPanel.appendChild(linkElement);
+            }
+            elements.deviceLoginPanel.classList.add('show');
+        }
+        async function startDeviceLogin() {
+            var provider = selectedProvider;
+            updateDeviceLogin();
+            try {
+                var response = await fetch('/auth/' + encodeURIComponent(provider) + '/device', { method: 'POST' });
+                var login = await response.json();
+                if (!response.ok) {
+                    showNotification(login.error || 'Connection unavailable', 'error');
+                    return;
+                }
+                showDeviceLoginMessage('Open the link below and enter this code:', login.userCode, login.verificationUrl);
+                var expiresAt = Date.now() + (login.expiresIn || 600) * 1000;
+                var pollDelay = (login.interval || 5) * 1000;
+                var poll = async function() {
+                    if (selectedProvider !== provider) return;
+                    if (Date.now() > expiresAt) {
+                        showDeviceLoginMessage('The code expired, please connect again.');
+                        return;
+                    }
+                    try {
+                        var pollResponse = await fetch('/auth/' + encodeURIComponent(provider) + '/device/poll', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ deviceCode: login.deviceCode })
+                        });
+                        var result = await pollResponse.json();
+                        if (result.status === 'authorized' && selectedProvider === provider) {
+                            elements.debridApiKey.value = result.apiKey;
+                            elements.debridApiKey.classList.remove('error');
+                            showDeviceLoginMessage('Connected with ' + provider + '. You can revoke this addon from your ' + provider + ' account at any time.');
+                            showNotification('Connected with ' + provider, 'success');
+                            return;
+                        }
+                        if (result.status === 'expired') {
+                            showDeviceLoginMessage('The code expired, please connect again.');
+                            return;
+                        }
+                        if (!pollResponse.ok) {
+                            showDeviceLoginMessage(result.error || 'Connection failed, please try again.');
+                            return;
+                        }
+                    } catch (error) {
+                        console.warn('Login status check failed, retrying:', error);
+                    }
+                    deviceLoginTimer = setTimeout(poll, pollDelay);
+                };
+                deviceLoginTimer = setTimeout(poll, pollDelay);
+            } catch (error) {
+                showNotification('Connection unavailable, please paste your API key', 'error');
+            }
+        }
+        elements.deviceLoginButton.addEventListener('click', function(e) {
+            e.preventDefault();
+            startDeviceLogin();
+        });
         function isValidConfig() {
-            return selectedProvider && elements.debridApiKey.value.trim() !== '';
+            return selectedProvider && elements.debridApiKey.value.trim() !== '' &&
+                getExtraAccounts().every(function(account) { return account.DebridApiKey !== ''; });
         }
         async function handleInstallAction(action) {
             if (!isValidConfig()) {
@@ -913,8 +1201,19 @@ function landingTemplate(manifest, config) {
             var config = {
                 DebridProvider: selectedProvider,
                 DebridApiKey: elements.debridApiKey.value,
-                ShowCatalog: elements.showCatalog.checked
+                ShowCatalog: elements.showCatalog.checked,
+                IncludeDownloads: elements.includeDownloads.checked,
+                ProxyStreams: Boolean(elements.proxyStreams && elements.proxyStreams.checked)
             };
+            var extraAccounts = getExtraAccounts();
+            if (extraAccounts.length > 0) {
+                config = {
+                    DebridAccounts: [{ DebridProvider: selectedProvider, DebridApiKey: elements.debridApiKey.value }].concat(extraAccounts),
+                    ShowCatalog: elements.showCatalog.checked,
+                    IncludeDownloads: elements.includeDownloads.checked,
+                    ProxyStreams: Boolean(elements.proxyStreams && elements.proxyStreams.checked)
+                };
+            }
             
             try {
                 updateButtonState(true, 'Validating & securing...');
@@ -929,9 +1228,10 @@ function landingTemplate(manifest, config) {
                 const data = await response.json();
                 
                 if (data.validationFailed) {
-                    showNotification('The debrid API key is invalid.', 'error');
-                    elements.debridApiKey.classList.add('error');
-                    elements.debridApiKey.classList.remove('success');
+                    var invalidInput = getKeyInputs()[data.accountIndex || 0] || elements.debridApiKey;
+                    showNotification('The ' + (data.provider || 'debrid') + ' API key is invalid.', 'error');
+                    invalidInput.classList.add('error');
+                    invalidInput.classList.remove('success');
                     updateButtonState(false);
                     return;
                 }
@@ -944,8 +1244,10 @@ function landingTemplate(manifest, config) {
                 
                 if (data.encrypted && data.desktopUrl && data.webUrl && data.manifestUrl) {
                     showNotification('Configuration validated & secured!', 'success');
-                    elements.debridApiKey.classList.remove('error');
-                    elements.debridApiKey.classList.add('success');
+                    getKeyInputs().forEach(function(input) {
+                        input.classList.remove('error');
+                        input.classList.add('success');
+                    });
                     
                     var actions = {
                         install: function() {
@@ -1038,9 +1340,15 @@ function landingTemplate(manifest, config) {
         }
         // Pre-fill config if provided
         if (config && typeof config === 'object') {
+            if (Array.isArray(config.DebridAccounts) && config.DebridAccounts.length > 0) {
+                config.DebridProvider = config.DebridAccounts[0].DebridProvider;
+                config.DebridApiKey = config.DebridAccounts[0].DebridApiKey;
+                config.DebridAccounts.slice(1).forEach(function(account) { addAccountRow(account); });
+            }
             if (config.DebridProvider) {
                 selectedProvider = config.DebridProvider;
                 elements.selectedOption.textContent = config.DebridProvider;
+                updateDeviceLogin();
             }
             if (config.DebridApiKey) {
                 elements.debridApiKey.value = config.DebridApiKey;
@@ -1048,6 +1356,12 @@ function landingTemplate(manifest, config) {
             if (config.ShowCatalog) {
                 elements.showCatalog.checked = true;
             }
+            if (config.IncludeDownloads === false) {
+                elements.includeDownloads.checked = false;
+            }
+            if (config.ProxyStreams && elements.proxyStreams) {
+                elements.proxyStreams.checked = true;
+            }
         }
     });
     // --- End migrated JS ---
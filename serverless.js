@@ -1,4 +1,5 @@
 import Router from 'router'
+import crypto from 'crypto'
 import addonInterface from "./addon.js"
 import landingTemplate from "./public/landing-template.js"
 import StreamProvider from './src/stream-provider.js'
@@ -6,24 +7,17 @@ import { decode } from 'urlencode'
 import qs from 'querystring'
 import requestIp from 'request-ip'
 import { getManifest } from './src/config/manifest.js'
-import { parseConfiguration, encryptConfig } from './src/config/configuration.js'
-import { BadTokenError, BadRequestError, AccessDeniedError } from './src/utils/error-handler.js'
-import { ApiKeySecurityManager } from './src/providers/BaseProvider.js'
+import { parseConfiguration, encryptConfig, isEncryptedConfig, getDebridAccounts, MAX_DEBRID_ACCOUNTS, configManager } from './src/config/configuration.js'
+import { BadTokenError, BadRequestError, AccessDeniedError, ProviderUnavailableError } from './src/utils/error-handler.js'
+import { ApiKeySecurityManager, runWithStreamLinkContext } from './src/providers/BaseProvider.js'
 import { logger } from './src/utils/logger.js'
-
-import { RealDebridProvider } from './src/providers/real-debrid.js'
-import { AllDebridProvider } from './src/providers/all-debrid.js'
-import { DebridLinkProvider } from './src/providers/debrid-link.js'
-import { PremiumizeProvider } from './src/providers/premiumize.js'
-import { TorBoxProvider } from './src/providers/torbox.js'
-
-const PROVIDER_CLASSES = {
-    RealDebrid: RealDebridProvider,
-    AllDebrid: AllDebridProvider,
-    DebridLink: DebridLinkProvider,
-    Premiumize: PremiumizeProvider,
-    TorBox: TorBoxProvider
-};
+import { hasProvider, validateProviderApiKey, getProvider, getProviderClass, hasCapability } from './src/providers/index.js'
+import { sendFileWithRange } from './src/utils/range-request.js'
+import { acquireStreamSlot, proxyStream } from './src/utils/stream-proxy.js'
+import { getAllProviderHealth } from './src/utils/circuit-breaker.js'
+import { runWithSearchTrace } from './src/search/search-trace.js'
+import { listMappings, getMapping, setMapping, deleteMapping, importMappings, getMappingScope } from './src/search/manual-mappings.js'
+import { parseMagnet, normalizeInfoHash } from './src/utils/magnet.js'
 
 const router = new Router();
 
@@ -40,15 +34,8 @@ router.get('/encryption-data', (req, res) => {
     })
 })
 
-router.post('/encrypt-config', async (req, res) => {
-    res.setHeader('content-type', 'application/json')
-    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*')
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
-    res.setHeader('X-Frame-Options', 'DENY')
-    res.setHeader('X-Content-Type-Options', 'nosniff')
-    
-    // Security: Only allow requests from same origin or specific referrers
+// Security: Only allow requests from same origin or specific referrers
+function isAllowedOrigin(req) {
     const allowedOrigins = [
         req.headers.host,
         `https://${req.headers.host}`,
@@ -59,14 +46,23 @@ router.post('/encrypt-config', async (req, res) => {
     
     const origin = req.headers.origin;
     const referer = req.headers.referer;
-    const host = req.headers.host;
     
     // Allow same-origin requests and direct frontend access
-    const isValidOrigin = !origin || 
-                         allowedOrigins.some(allowed => origin.includes(allowed.replace('http://', '').replace('https://', ''))) ||
-                         (referer && allowedOrigins.some(allowed => referer.includes(allowed.replace('http://', '').replace('https://', ''))));
+    return !origin || 
+           allowedOrigins.some(allowed => origin.includes(allowed.replace('http://', '').replace('https://', ''))) ||
+           (referer && allowedOrigins.some(allowed => referer.includes(allowed.replace('http://', '').replace('https://', ''))));
+}
+
+router.post('/encrypt-config', async (req, res) => {
+    res.setHeader('content-type', 'application/json')
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*')
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    res.setHeader('X-Frame-Options', 'DENY')
+    res.setHeader('X-Content-Type-Options', 'nosniff')
     
-    if (!isValidOrigin) {
+    if (!isAllowedOrigin(req)) {
+        const { origin, referer } = req.headers;
         logger.warn(`[security] Encrypt-config access denied from origin: ${origin || 'unknown'}, referer: ${referer || 'unknown'}`);
         return res.status(403).json({ error: 'Access denied - invalid origin' });
     }
@@ -81,25 +77,30 @@ router.post('/encrypt-config', async (req, res) => {
             return res.status(400).json({ error: 'Configuration too large' });
         }
         
-        if (config.DebridProvider && config.DebridApiKey) {
-            const ProviderClass = PROVIDER_CLASSES[config.DebridProvider];
-            
-            if (!ProviderClass) {
-                logger.warn(`[encrypt-config] Unknown provider: ${config.DebridProvider}`);
+        if (Array.isArray(config.DebridAccounts) && config.DebridAccounts.length > MAX_DEBRID_ACCOUNTS) {
+            return res.status(400).json({ error: `Too many debrid accounts (max ${MAX_DEBRID_ACCOUNTS})` });
+        }
+        
+        const accounts = getDebridAccounts(config);
+        for (const [accountIndex, account] of accounts.entries()) {
+            if (!hasProvider(account.provider)) {
+                logger.warn(`[encrypt-config] Unknown provider: ${account.provider}`);
                 return res.status(400).json({ 
-                    error: `Unknown provider: ${config.DebridProvider}`,
-                    validationFailed: true
+                    error: `Unknown provider: ${account.provider}`,
+                    validationFailed: true,
+                    accountIndex
                 });
             }
             
-            const validation = await ProviderClass.validateApiKey(config.DebridApiKey);
+            const validation = await validateProviderApiKey(account.provider, account.apiKey);
             
             if (!validation.valid) {
                 await new Promise(r => setTimeout(r, 500));
                 return res.status(400).json({
                     error: validation.error || 'Invalid API key',
                     validationFailed: true,
-                    provider: config.DebridProvider
+                    provider: account.provider,
+                    accountIndex
                 });
             }
         }
@@ -112,7 +113,7 @@ router.post('/encrypt-config', async (req, res) => {
         const baseUrl = process.env.ADDON_URL || `${req.headers['x-forwarded-proto'] || req.protocol}://${req.headers.host}`;
         const manifestUrl = `${baseUrl}/${encryptedConfig}/manifest.json`;
         
-        logger.debug(`[encrypt-config] Manifest generated for ${config.DebridProvider} - ${manifestUrl}`);
+        logger.debug(`[encrypt-config] Manifest generated for ${accounts.map(account => account.provider).join(', ')} - ${manifestUrl}`);
         
         res.json({
             encrypted: true,
@@ -127,6 +128,57 @@ router.post('/encrypt-config', async (req, res) => {
     }
 })
 
+// Device-code login for providers that support it (descriptor capability `deviceLogin`)
+function getDeviceLoginProvider(name) {
+    const ProviderClass = getProviderClass(name)
+    return ProviderClass && hasCapability(name, 'deviceLogin') ? ProviderClass : null
+}
+
+router.post('/auth/:provider/device', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (!isAllowedOrigin(req)) {
+        return res.status(403).json({ error: 'Access denied - invalid origin' })
+    }
+
+    const ProviderClass = getDeviceLoginProvider(req.params.provider)
+    if (!ProviderClass) {
+        return res.status(404).json({ error: 'Login not supported for this provider' })
+    }
+
+    try {
+        res.json(await ProviderClass.startDeviceLogin())
+    } catch (error) {
+        logger.warn(`[device-login] ${req.params.provider} login could not start: ${error.message}`)
+        res.status(502).json({ error: 'Provider login unavailable, try again later' })
+    }
+})
+
+router.post('/auth/:provider/device/poll', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store')
+
+    if (!isAllowedOrigin(req)) {
+        return res.status(403).json({ error: 'Access denied - invalid origin' })
+    }
+
+    const ProviderClass = getDeviceLoginProvider(req.params.provider)
+    if (!ProviderClass) {
+        return res.status(404).json({ error: 'Login not supported for this provider' })
+    }
+
+    const deviceCode = req.body?.deviceCode
+    if (typeof deviceCode !== 'string' || !deviceCode || deviceCode.length > 256) {
+        return res.status(400).json({ error: 'Invalid device code' })
+    }
+
+    try {
+        res.json(await ProviderClass.pollDeviceLogin(deviceCode))
+    } catch (error) {
+        logger.warn(`[device-login] ${req.params.provider} login failed: ${error.message}`)
+        res.status(502).json({ error: 'Provider login failed, try again' })
+    }
+})
+
 router.options('/encrypt-config', (req, res) => {
     res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*')
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
@@ -163,20 +215,14 @@ router.get('/:configuration?/resolve/:debridProvider/:debridApiKey/:id/:hostUrl'
     const clientIp = requestIp.getClientIp(req)
     
     try {
-        let actualApiKey = req.params.debridApiKey;
-        
-        if (ApiKeySecurityManager.isSecureToken(req.params.debridApiKey)) {
-            
-            const resolvedKey = ApiKeySecurityManager.resolveSecureToken(req.params.debridProvider, req.params.debridApiKey);
-            
-            if (resolvedKey === null && req.params.debridApiKey !== 'null') {
-                logger.error(`[SECURITY] Secure token resolution failed for ${req.params.debridProvider}: ${req.params.debridApiKey}`);
-                res.status(401).json({ error: 'Invalid or expired security token' });
-                return;
-            }
-            
-            actualApiKey = resolvedKey || 'null';
-        } else {
+        // Raw API keys and old token formats are handled (and, past their cutoff, rejected) by resolveSecureToken
+        let actualApiKey;
+        try {
+            actualApiKey = ApiKeySecurityManager.resolveSecureToken(req.params.debridProvider, req.params.debridApiKey, req.params.configuration);
+        } catch (error) {
+            logger.warn(`[SECURITY] Stream link rejected for ${req.params.debridProvider}: ${error.message}`);
+            res.status(401).json({ error: error.message });
+            return;
         }
         
         StreamProvider.resolveUrl(req.params.debridProvider, actualApiKey, req.params.id, decode(req.params.hostUrl), clientIp)
@@ -193,12 +239,302 @@ router.get('/:configuration?/resolve/:debridProvider/:debridApiKey/:id/:hostUrl'
     }
 })
 
+// Streams a file through the addon for configurations with ProxyStreams (HEAD is answered by the same handler).
+// The token only resolves against the configuration it was issued for.
+router.get('/:configuration/proxy/:token', async (req, res) => {
+    const proxyConfig = configManager.getStreamProxyConfig()
+    if (!proxyConfig.enabled || parseConfiguration(req.params.configuration).ProxyStreams !== true) {
+        return res.status(404).json({ error: 'Stream proxy is not enabled for this configuration' })
+    }
+
+    let link
+    try {
+        link = ApiKeySecurityManager.resolveProxyToken(req.params.token, req.params.configuration)
+    } catch (error) {
+        logger.warn(`[stream-proxy] Proxy token rejected: ${error.message}`)
+        return res.status(401).json({ error: error.message })
+    }
+
+    const release = acquireStreamSlot(req.params.configuration, proxyConfig)
+    if (!release) {
+        res.setHeader('Retry-After', '10')
+        return res.status(429).json({ error: 'Too many proxied streams, close another stream and retry' })
+    }
+    res.on('close', release)
+
+    try {
+        // The addon fetches the file itself, so the link is unrestricted for the addon's IP
+        const url = await StreamProvider.resolveUrl(link.provider, link.apiKey, link.itemId, link.hostUrl, null)
+        if (!url || !await proxyStream(req, res, url, proxyConfig.connectTimeoutMs)) {
+            res.status(502).json({ error: 'The provider did not serve the file' })
+        }
+    } catch (err) {
+        logger.error(`[stream-proxy] Proxy request failed: ${err.message}`)
+        if (res.headersSent) {
+            res.destroy()
+        } else {
+            handleError(err, res)
+        }
+    }
+})
+
+const MAX_AVAILABILITY_HASHES = 100
+
+function getEncryptedConfigAccounts(configuration) {
+    return isEncryptedConfig(configuration) ? getDebridAccounts(parseConfiguration(configuration)) : []
+}
+
+// Which infohashes are cached on each configured account, for companion tools such as scrapers.
+// Cross-origin requests are allowed; the encrypted configuration keeps the API keys server-side.
+router.get('/:configuration/availability', async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Cache-Control', 'no-store')
+
+    const accounts = getEncryptedConfigAccounts(req.params.configuration)
+    if (accounts.length === 0) {
+        return res.status(401).json({ error: 'Invalid or missing configuration' })
+    }
+
+    const rawHashes = String(qs.parse(req.url.split('?')[1] || '').hashes || '')
+        .split(',')
+        .map(hash => hash.trim())
+        .filter(Boolean)
+    const hashes = [...new Set(rawHashes.map(normalizeInfoHash))]
+    if (hashes.length === 0 || hashes.length > MAX_AVAILABILITY_HASHES || hashes.includes(null)) {
+        return res.status(400).json({ error: `Expected 1-${MAX_AVAILABILITY_HASHES} comma-separated infohashes` })
+    }
+
+    const results = await Promise.all(accounts.map(async account => ({
+        account: account.label,
+        provider: account.provider,
+        ...await StreamProvider.checkCached(account.provider, account.apiKey, hashes)
+    })))
+
+    res.json({ hashes, accounts: results })
+})
+
+// Add a magnet or infohash to one of the configured accounts. Only encrypted configurations
+// are accepted: the config is the credential, and legacy plain configs are readable by anyone.
+router.post('/:configuration/add', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store')
+
+    const accounts = getEncryptedConfigAccounts(req.params.configuration)
+    if (accounts.length === 0) {
+        return res.status(401).json({ error: 'Invalid or missing configuration' })
+    }
+
+    const magnet = req.body?.magnet
+    if (typeof magnet !== 'string' || magnet.length > 8192 || !parseMagnet(magnet)) {
+        return res.status(400).json({ error: 'Expected a magnet link or infohash' })
+    }
+
+    const accountIndex = req.body?.account ?? 0
+    const account = Number.isInteger(accountIndex) ? accounts[accountIndex] : null
+    if (!account) {
+        return res.status(400).json({ error: `Unknown account (0-${accounts.length - 1})` })
+    }
+    if (!hasCapability(account.provider, 'addMagnet')) {
+        return res.status(400).json({ error: `${account.provider} does not support adding magnets` })
+    }
+
+    try {
+        const result = await StreamProvider.addMagnet(account.provider, account.apiKey, magnet)
+        if (!result) {
+            return res.status(502).json({ error: `${account.provider} could not add the magnet` })
+        }
+        res.json({ ...result, account: account.label })
+    } catch (err) {
+        logger.error(`[add] ${account.provider} add failed: ${err.message}`)
+        handleError(err, res)
+    }
+})
+
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest()
+    const digestB = crypto.createHash('sha256').update(String(b)).digest()
+    return crypto.timingSafeEqual(digestA, digestB)
+}
+
+// Manual mapping scopes: the admin edits the global mappings with ADMIN_API_TOKEN as a Bearer token
+// (the routes do not exist without it); an encrypted configuration edits its own overrides.
+function resolveAdminScope(req, res) {
+    const { adminToken } = configManager.getManualMappingsConfig()
+    if (!adminToken) {
+        res.statusCode = 404
+        res.end()
+        return null
+    }
+
+    const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1]
+    if (!token || !safeEqual(token, adminToken)) {
+        res.status(401).json({ error: 'Invalid admin token' })
+        return null
+    }
+    return { scope: null }
+}
+
+function resolveConfigurationScope(req, res) {
+    const accounts = getEncryptedConfigAccounts(req.params.configuration)
+    if (accounts.length === 0) {
+        res.status(401).json({ error: 'Invalid or missing configuration' })
+        return null
+    }
+
+    const scope = getMappingScope(accounts)
+    if (!scope) {
+        res.status(404).json({ error: 'Configuration overrides are disabled on this server' })
+        return null
+    }
+    return { scope }
+}
+
+function sendMappingError(err, res) {
+    if (err instanceof BadRequestError) {
+        return res.status(400).json({ error: err.message })
+    }
+    logger.error(`[mappings] Could not update mappings: ${err.message}`)
+    res.status(500).json({ error: 'Mappings could not be saved' })
+}
+
+function mountMappingRoutes(basePath, resolveScope) {
+    router.get(`${basePath}/mappings`, (req, res) => {
+        res.setHeader('Cache-Control', 'no-store')
+        const access = resolveScope(req, res)
+        if (access) {
+            res.json({ mappings: listMappings(access.scope) })
+        }
+    })
+
+    router.get(`${basePath}/mappings/export`, (req, res) => {
+        res.setHeader('Cache-Control', 'no-store')
+        const access = resolveScope(req, res)
+        if (access) {
+            res.setHeader('Content-Disposition', 'attachment; filename="manual-mappings.json"')
+            res.json({ version: 1, mappings: listMappings(access.scope) })
+        }
+    })
+
+    // Body: { mappings: { imdbId: rule }, replace?: boolean }; merged over the existing mappings unless replace is set
+    router.post(`${basePath}/mappings/import`, (req, res) => {
+        res.setHeader('Cache-Control', 'no-store')
+        const access = resolveScope(req, res)
+        if (access) {
+            try {
+                const imported = importMappings(req.body?.mappings, { replace: req.body?.replace === true, scope: access.scope })
+                res.json({ imported })
+            } catch (err) {
+                sendMappingError(err, res)
+            }
+        }
+    })
+
+    router.get(`${basePath}/mappings/:imdbId`, (req, res) => {
+        res.setHeader('Cache-Control', 'no-store')
+        const access = resolveScope(req, res)
+        if (access) {
+            const mapping = getMapping(req.params.imdbId, access.scope)
+            if (!mapping) {
+                return res.status(404).json({ error: 'No mapping for this IMDb ID' })
+            }
+            res.json({ imdbId: req.params.imdbId, mapping })
+        }
+    })
+
+    router.put(`${basePath}/mappings/:imdbId`, (req, res) => {
+        res.setHeader('Cache-Control', 'no-store')
+        const access = resolveScope(req, res)
+        if (access) {
+            try {
+                res.json({ imdbId: req.params.imdbId, mapping: setMapping(req.params.imdbId, req.body, access.scope) })
+            } catch (err) {
+                sendMappingError(err, res)
+            }
+        }
+    })
+
+    router.delete(`${basePath}/mappings/:imdbId`, (req, res) => {
+        res.setHeader('Cache-Control', 'no-store')
+        const access = resolveScope(req, res)
+        if (access) {
+            try {
+                if (!deleteMapping(req.params.imdbId, access.scope)) {
+                    return res.status(404).json({ error: 'No mapping for this IMDb ID' })
+                }
+                res.status(204).end()
+            } catch (err) {
+                sendMappingError(err, res)
+            }
+        }
+    })
+}
+
+// Admin routes first: "/admin" would otherwise be taken for a configuration
+mountMappingRoutes('/admin', resolveAdminScope)
+mountMappingRoutes('/:configuration', resolveConfigurationScope)
+
+// Run a stream search with tracing and report each phase's decisions, to explain missing or unexpected results.
+// Stream URLs are left out of the response; names and titles are enough to match the trace.
+router.get('/:configuration/debug/search/:type/:id.json', async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store')
+
+    const { configuration, type, id } = req.params
+    if (getEncryptedConfigAccounts(configuration).length === 0) {
+        return res.status(401).json({ error: 'Invalid or missing configuration' })
+    }
+    if (type !== 'movie' && type !== 'series') {
+        return res.status(400).json({ error: 'Expected type movie or series' })
+    }
+
+    const config = parseConfiguration(configuration)
+    try {
+        const { result, trace } = await runWithSearchTrace(() => runWithStreamLinkContext(configuration, config, () =>
+            type === 'movie'
+                ? StreamProvider.getMovieStreams(config, type, id)
+                : StreamProvider.getSeriesStreams(config, type, id)))
+
+        res.json({
+            type,
+            id,
+            streams: (result || []).map(stream => ({ name: stream.name, title: stream.title })),
+            ...trace
+        })
+    } catch (err) {
+        logger.error(`[debug] Traced search failed: ${err.message}`)
+        handleError(err, res)
+    }
+})
+
+// Range-capable streaming of local library files (HEAD is answered by the same handler)
+router.get('/:configuration?/local-library/:token/:fileId/:filename?', async (req, res) => {
+    const libraryProvider = getProvider('LocalLibrary')
+    if (!libraryProvider) {
+        res.statusCode = 404
+        res.end()
+        return
+    }
+
+    try {
+        const file = await libraryProvider.getStreamableFile(req.params.token, req.params.fileId, req.params.configuration)
+        if (!file) {
+            res.statusCode = 404
+            res.end()
+            return
+        }
+
+        sendFileWithRange(req, res, file.absolutePath, file.size, file.name)
+    } catch (err) {
+        logger.error(`[local-library] Stream request failed: ${err.message}`)
+        handleError(err, res)
+    }
+})
+
 router.get(`/:configuration?/:resource/:type/:id/:extra?.json`, (req, res, next) => {
     const { resource, type, id } = req.params
     const config = parseConfiguration(req.params.configuration)
     const extra = req.params.extra ? qs.parse(req.url.split('/').pop().slice(0, -5)) : {}
 
-    addonInterface.get(resource, type, id, extra, config)
+    // Stream URLs built while answering reference this configuration's accounts instead of carrying keys
+    runWithStreamLinkContext(req.params.configuration, config, () => addonInterface.get(resource, type, id, extra, config))
         .then(resp => {
             let cacheHeaders = {
                 cacheMaxAge: 'max-age',
@@ -225,6 +561,11 @@ router.get('/ping', (_, res) => {
     res.end()
 })
 
+router.get('/health', (_, res) => {
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify({ providers: getAllProviderHealth() }))
+})
+
 function handleError(err, res) {
     if (err instanceof BadTokenError) {
         res.writeHead(401)
@@ -235,6 +576,9 @@ function handleError(err, res) {
     } else if (err instanceof BadRequestError) {
         res.writeHead(400)
         res.end(JSON.stringify({ err: 'Bad request' }))
+    } else if (err instanceof ProviderUnavailableError) {
+        res.writeHead(503, { 'Retry-After': Math.ceil(err.retryInMs / 1000) })
+        res.end(JSON.stringify({ err: 'Provider unavailable' }))
     } else {
         res.writeHead(500)
         res.end(JSON.stringify({ err: 'Server error' }))
@@ -1,24 +1,10 @@
-﻿import { RealDebridProvider } from './providers/real-debrid.js'
-import { AllDebridProvider } from './providers/all-debrid.js'
-import { DebridLinkProvider } from './providers/debrid-link.js'
-import { TorBoxProvider } from './providers/torbox.js'
-import { PremiumizeProvider } from './providers/premiumize.js'
+﻿import { getProvider, getProviderInstances } from './providers/index.js'
 import { coordinateSearch } from './search/coordinator.js'
 import { BadRequestError } from './utils/error-handler.js'
 import { getApiConfig } from './config/configuration.js'
 import { logger } from './utils/logger.js'
 import { createPosterLookupContext, isCatalogPosterEnabled, resolvePosterFromContext } from './catalog/poster-resolver.js'
 
-// Create provider instances once for testable providers to avoid duplicate initialization logging
-const sharedProviders = {
-    // Migrated to clean class architecture (tested with API keys)
-    AllDebrid: new AllDebridProvider(), 
-    RealDebrid: new RealDebridProvider(), 
-    DebridLink: new DebridLinkProvider(),
-    TorBox: new TorBoxProvider(),
-    Premiumize: new PremiumizeProvider()  // Now using standard provider instance
-};
-
 async function mapLimit(items, limit, mapper) {
     const results = new Array(items.length);
     let index = 0;
@@ -81,7 +67,7 @@ async function searchTorrents(config, searchKey) {
         throw new Error('No debrid API key configured');
     }
     
-    const providers = sharedProviders;
+    const providers = getProviderInstances();
     
     if (apiConfig.hasAdvancedSearch) {
         const params = { 
@@ -97,28 +83,13 @@ async function searchTorrents(config, searchKey) {
         return toMetas(torrents)
     }
 
-    let resultsPromise
+    const providerImpl = getProvider(config.DebridProvider)
+    if (!providerImpl) {
+        return Promise.reject(new BadRequestError(`Unknown provider: ${config.DebridProvider}`));
+    }
 
     // Get all available files from provider
-    switch (config.DebridProvider) {
-        case "DebridLink":
-            resultsPromise = sharedProviders.DebridLink.searchTorrents(config.DebridApiKey, searchKey);
-            break;
-        case "RealDebrid":
-            resultsPromise = sharedProviders.RealDebrid.searchTorrents(config.DebridApiKey, searchKey);
-            break;
-        case "AllDebrid":
-            resultsPromise = sharedProviders.AllDebrid.searchTorrents(config.DebridApiKey, searchKey);
-            break;
-        case "Premiumize":
-            resultsPromise = sharedProviders.Premiumize.searchTorrents(config.DebridApiKey, searchKey);
-            break;
-        case "TorBox":
-            resultsPromise = sharedProviders.TorBox.searchTorrents(config.DebridApiKey, searchKey);
-            break;
-        default:
-            return Promise.reject(new BadRequestError(`Unknown provider: ${config.DebridProvider}`));
-    }
+    const resultsPromise = providerImpl.searchTorrents(config.DebridApiKey, searchKey);
 
     return resultsPromise
         .then(torrents => {
@@ -135,28 +106,13 @@ async function listTorrents(config, skip = 0) {
         return Promise.resolve([])
     }
 
-    let resultsPromise
-
-    switch (config.DebridProvider) {
-        case "DebridLink":
-            resultsPromise = sharedProviders.DebridLink.listTorrents(config.DebridApiKey, skip);
-            break;
-        case "RealDebrid":
-            resultsPromise = sharedProviders.RealDebrid.listTorrents(config.DebridApiKey, skip);
-            break;
-        case "AllDebrid":
-            resultsPromise = sharedProviders.AllDebrid.listTorrents(config.DebridApiKey);
-            break;
-        case "Premiumize":
-            resultsPromise = sharedProviders.Premiumize.listTorrents(config.DebridApiKey, skip);
-            break;
-        case "TorBox":
-            resultsPromise = sharedProviders.TorBox.listTorrents(config.DebridApiKey, skip);
-            break;
-        default:
-            return Promise.reject(new BadRequestError(`Unknown provider: ${config.DebridProvider}`));
+    const providerImpl = getProvider(config.DebridProvider)
+    if (!providerImpl) {
+        return Promise.reject(new BadRequestError(`Unknown provider: ${config.DebridProvider}`));
     }
 
+    const resultsPromise = providerImpl.listTorrents(config.DebridApiKey, skip);
+
     return resultsPromise
         .then(torrents => {
             if (!Array.isArray(torrents)) {
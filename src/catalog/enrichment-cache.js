@@ -104,6 +104,19 @@ export function buildFilenameAliasKey(filename) {
     return normalized ? `filename:${normalized}` : null;
 }
 
+/**
+ * Aliases learned from accepted stream matches are kept apart from the poster resolver's
+ * filename aliases, so they never answer a poster lookup
+ */
+export function buildStreamAliasKey(filename) {
+    const normalized = normalizeAliasValue(filename);
+    return normalized ? `stream:${normalized}` : null;
+}
+
+export function buildStreamContentKey(imdbId) {
+    return `imdb:${imdbId}`;
+}
+
 function formatBytes(bytes) {
     if (!Number.isFinite(bytes) || bytes <= 0) {
         return '0 B';
@@ -190,6 +203,9 @@ export class CatalogEnrichmentCache {
             CREATE INDEX IF NOT EXISTS idx_content_resolution_expires_at
               ON content_resolution_cache (expires_at);
 
+            CREATE INDEX IF NOT EXISTS idx_content_resolution_imdb_id
+              ON content_resolution_cache (imdb_id);
+
             CREATE TABLE IF NOT EXISTS metadata_enrichment_cache (
               content_key TEXT PRIMARY KEY,
               background TEXT,
@@ -251,6 +267,15 @@ export class CatalogEnrichmentCache {
                   AND c.expires_at > @now
                 LIMIT 1
             `),
+            getAliasKeysByImdbId: this.db.prepare(`
+                SELECT a.alias_key
+                FROM content_resolution_cache c
+                JOIN enrichment_alias_cache a ON a.content_key = c.content_key
+                WHERE c.imdb_id = @imdbId
+                  AND c.is_negative = 0
+                  AND c.expires_at > @now
+                  AND a.expires_at > @now
+            `),
             touchResolution: this.db.prepare(`
                 UPDATE content_resolution_cache
                 SET last_accessed_at = @now
@@ -654,6 +679,18 @@ export class CatalogEnrichmentCache {
         return mapResolutionRow(row);
     }
 
+    /**
+     * Alias keys (filename and stream) of every accepted resolution pointing to an IMDb ID
+     * @returns {Set<string>}
+     */
+    getAliasKeysByImdbId(imdbId, now = Date.now()) {
+        if (!imdbId) {
+            return new Set();
+        }
+
+        return new Set(this.statements.getAliasKeysByImdbId.all({ imdbId, now }).map(row => row.alias_key));
+    }
+
     storeContentResolution(record = {}, now = Date.now()) {
         if (!record.contentKey) {
             return null;
@@ -1,25 +1,83 @@
 import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
 
+const MAX_DEBRID_ACCOUNTS = 5;
+
+/**
+ * Shape check only. Provider names are checked against the registry where configurations are
+ * created (/encrypt-config) and where accounts are used, so this module, which the providers
+ * import, does not depend on them being registered.
+ */
+function isValidAccount(provider, apiKey) {
+    return typeof provider === 'string' && provider.length > 0 && typeof apiKey === 'string' && apiKey.length >= 8;
+}
+
 function validateConfig(config) {
     if (!config || typeof config !== 'object') {
         logger.debug('[CONFIG] Validation failed: config is not an object');
         return false;
     }
+
+    if (Array.isArray(config.DebridAccounts) && config.DebridAccounts.length > 0) {
+        const isValid = config.DebridAccounts.length <= MAX_DEBRID_ACCOUNTS &&
+            config.DebridAccounts.every(account => isValidAccount(account?.DebridProvider, account?.DebridApiKey));
+        logger.debug(`[CONFIG] Validation for multi-account format (${config.DebridAccounts.length} accounts): ${isValid ? 'PASSED' : 'FAILED'}`);
+        return isValid;
+    }
     
     if (config.DebridProvider && config.DebridApiKey) {
-        const validProviders = ['AllDebrid', 'RealDebrid', 'DebridLink', 'Premiumize', 'TorBox'];
-        const isValid = validProviders.includes(config.DebridProvider) && config.DebridApiKey.length >= 8;
+        const isValid = isValidAccount(config.DebridProvider, config.DebridApiKey);
         logger.debug(`[CONFIG] Validation for encrypted format: ${isValid ? 'PASSED' : 'FAILED'}`);
         return isValid;
     }
     
     logger.debug('[CONFIG] Validation failed: no recognized configuration format found');
-    logger.debug('[CONFIG] Expected: DebridProvider and DebridApiKey properties');
+    logger.debug('[CONFIG] Expected: DebridAccounts or DebridProvider and DebridApiKey properties');
     logger.debug('[CONFIG] Config keys:', Object.keys(config));
     return false;
 }
 
+/**
+ * Lists every debrid account held by a configuration.
+ * Legacy single-account configs are returned as a one-element list.
+ * `IncludeDownloads` applies to every account and defaults to on.
+ * @param {Object} config - Parsed addon configuration
+ * @returns {Array<{provider: string, apiKey: string, label: string, includeDownloads: boolean}>}
+ */
+function getDebridAccounts(config) {
+    if (!config || typeof config !== 'object') {
+        return [];
+    }
+
+    const rawAccounts = Array.isArray(config.DebridAccounts) && config.DebridAccounts.length > 0
+        ? config.DebridAccounts
+        : [{ DebridProvider: config.DebridProvider, DebridApiKey: config.DebridApiKey }];
+
+    const accounts = rawAccounts
+        .filter(account => account?.DebridProvider && account?.DebridApiKey)
+        .map(account => ({
+            provider: account.DebridProvider,
+            apiKey: account.DebridApiKey,
+            label: typeof account.Label === 'string' ? account.Label.trim().substring(0, 32) : '',
+            includeDownloads: config.IncludeDownloads !== false
+        }));
+
+    // Default labels: provider name, numbered when the same provider appears more than once
+    const providerCounts = {};
+    accounts.forEach(account => { providerCounts[account.provider] = (providerCounts[account.provider] || 0) + 1; });
+    const providerIndexes = {};
+    for (const account of accounts) {
+        providerIndexes[account.provider] = (providerIndexes[account.provider] || 0) + 1;
+        if (!account.label) {
+            account.label = providerCounts[account.provider] > 1
+                ? `${account.provider} #${providerIndexes[account.provider]}`
+                : account.provider;
+        }
+    }
+
+    return accounts;
+}
+
 const FILE_TYPES = Object.freeze({
     TORRENTS: Symbol("torrents"),
     DOWNLOADS: Symbol("downloads")
@@ -92,13 +150,15 @@ class ConfigurationManager {
                     name: item.name,
                     type: 'other',
                     info: null,
-                    size: item.size,
+                    size: item.totalSize ?? item.size, // seedbox/list reports totalSize
                     created: new Date(item.created * 1000)
                 })
             },
             RealDebrid: {
                 bulkMethod: 'listFilesParrallel',
                 methodArgs: [FILE_TYPES.TORRENTS, null, 1, 1000], // apiKey will be inserted at index 1
+                pageMethod: 'listTorrentsPage', // Newest-first pages for incremental library snapshots
+                pageSize: 100,
                 dataMapper: (item) => ({
                     source: 'RealDebrid',
                     id: item.id,
@@ -112,6 +172,9 @@ class ConfigurationManager {
             TorBox: {
                 bulkMethod: 'listFilesParallel',
                 methodArgs: [FILE_TYPES.TORRENTS, null, 1, 1000], // apiKey will be inserted at index 1
+                pageMethod: 'listTorrentsPage', // Newest-first pages for incremental library snapshots
+                pageSize: 1000,
+                itemFilter: (item) => item.download_finished && item.download_present,
                 dataMapper: (item) => ({
                     source: 'TorBox',
                     id: item.id,
@@ -133,6 +196,43 @@ class ConfigurationManager {
                     size: item.size,
                     created: new Date(item.created_at * 1000) // Premiumize uses created_at * 1000
                 })
+            },
+            Offcloud: {
+                bulkMethod: 'listCloudHistory',
+                dataMapper: (item) => ({
+                    source: 'Offcloud',
+                    id: item.requestId, // Offcloud identifies cloud downloads by requestId
+                    name: item.fileName,
+                    type: 'other',
+                    info: null,
+                    size: item.fileSize || 0,
+                    created: new Date(item.createdOn)
+                })
+            },
+            Putio: {
+                bulkMethod: 'listTopLevelItems', // Top-level transfer folders/files, walked in getTorrentDetails
+                dataMapper: (item) => ({
+                    source: 'Putio',
+                    id: item.id,
+                    name: item.name,
+                    type: 'other',
+                    info: null,
+                    size: item.size || 0,
+                    created: new Date(item.created_at)
+                })
+            },
+            LocalLibrary: {
+                bulkMethod: 'listLibraryItems',
+                snapshot: false, // Already an in-memory index, nothing to save by snapshotting it
+                dataMapper: (item) => ({
+                    source: 'LocalLibrary',
+                    id: item.id,
+                    name: item.name,
+                    type: 'other',
+                    info: item.info, // Parsed once when the folder index is built
+                    size: item.size,
+                    created: new Date(item.created)
+                })
             }
         };
     }
@@ -206,6 +306,15 @@ class ConfigurationManager {
         return enableReleaseGroup.toLowerCase() === 'true';
     }
 
+    /**
+     * Stream searches first return library items already resolved to the requested IMDb ID
+     * (enrichment cache resolutions and learned aliases) - Default: true
+     */
+    getIsResolvedMatchingEnabled() {
+        const enableResolvedMatching = this.getEnvVar('ENABLE_RESOLVED_MATCHING', 'true');
+        return enableResolvedMatching.toLowerCase() === 'true';
+    }
+
     getIsCatalogPosterEnabled() {
         const enableCatalogPosters = this.getEnvVar('ENABLE_CATALOG_POSTERS', 'false');
         return enableCatalogPosters.toLowerCase() === 'true';
@@ -239,6 +348,148 @@ class ConfigurationManager {
             pruneBatchSize: parseNumber(this.getEnvVar('CATALOG_ENRICHMENT_CACHE_PRUNE_BATCH_SIZE', '100'), 100) // Default 100 entries to prune in each batch when maxDbSizeBytes is exceeded
         };
     }
+
+    /**
+     * Persistent per-account library snapshot used by the search instead of re-listing every torrent
+     */
+    getLibrarySnapshotConfig() {
+        const parseNumber = (value, defaultValue) => {
+            const parsed = Number.parseInt(String(value ?? defaultValue), 10);
+            return Number.isFinite(parsed) ? parsed : defaultValue;
+        };
+
+        return {
+            enabled: this.getEnvVar('LIBRARY_SNAPSHOT_ENABLED', 'true').toLowerCase() === 'true',
+            dbPath: this.getEnvVar('LIBRARY_SNAPSHOT_DB_PATH', './data/library-snapshot.sqlite'),
+            maxAgeMs: parseNumber(this.getEnvVar('LIBRARY_SNAPSHOT_MAX_AGE_SECONDS', '120'), 120) * 1000, // Default 2 minutes before an incremental refresh
+            fullRefreshMs: parseNumber(this.getEnvVar('LIBRARY_SNAPSHOT_FULL_REFRESH_MINUTES', '360'), 360) * 60 * 1000, // Default 6 hours between full re-listings (picks up deletions)
+            accountTtlMs: parseNumber(this.getEnvVar('LIBRARY_SNAPSHOT_ACCOUNT_TTL_DAYS', '30'), 30) * 24 * 60 * 60 * 1000, // Default 30 days before an unused account snapshot is dropped
+            maxPages: parseNumber(this.getEnvVar('LIBRARY_SNAPSHOT_MAX_PAGES', '100'), 100),
+            fileIndexEnabled: this.getEnvVar('LIBRARY_FILE_INDEX_ENABLED', 'true').toLowerCase() === 'true',
+            fileIndexBatchSize: parseNumber(this.getEnvVar('LIBRARY_FILE_INDEX_BATCH_SIZE', '50'), 50) // Torrents indexed per search of an account
+        };
+    }
+
+    /**
+     * Cache of unrestricted links served by /resolve (lifetimes come from provider descriptors)
+     */
+    getResolvedLinkCacheConfig() {
+        const parseNumber = (value, defaultValue) => {
+            const parsed = Number.parseInt(String(value ?? defaultValue), 10);
+            return Number.isFinite(parsed) && parsed > 0 ? parsed : defaultValue;
+        };
+
+        return {
+            enabled: this.getEnvVar('RESOLVED_LINK_CACHE_ENABLED', 'true').toLowerCase() === 'true',
+            maxEntries: parseNumber(this.getEnvVar('RESOLVED_LINK_CACHE_MAX_ENTRIES', '5000'), 5000),
+            validateTimeoutMs: parseNumber(this.getEnvVar('RESOLVED_LINK_CHECK_TIMEOUT_SECONDS', '3'), 3) * 1000
+        };
+    }
+
+    /**
+     * Signing secret and lifetime of the account references embedded in stream URLs.
+     * Without RESOLVE_TOKEN_SECRET the configuration encryption key is used.
+     * Links carrying a raw API key resolve until RESOLVE_TOKEN_DEPLOYED_AT + the grace period; without
+     * a deploy timestamp they are rejected (a restart must not reopen the window).
+     */
+    getResolveTokenConfig() {
+        const ttlHours = Number.parseInt(this.getEnvVar('RESOLVE_TOKEN_TTL_HOURS', '168'), 10);
+        const graceHours = Number.parseInt(this.getEnvVar('RESOLVE_LEGACY_TOKEN_GRACE_HOURS', '72'), 10);
+        const legacyGraceMs = (Number.isFinite(graceHours) && graceHours >= 0 ? graceHours : 72) * 60 * 60 * 1000;
+        const deployedAt = Date.parse(this.getEnvVar('RESOLVE_TOKEN_DEPLOYED_AT', ''));
+
+        return {
+            secret: this.getEnvVar('RESOLVE_TOKEN_SECRET') || ENCRYPTION_KEY,
+            customSecret: Boolean(this.getEnvVar('RESOLVE_TOKEN_SECRET')),
+            ttlMs: (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : 168) * 60 * 60 * 1000, // Default 7 days
+            legacyKeyLinksUntil: Number.isFinite(deployedAt) ? deployedAt + legacyGraceMs : null
+        };
+    }
+
+    /**
+     * OAuth client used for RealDebrid device logins (defaults to RealDebrid's client for open source apps)
+     */
+    getRealDebridOAuthClientId() {
+        return this.getEnvVar('REALDEBRID_OAUTH_CLIENT_ID', 'X245A4XAIBGVM');
+    }
+
+    /**
+     * Per-provider circuit breaker settings
+     */
+    getCircuitBreakerConfig() {
+        const parseNumber = (value, defaultValue) => {
+            const parsed = Number.parseInt(String(value ?? defaultValue), 10);
+            return Number.isFinite(parsed) && parsed > 0 ? parsed : defaultValue;
+        };
+
+        return {
+            failureThreshold: parseNumber(this.getEnvVar('CIRCUIT_BREAKER_FAILURE_THRESHOLD', '5'), 5),
+            openDurationMs: parseNumber(this.getEnvVar('CIRCUIT_BREAKER_OPEN_SECONDS', '30'), 30) * 1000,
+            halfOpenSuccesses: parseNumber(this.getEnvVar('CIRCUIT_BREAKER_HALF_OPEN_SUCCESSES', '2'), 2)
+        };
+    }
+
+    /**
+     * Optional /proxy route streaming files through the addon (for IP-locked links)
+     */
+    getStreamProxyConfig() {
+        const parseNumber = (value, defaultValue) => {
+            const parsed = Number.parseInt(String(value ?? defaultValue), 10);
+            return Number.isFinite(parsed) && parsed > 0 ? parsed : defaultValue;
+        };
+
+        return {
+            enabled: this.getEnvVar('STREAM_PROXY_ENABLED', 'false').toLowerCase() === 'true',
+            maxStreams: parseNumber(this.getEnvVar('STREAM_PROXY_MAX_STREAMS', '10'), 10),
+            maxStreamsPerConfig: parseNumber(this.getEnvVar('STREAM_PROXY_MAX_STREAMS_PER_CONFIG', '2'), 2),
+            connectTimeoutMs: parseNumber(this.getEnvVar('STREAM_PROXY_CONNECT_TIMEOUT_SECONDS', '15'), 15) * 1000
+        };
+    }
+
+    /**
+     * Local media library (NAS mount) - disabled unless LOCAL_LIBRARY_PATH is set
+     */
+    getLocalLibraryConfig() {
+        const rescanSeconds = Number.parseInt(this.getEnvVar('LOCAL_LIBRARY_RESCAN_INTERVAL_SECONDS', '900'), 10);
+
+        return {
+            path: this.getEnvVar('LOCAL_LIBRARY_PATH'),
+            accessKey: this.getEnvVar('LOCAL_LIBRARY_ACCESS_KEY'),
+            watch: this.getEnvVar('LOCAL_LIBRARY_WATCH', 'true').toLowerCase() === 'true',
+            rescanIntervalMs: (Number.isFinite(rescanSeconds) ? rescanSeconds : 900) * 1000 // Default 15 minutes, 0 disables periodic rescans
+        };
+    }
+
+    /**
+     * Manual search mappings store; the admin API stays disabled until ADMIN_API_TOKEN is set
+     */
+    getManualMappingsConfig() {
+        const parseNumber = (value, defaultValue) => {
+            const parsed = Number.parseInt(String(value ?? defaultValue), 10);
+            return Number.isFinite(parsed) && parsed > 0 ? parsed : defaultValue;
+        };
+
+        return {
+            path: this.getEnvVar('MANUAL_MAPPINGS_PATH', './data/manual-mappings.json'),
+            adminToken: this.getEnvVar('ADMIN_API_TOKEN'),
+            userOverrides: this.getEnvVar('MANUAL_MAPPINGS_USER_OVERRIDES', 'true').toLowerCase() === 'true',
+            maxOverridesPerConfig: parseNumber(this.getEnvVar('MANUAL_MAPPINGS_MAX_OVERRIDES_PER_CONFIG', '100'), 100)
+        };
+    }
+
+    /**
+     * Scene/XEM-style episode numbering dataset, used when the Cinemeta numbers find nothing
+     */
+    getSceneMappingsConfig() {
+        const refreshHours = Number.parseFloat(this.getEnvVar('SCENE_MAPPINGS_REFRESH_HOURS', '0'));
+
+        return {
+            enabled: this.getEnvVar('ENABLE_SCENE_MAPPINGS', 'true').toLowerCase() === 'true',
+            path: this.getEnvVar('SCENE_MAPPINGS_PATH', './data/scene-mappings.json'),
+            url: this.getEnvVar('SCENE_MAPPINGS_URL'),
+            refreshIntervalMs: (Number.isFinite(refreshHours) && refreshHours > 0 ? refreshHours : 0) * 3600000 // Default 0: load once
+        };
+    }
 }
 
 function generateEncryptionKey() {
@@ -424,7 +675,8 @@ export function logApiStartupStatus() {
     const isCatalogPosterEnabled = configManager.getIsCatalogPosterEnabled();
     const enrichmentCacheConfig = configManager.getCatalogEnrichmentCacheConfig();
     const isMetadataEnrichmentEnabled = isCatalogPosterEnabled;
-    const isPersistentCacheActive = isCatalogPosterEnabled && enrichmentCacheConfig.enabled;
+    const isResolvedMatchingEnabled = configManager.getIsResolvedMatchingEnabled();
+    const isPersistentCacheActive = (isCatalogPosterEnabled || isResolvedMatchingEnabled) && enrichmentCacheConfig.enabled;
     
     logger.info('[configuration] === 🔑 API Key Status 🔑 ===');
     logger.info(`[configuration] TMDb API: ${isTmdbEnabled ? 'Available ✅' : 'Not configured ❌'}`);
@@ -433,15 +685,41 @@ export function logApiStartupStatus() {
     logger.info(`[configuration] 👥 Release groups: ${isReleaseGroupEnabled ? 'Enabled ✅' : 'Disabled ❌'}`);
     logger.info(`[configuration] 🖼️  Catalog posters: ${isCatalogPosterEnabled ? 'Enabled ✅' : 'Disabled ❌'}`);
     logger.info(`[configuration] 🧠 Catalog metadata enrichment: ${isMetadataEnrichmentEnabled ? 'Enabled ✅' : 'Disabled ❌'}${isMetadataEnrichmentEnabled ? '' : ' (follows catalog poster toggle)'}`);
-    logger.info(`[configuration] 💾 Persistent enrichment cache: ${enrichmentCacheConfig.enabled ? 'Enabled ✅' : 'Disabled ❌'}${enrichmentCacheConfig.enabled && !isPersistentCacheActive ? ' (inactive while catalog posters are disabled)' : ''}`);
+    logger.info(`[configuration] 💾 Persistent enrichment cache: ${enrichmentCacheConfig.enabled ? 'Enabled ✅' : 'Disabled ❌'}${enrichmentCacheConfig.enabled && !isPersistentCacheActive ? ' (inactive while catalog posters and resolved matching are disabled)' : ''}`);
+    logger.info(`[configuration] 🎯 Resolved IMDb matching: ${isResolvedMatchingEnabled && enrichmentCacheConfig.enabled ? 'Enabled ✅' : 'Disabled ❌'}${isResolvedMatchingEnabled && !enrichmentCacheConfig.enabled ? ' (requires the persistent enrichment cache)' : ''}`);
 
     if (enrichmentCacheConfig.enabled) {
         logger.info(`[configuration] 🗃️  Enrichment cache DB path: ${enrichmentCacheConfig.dbPath}`);
     }
+
+    const librarySnapshotConfig = configManager.getLibrarySnapshotConfig();
+    logger.info(`[configuration] 📚 Library snapshot: ${librarySnapshotConfig.enabled ? `Enabled ✅ (${librarySnapshotConfig.dbPath}, max age ${librarySnapshotConfig.maxAgeMs / 1000}s, file index ${librarySnapshotConfig.fileIndexEnabled ? 'on' : 'off'})` : 'Disabled ❌'}`);
+
+    const resolvedLinkCacheConfig = configManager.getResolvedLinkCacheConfig();
+    logger.info(`[configuration] 🔗 Resolved link cache: ${resolvedLinkCacheConfig.enabled ? `Enabled ✅ (max ${resolvedLinkCacheConfig.maxEntries} links)` : 'Disabled ❌'}`);
+
+    const resolveTokenConfig = configManager.getResolveTokenConfig();
+    logger.info(`[configuration] 🔑 Stream tokens: valid ${resolveTokenConfig.ttlMs / 3600000}h, ${resolveTokenConfig.customSecret ? 'custom secret ✅' : 'default secret (set RESOLVE_TOKEN_SECRET) ⚠️'}`);
+    logger.info(`[configuration] 🔑 Links with a raw API key: ${resolveTokenConfig.legacyKeyLinksUntil > Date.now() ? `accepted until ${new Date(resolveTokenConfig.legacyKeyLinksUntil).toISOString()}` : 'rejected'}`);
+
+    const circuitBreakerConfig = configManager.getCircuitBreakerConfig();
+    logger.info(`[configuration] 🔌 Circuit breaker: opens after ${circuitBreakerConfig.failureThreshold} failures for ${circuitBreakerConfig.openDurationMs / 1000}s`);
+
+    const streamProxyConfig = configManager.getStreamProxyConfig();
+    logger.info(`[configuration] 🔀 Stream proxy: ${streamProxyConfig.enabled ? `Enabled ✅ (max ${streamProxyConfig.maxStreams} streams, ${streamProxyConfig.maxStreamsPerConfig} per configuration)` : 'Disabled ❌'}`);
+
+    const localLibraryConfig = configManager.getLocalLibraryConfig();
+    logger.info(`[configuration] 📁 Local library: ${localLibraryConfig.path ? `Enabled ✅ (${localLibraryConfig.path})` : 'Not configured ❌'}`);
+
+    const manualMappingsConfig = configManager.getManualMappingsConfig();
+    logger.info(`[configuration] 🗺️  Manual mappings: ${manualMappingsConfig.path} (admin API ${manualMappingsConfig.adminToken ? 'enabled ✅' : 'disabled, set ADMIN_API_TOKEN ❌'}, configuration overrides ${manualMappingsConfig.userOverrides ? 'on' : 'off'})`);
+
+    const sceneMappingsConfig = configManager.getSceneMappingsConfig();
+    logger.info(`[configuration] 🎬 Scene episode mappings: ${sceneMappingsConfig.enabled ? `Enabled ✅ (${sceneMappingsConfig.url || sceneMappingsConfig.path}${sceneMappingsConfig.refreshIntervalMs > 0 ? `, refreshed every ${sceneMappingsConfig.refreshIntervalMs / 3600000}h` : ''})` : 'Disabled ❌'}`);
     
     logger.info('[configuration] Search capabilities:');
     logger.info(`  • Alternative titles: ${capabilities.alternativeTitles ? '✅' : '❌'}`);
     logger.info(`  • Anime/absolute episodes: ${capabilities.animeSupport ? '✅' : '❌'}`);
 }
 
-export { encryptConfig, decryptConfig, isEncryptedConfig, validateConfig };
\ No newline at end of file
+export { encryptConfig, decryptConfig, isEncryptedConfig, validateConfig, getDebridAccounts, MAX_DEBRID_ACCOUNTS };
\ No newline at end of file
@@ -1,29 +1,22 @@
 import packageInfo from "../../package.json" with { type: "json" };
+import { getDebridAccounts } from './configuration.js';
+import { getProviderShortName } from '../providers/index.js';
 
-const PROVIDER_SHORT_NAMES = {
-    'AllDebrid': 'AD',
-    'RealDebrid': 'RD', 
-    'TorBox': 'TB',
-    'DebridLink': 'DL',
-    'Premiumize': 'PM'
-};
-
-function getProviderShortName(providerName) {
-    return PROVIDER_SHORT_NAMES[providerName] || providerName;
+function getConfiguredProviders(config) {
+    return [...new Set(getDebridAccounts(config).map(account => account.provider))];
 }
 
 function getManifest(config = {}) {
-    const providerName = config.DebridProvider || '';
-    const shortProviderName = getProviderShortName(providerName);
+    const providerNames = getConfiguredProviders(config);
+    const providerName = providerNames.join(', ');
+    const shortProviderName = providerNames.map(getProviderShortName).join('+');
     const dynamicName = providerName ? `Intelligent Debrid Search (${shortProviderName})` : "Intelligent Debrid Search";
     const dynamicDescription = providerName 
         ? `A smarter Stremio add-on to search downloads and torrents in your Debrid cloud (${providerName}).`
         : packageInfo.description;
     
     const idPrefixes = ['tt'];
-    if (config.DebridProvider) {
-        idPrefixes.push(config.DebridProvider.toLowerCase());
-    }
+    providerNames.forEach(name => idPrefixes.push(name.toLowerCase()));
     
     const manifest = {
         id: "community.stremio.intell-debrid-search",
@@ -54,12 +47,13 @@ function getManifest(config = {}) {
 }
 
 function getCatalogs(config) {
+    const providerName = getConfiguredProviders(config).join(', ');
     return [
         {
             type: 'other',
             id: 'IntellDebridSearch',
-            name: config && config.DebridProvider 
-                ? `Intelligent Debrid Search - ${config.DebridProvider}`
+            name: providerName
+                ? `Intelligent Debrid Search - ${providerName}`
                 : 'Intelligent Debrid Search',
             extra: [
                 { "name": "search", "isRequired": false },
@@ -70,7 +64,7 @@ function getCatalogs(config) {
 }
 
 function isConfigurationRequired(config) {
-    return !(config && config.DebridProvider)
+    return getDebridAccounts(config).length === 0
 }
 
 export { getManifest }
\ No newline at end of file
@@ -4,57 +4,237 @@
  */
 
 import Fuse from 'fuse.js';
-import { isVideo } from '../stream/metadata-extractor.js';
+import { isVideo, FILE_TYPES } from '../stream/metadata-extractor.js';
 import { parseUnified } from '../utils/unified-torrent-parser.js';
 import { encode } from 'urlencode';
 import { logger } from '../utils/logger.js';
-import { configManager } from '../config/configuration.js';
-import { errorManager } from '../utils/error-handler.js';
+import { configManager, parseConfiguration, getDebridAccounts } from '../config/configuration.js';
+import { errorManager, ValidationError, BadRequestError, BadTokenError } from '../utils/error-handler.js';
+import { rateLimiter, getRetryAfterMs, runWithAbortSignal } from '../utils/rate-limiter.js';
+import { getCircuitBreaker, getProviderHealth } from '../utils/circuit-breaker.js';
+import { parseMagnet } from '../utils/magnet.js';
 import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 
-const secureTokenMapping = new Map();
+// Download and torrent ids come from different provider lists and may overlap
+const DOWNLOAD_ID_PREFIX = 'download-';
+
+/**
+ * State of a torrent after addMagnet: `cached` when the provider served it from its cache,
+ * `ready` when it is finished without the provider saying why (e.g. it was already added)
+ */
+export const ADD_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    DOWNLOADING: 'downloading',
+    CACHED: 'cached',
+    READY: 'ready'
+});
+
+const TOKEN_PREFIX = 'st2.'; // Second token format, after the MD5 lookup tokens below
+const PROXY_TOKEN_PREFIX = 'sp1.';
+const TOKEN_IV_LENGTH = 12;
+const TOKEN_TAG_LENGTH = 16;
+// MD5 lookup tokens handed out before signed tokens; the lookup only lived in process memory,
+// and the URLs carried no configuration, so there is nothing left to resolve them from
+const LEGACY_TOKEN_PATTERN = /^[a-f0-9]{16}$/i;
+const EXPIRED_LINK_MESSAGE = 'Stream link has expired, reload the stream list';
+const EXPIRED_LINK_FORMAT_MESSAGE = 'Stream link format has expired, reload the stream list';
+
+const streamLinkContext = new AsyncLocalStorage();
+
+/**
+ * Run fn so that stream URLs built inside it reference accounts of this configuration,
+ * going through the stream proxy when the configuration asks for it (`ProxyStreams`)
+ * @param {string} configuration - Configuration segment of the request URL
+ * @param {Object} config - The parsed configuration
+ */
+export function runWithStreamLinkContext(configuration, config, fn) {
+    return streamLinkContext.run({
+        configuration,
+        accounts: getDebridAccounts(config),
+        proxy: config?.ProxyStreams === true && configManager.getStreamProxyConfig().enabled
+    }, fn);
+}
+
+function getTokenKey() {
+    const { secret } = configManager.getResolveTokenConfig();
+    return crypto.createHash('sha256').update(`resolve-token:${secret}`).digest();
+}
+
+function getConfigurationFingerprint(configuration) {
+    return crypto.createHash('sha256').update(String(configuration)).digest('base64url').substring(0, 16);
+}
+
+function sealToken(prefix, payload) {
+    const iv = crypto.randomBytes(TOKEN_IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getTokenKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+    return prefix + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+function openToken(token, providerName) {
+    try {
+        const data = Buffer.from(token.substring(TOKEN_PREFIX.length), 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getTokenKey(), data.subarray(0, TOKEN_IV_LENGTH));
+        decipher.setAuthTag(data.subarray(TOKEN_IV_LENGTH, TOKEN_IV_LENGTH + TOKEN_TAG_LENGTH));
+        const decrypted = Buffer.concat([decipher.update(data.subarray(TOKEN_IV_LENGTH + TOKEN_TAG_LENGTH)), decipher.final()]);
+        return JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+        logger.warn(`[SECURITY] Token verification failed for ${providerName}: ${error.message}`);
+        throw new BadTokenError('Invalid security token', providerName);
+    }
+}
 
 /**
  * API Key Security Manager
- * Provides centralized secure token generation and resolution for all providers
+ * Stream URLs carry an opaque reference instead of the API key: the provider, the index of the
+ * account in the configuration, a fingerprint of that configuration and an expiry, encrypted and
+ * authenticated with AES-256-GCM. The key itself is read from the configuration in the same URL,
+ * so any instance can resolve the reference without shared state.
  */
 class ApiKeySecurityManager {
     /**
-     * Generate a secure token
+     * Generate a reference to an account of the current stream link context
+     * @returns {string|null} null outside a context or for an account the configuration does not hold
      */
     static generateSecureToken(providerName, apiKey) {
-        const tokenInput = `${providerName}:${apiKey}`;
-        const secureToken = crypto.createHash('md5').update(tokenInput).digest('hex').substring(0, 16);
-        
-        const mappingKey = `${providerName}:${secureToken}`;
-        secureTokenMapping.set(mappingKey, apiKey);
-        return secureToken;
+        return ApiKeySecurityManager.createAccountReference(TOKEN_PREFIX, providerName, apiKey);
+    }
+
+    /**
+     * Generate a /proxy token: an account reference that also carries the file to stream
+     */
+    static generateProxyToken(providerName, apiKey, itemId, hostUrl) {
+        return ApiKeySecurityManager.createAccountReference(PROXY_TOKEN_PREFIX, providerName, apiKey, { i: itemId, u: hostUrl });
+    }
+
+    static createAccountReference(prefix, providerName, apiKey, fields = {}) {
+        const context = streamLinkContext.getStore();
+        const accountIndex = context?.accounts.findIndex(account => account.provider === providerName && account.apiKey === apiKey) ?? -1;
+
+        if (accountIndex === -1) {
+            logger.warn(`[SECURITY] No configured ${providerName} account to reference, stream URL skipped`);
+            return null;
+        }
+
+        const { ttlMs } = configManager.getResolveTokenConfig();
+        return sealToken(prefix, {
+            p: providerName,
+            a: accountIndex,
+            c: getConfigurationFingerprint(context.configuration),
+            e: Math.floor((Date.now() + ttlMs) / 1000),
+            ...fields
+        });
+    }
+
+    /**
+     * Whether stream URLs of the current context should go through the stream proxy
+     */
+    static isStreamProxyEnabled() {
+        return streamLinkContext.getStore()?.proxy === true;
+    }
+
+    /**
+     * Path prefix of stream URLs: the configuration the references point into
+     */
+    static getStreamUrlPrefix() {
+        const context = streamLinkContext.getStore();
+        return context?.configuration ? `/${context.configuration}` : '';
     }
     
     /**
-     * Resolve a secure token
+     * Resolve the key segment of a /resolve URL to its API key
+     * Besides account references, a raw API key (links of older releases) resolves until the
+     * legacy link cutoff; MD5 lookup tokens are always rejected.
+     * @param {string} configuration - Configuration segment of the stream URL
+     * @throws {BadTokenError} When the token is malformed, tampered with, issued for another provider
+     * or configuration, or expired, and for link formats past their cutoff
      */
-    static resolveSecureToken(providerName, token) {
+    static resolveSecureToken(providerName, token, configuration) {
         if (token === 'null') {
             return null;
         }
-        
-        const mappingKey = `${providerName}:${token}`;
-        const apiKey = secureTokenMapping.get(mappingKey);
-        
-        if (!apiKey) {
-            logger.warn(`[SECURITY] Token resolution failed for ${providerName}:${token}`);
-            return null;
+
+        if (LEGACY_TOKEN_PATTERN.test(token)) {
+            throw new BadTokenError(EXPIRED_LINK_FORMAT_MESSAGE, providerName);
         }
-        
+
+        if (!token.startsWith(TOKEN_PREFIX)) {
+            return ApiKeySecurityManager.resolveRawKey(providerName, token);
+        }
+
+        const payload = openToken(token, providerName);
+
+        if (payload.p !== providerName) {
+            logger.warn(`[SECURITY] Token issued for ${payload.p} used for ${providerName}`);
+            throw new BadTokenError('Invalid security token', providerName);
+        }
+
+        if (!Number.isFinite(payload.e) || payload.e * 1000 < Date.now()) {
+            throw new BadTokenError(EXPIRED_LINK_MESSAGE, providerName);
+        }
+
+        return ApiKeySecurityManager.resolveAccountReference(providerName, payload, configuration);
+    }
+
+    /**
+     * Resolve a /proxy token to the account and file it streams
+     * @returns {{provider: string, apiKey: string, itemId: string, hostUrl: string}}
+     * @throws {BadTokenError} Like resolveSecureToken
+     */
+    static resolveProxyToken(token, configuration) {
+        if (typeof token !== 'string' || !token.startsWith(PROXY_TOKEN_PREFIX)) {
+            throw new BadTokenError('Invalid security token');
+        }
+
+        const payload = openToken(token, 'proxy');
+        if (!Number.isFinite(payload.e) || payload.e * 1000 < Date.now()) {
+            throw new BadTokenError(EXPIRED_LINK_MESSAGE, payload.p);
+        }
+
+        return {
+            provider: payload.p,
+            apiKey: ApiKeySecurityManager.resolveAccountReference(payload.p, payload, configuration),
+            itemId: payload.i,
+            hostUrl: payload.u
+        };
+    }
+
+    static resolveAccountReference(providerName, payload, configuration) {
+        if (!configuration || payload.c !== getConfigurationFingerprint(configuration)) {
+            logger.warn(`[SECURITY] ${providerName} token used with another configuration`);
+            throw new BadTokenError('Invalid security token', providerName);
+        }
+
+        const account = getDebridAccounts(parseConfiguration(configuration))[payload.a];
+        if (!account || account.provider !== providerName) {
+            throw new BadTokenError(EXPIRED_LINK_MESSAGE, providerName);
+        }
+
+        return account.apiKey;
+    }
+
+    /**
+     * Raw API keys in the URL resolve during the migration window (RESOLVE_TOKEN_DEPLOYED_AT + grace period)
+     */
+    static resolveRawKey(providerName, apiKey) {
+        const { legacyKeyLinksUntil } = configManager.getResolveTokenConfig();
+
+        if (!legacyKeyLinksUntil || legacyKeyLinksUntil < Date.now()) {
+            logger.warn(`[SECURITY] ${providerName} link carrying a raw API key rejected`);
+            throw new BadTokenError(EXPIRED_LINK_FORMAT_MESSAGE, providerName);
+        }
+
+        logger.debug(`[SECURITY] Resolving ${providerName} link carrying a raw API key (migration window)`);
         return apiKey;
     }
     
     /**
-     * Check if a string looks like a secure token (16 hex characters)
+     * Check if a string looks like a secure token (account reference, or an MD5 lookup token of older releases)
      */
     static isSecureToken(str) {
-        return str && str.length === 16 && /^[a-f0-9]+$/i.test(str);
+        return typeof str === 'string' && (str.startsWith(TOKEN_PREFIX) || LEGACY_TOKEN_PATTERN.test(str));
     }
 }
 
@@ -77,41 +257,114 @@ export class BaseProvider {
         logger.debug(`[BaseProvider-${this.providerName}] BaseProvider initialized`);
     }
 
-    async makeApiCall(apiCall, retries = this.defaultRetries, context = 'api-call') {
+    /**
+     * Run one HTTP request through the shared rate limiter (per-key bucket from descriptor.rateLimit)
+     */
+    schedule(apiKey, request) {
+        return rateLimiter.schedule(this.providerName, apiKey, request, {
+            limits: this.constructor.descriptor?.rateLimit
+        });
+    }
+
+    /**
+     * Feed rate-limit headers of a successful response to the limiter
+     */
+    noteRateLimitHeaders(apiKey, response) {
+        rateLimiter.noteHeaders(this.providerName, apiKey, this.constructor.descriptor?.rateLimit, response);
+    }
+
+    getCircuitBreaker() {
+        return getCircuitBreaker(this.providerName, configManager.getCircuitBreakerConfig());
+    }
+
+    /**
+     * Circuit breaker state of this provider ({ state, available, retryInMs, ... })
+     */
+    getHealth() {
+        return getProviderHealth(this.providerName);
+    }
+
+    /**
+     * Whether an error means the provider itself is failing (timeouts, HTML error pages, 5xx, network).
+     * Auth and other 4xx answers show the provider is up and do not count.
+     */
+    isProviderFailure(error) {
+        const status = error?.response?.status ?? error?.status ?? error?.statusCode;
+        return !this.isAuthenticationError(error) && !(status >= 400 && status < 500);
+    }
+
+    /**
+     * Call a provider API with timeout and retries.
+     * Pass `options.apiKey` when apiCall makes a single request so it is rate limited here;
+     * calls that make several requests schedule each of them through this.schedule instead.
+     * While the provider's circuit is open, calls fail fast and resolve to null.
+     */
+    async makeApiCall(apiCall, retries = this.defaultRetries, context = 'api-call', options = {}) {
         let lastError;
+        const breaker = this.getCircuitBreaker();
+        const runCall = 'apiKey' in options
+            ? () => this.schedule(options.apiKey, apiCall)
+            : apiCall;
         
         for (let attempt = 1; attempt <= retries; attempt++) {
+            if (!breaker.tryAcquire()) {
+                logger.debug(`[BaseProvider-${this.providerName}] ${context} - Circuit ${breaker.state}, failing fast`);
+                return lastError ? this.handleError(lastError, context) : null;
+            }
+
+            // Aborted on timeout, so requests of this attempt still waiting in the rate limiter queue are dropped
+            const attemptController = new AbortController();
+            let timeoutTimer;
+
             try {
                 logger.debug(`[BaseProvider-${this.providerName}] ${context} - Attempt ${attempt}/${retries}`);
                 
                 const result = await Promise.race([
-                    apiCall(),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('API call timeout')), this.defaultTimeout)
-                    )
-                ]);
+                    runWithAbortSignal(attemptController.signal, runCall),
+                    new Promise((_, reject) => {
+                        timeoutTimer = setTimeout(() => {
+                            const error = new Error('API call timeout');
+                            attemptController.abort(error);
+                            reject(error);
+                        }, this.defaultTimeout);
+                    })
+                ]).finally(() => clearTimeout(timeoutTimer));
                 
                 // Universal HTML error detection before processing
                 this.detectHtmlErrorResponse(result, context);
                 
+                breaker.onSuccess();
                 logger.debug(`[BaseProvider-${this.providerName}] ${context} - Success on attempt ${attempt}`);
                 return result;
                 
             } catch (error) {
                 lastError = error;
                 
+                if (error.name === 'RateLimitError' || error instanceof ValidationError) {
+                    breaker.onIgnored();
+                } else if (this.isProviderFailure(error)) {
+                    breaker.onFailure(error);
+                } else {
+                    breaker.onSuccess();
+                }
+                
                 if (attempt === retries) {
                     logger.warn(`[BaseProvider-${this.providerName}] ${context} - All ${retries} attempts failed:`, error.message);
                 } else {
                     logger.debug(`[BaseProvider-${this.providerName}] ${context} - Attempt ${attempt}/${retries} failed:`, error.message);
                 }
                 
-                if (this.isAuthenticationError(error)) {
+                if (this.isAuthenticationError(error) || error.name === 'RateLimitError') {
                     break;
                 }
                 
                 if (attempt < retries) {
-                    const delay = Math.pow(2, attempt) * 1000; // 2s, 4s, 8s...
+                    // Exponential backoff (2s, 4s, 8s...), stretched to any Retry-After the provider sent
+                    const retryAfter = Math.max(
+                        getRetryAfterMs(error.response?.headers || error.headers) || 0,
+                        'apiKey' in options ? rateLimiter.getPauseRemaining(this.providerName, options.apiKey) : 0
+                    );
+                    const delay = Math.max(Math.pow(2, attempt) * 1000, retryAfter);
                     logger.debug(`[BaseProvider-${this.providerName}] Retrying in ${delay}ms...`);
                     await new Promise(resolve => setTimeout(resolve, delay));
                 }
@@ -238,6 +491,70 @@ export class BaseProvider {
         };
     }
 
+    /**
+     * Hoster download as a search result. It is a single video carrying its own stream URL,
+     * so it flows through matching and stream building without a details call.
+     * @param {string} apiKey - Account API key (for the secure stream URL)
+     * @param {Object} download - { id, name, size, created, link } where link is the hoster link to unrestrict
+     */
+    normalizeDownload(apiKey, download) {
+        const id = `${DOWNLOAD_ID_PREFIX}${download.id}`;
+        const info = parseUnified(download.name);
+        const created = this.parseDate(download.created);
+        const url = this.buildSecureStreamUrl(apiKey, id, { link: download.link });
+
+        return {
+            source: this.providerName,
+            id,
+            name: download.name,
+            type: 'other',
+            fileType: FILE_TYPES.DOWNLOADS,
+            url,
+            info,
+            size: download.size,
+            created,
+            videos: [{ id: `${id}:0`, name: download.name, url, size: download.size, created, info }]
+        };
+    }
+
+    /**
+     * Parse the magnet or infohash given to addMagnet
+     * @returns {{hash: string, magnet: string, name: string|null}}
+     */
+    parseMagnetInput(magnetOrHash) {
+        const parsed = parseMagnet(magnetOrHash);
+        if (!parsed) {
+            throw new BadRequestError('Expected a magnet link or infohash');
+        }
+        return parsed;
+    }
+
+    /**
+     * Shape of an addMagnet result; progress is a percentage (0-100)
+     */
+    normalizeAddResult({ id, name, hash, status, progress }) {
+        const finished = status === ADD_STATUS.CACHED || status === ADD_STATUS.READY;
+        return {
+            provider: this.providerName,
+            id: id ?? null,
+            name: name || null,
+            hash: hash ? String(hash).toLowerCase() : null,
+            status,
+            progress: finished ? 100 : Math.max(0, Math.min(100, Math.round(Number(progress) || 0)))
+        };
+    }
+
+    /**
+     * Map requested hashes to whether the provider listed them as cached
+     * @param {string[]} hashes - Requested lowercase hex infohashes
+     * @param {Iterable<string>} cachedHashes - Hashes the provider reported as cached
+     * @returns {Object<string, boolean>}
+     */
+    normalizeCachedResult(hashes, cachedHashes) {
+        const cached = new Set([...cachedHashes].map(hash => String(hash).toLowerCase()));
+        return Object.fromEntries(hashes.map(hash => [hash, cached.has(hash)]));
+    }
+
     /**
      * Standard video file extraction and URL building
      */
@@ -280,8 +597,24 @@ export class BaseProvider {
      */
     buildSecureStreamUrl(apiKey, torrentId, file, index = 0) {
         const hostUrl = file.link || file.download || file.url;
+        return this.buildResolveUrl(apiKey, torrentId, hostUrl);
+    }
+
+    /**
+     * /resolve URL for a host link (a /proxy URL when the configuration proxies streams);
+     * null when the account cannot be referenced
+     */
+    buildResolveUrl(apiKey, torrentId, hostUrl) {
+        if (ApiKeySecurityManager.isStreamProxyEnabled()) {
+            const proxyToken = ApiKeySecurityManager.generateProxyToken(this.providerName, apiKey, torrentId, hostUrl);
+            return proxyToken && `${process.env.ADDON_URL}${ApiKeySecurityManager.getStreamUrlPrefix()}/proxy/${proxyToken}`;
+        }
+
         const secureToken = ApiKeySecurityManager.generateSecureToken(this.providerName, apiKey);
-        return `${process.env.ADDON_URL}/resolve/${this.providerName}/${secureToken}/${torrentId}/${encode(hostUrl)}`;
+        if (!secureToken) {
+            return null;
+        }
+        return `${process.env.ADDON_URL}${ApiKeySecurityManager.getStreamUrlPrefix()}/resolve/${this.providerName}/${secureToken}/${torrentId}/${encode(hostUrl)}`;
     }
 
     /**
@@ -417,9 +750,44 @@ export class BaseProvider {
         throw new Error(`BaseProvider-${this.constructor.name} does not support URL unrestriction`);
     }
 
+    /**
+     * Turn a /resolve request into a playable URL.
+     * Providers without the unrestrict capability already hand out direct links.
+     */
+    async resolveLink(apiKey, itemId, hostUrl, clientIp) {
+        if (!this.constructor.descriptor?.capabilities?.unrestrict) {
+            return hostUrl;
+        }
+        return this.unrestrictUrl(apiKey, hostUrl, clientIp);
+    }
+
     async searchDownloads(apiKey, searchKey, threshold) {
         throw new Error(`BaseProvider-${this.constructor.name} does not support download search`);
     }
+
+    /**
+     * Raw hoster downloads of the account, mapped per search with toDownload(apiKey, item).
+     * Implemented by providers with the `downloads` capability.
+     */
+    async listDownloads(apiKey) {
+        throw new Error(`BaseProvider-${this.constructor.name} does not support downloads`);
+    }
+
+    /**
+     * Add a magnet link or infohash to the account. Implemented by providers with the
+     * `addMagnet` capability; resolves to normalizeAddResult() or null when the provider failed.
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        throw new Error(`BaseProvider-${this.constructor.name} does not support adding magnets`);
+    }
+
+    /**
+     * Instant availability of infohashes (lowercase hex). Implemented by providers with the
+     * `cacheCheck` capability; resolves to normalizeCachedResult() or null when the provider failed.
+     */
+    async checkCached(apiKey, hashes) {
+        throw new Error(`BaseProvider-${this.constructor.name} does not support cache checks`);
+    }
 }
 
 export { BaseProvider as default, ApiKeySecurityManager };
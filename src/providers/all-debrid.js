@@ -1,23 +1,25 @@
 import axios from 'axios';
-import Bottleneck from 'bottleneck';
+import crypto from 'crypto';
 import querystring from 'querystring';
-import { encode } from 'urlencode';
-import BaseProvider, { ApiKeySecurityManager } from './BaseProvider.js';
+import BaseProvider, { ADD_STATUS } from './BaseProvider.js';
 import { parseUnified } from '../utils/unified-torrent-parser.js';
 import { isVideo } from '../stream/metadata-extractor.js';
-
-// Rate limiter 
-const limiter = new Bottleneck({
-    minTime: 1000 / 12, // ~12 req/s
-    maxConcurrent: 5,
-    reservoir: 600, // 600/min
-    reservoirRefreshAmount: 600,
-    reservoirRefreshInterval: 60 * 1000
-});
+import { ProviderError } from '../utils/error-handler.js';
+import { logger } from '../utils/logger.js';
 
 const ALL_DEBRID_CLIENT_NAME = 'intell-debridsearch';
+const PIN_REQUEST_TIMEOUT = 10000;
 
 class AllDebridProvider extends BaseProvider {
+    static descriptor = {
+        name: 'AllDebrid',
+        shortCode: 'AD',
+        apiKeyUrl: 'https://alldebrid.com/apikeys',
+        capabilities: { bulkDetails: true, unrestrict: true, downloads: true, usenet: false, deviceLogin: true, addMagnet: true, cacheCheck: false },
+        rateLimit: { requestsPerMinute: 600, burst: 12 }, // Documented: 12 requests/s and 600 requests/min per API key
+        linkTtlSeconds: 2 * 60 * 60 // Unlocked links stay valid for a few hours
+    };
+
     constructor() {
         super('AllDebrid');
         this.baseUrl = 'https://api.alldebrid.com/v4.1'; // Updated to v4.1
@@ -69,6 +71,58 @@ class AllDebridProvider extends BaseProvider {
         }
     }
 
+    static async pinRequest(endpoint, params = {}) {
+        const pinUrl = new URL(`https://api.alldebrid.com/v4/pin/${endpoint}`);
+        pinUrl.searchParams.set('agent', ALL_DEBRID_CLIENT_NAME);
+        Object.entries(params).forEach(([key, value]) => pinUrl.searchParams.set(key, value));
+
+        const response = await fetch(pinUrl, { signal: AbortSignal.timeout(PIN_REQUEST_TIMEOUT) });
+        return response.json();
+    }
+
+    /**
+     * Start a PIN authorization; the PIN and its check token travel together as the device code
+     * @returns {Promise<{deviceCode: string, userCode: string, verificationUrl: string, interval: number, expiresIn: number}>}
+     */
+    static async startDeviceLogin() {
+        const data = await AllDebridProvider.pinRequest('get');
+
+        if (data.status !== 'success' || !data.data?.pin) {
+            throw new ProviderError(`PIN request failed: ${data.error?.message || data.error?.code || 'unknown error'}`, 'AllDebrid');
+        }
+
+        return {
+            deviceCode: `${data.data.pin}:${data.data.check}`,
+            userCode: data.data.pin,
+            verificationUrl: data.data.user_url || data.data.base_url,
+            interval: 5,
+            expiresIn: data.data.expires_in
+        };
+    }
+
+    /**
+     * Check whether the user approved the PIN; once approved AllDebrid returns a dedicated API key
+     * @returns {Promise<{status: 'pending'|'expired'}|{status: 'authorized', apiKey: string}>}
+     */
+    static async pollDeviceLogin(deviceCode) {
+        const [pin, check] = String(deviceCode).split(':');
+        const data = await AllDebridProvider.pinRequest('check', { pin, check });
+
+        if (data.status !== 'success') {
+            if (['PIN_EXPIRED', 'PIN_INVALID'].includes(data.error?.code)) {
+                return { status: 'expired' };
+            }
+            throw new ProviderError(`PIN check failed: ${data.error?.message || data.error?.code || 'unknown error'}`, 'AllDebrid');
+        }
+
+        if (!data.data?.activated || !data.data?.apikey) {
+            return { status: 'pending' };
+        }
+
+        logger.info('[AllDebrid] PIN authorization approved');
+        return { status: 'authorized', apiKey: data.data.apikey };
+    }
+
     getHeaders(apiKey) {
         return {
             'Authorization': `Bearer ${apiKey}`,
@@ -98,7 +152,7 @@ class AllDebridProvider extends BaseProvider {
         
         while (retryCount <= maxRetries) {
             try {
-                const response = await limiter.schedule(() => axios({
+                const response = await this.schedule(apiKey, () => axios({
                     method: 'POST',
                     url: requestUrl.toString(),
                     data: querystring.stringify(postData),
@@ -123,8 +177,8 @@ class AllDebridProvider extends BaseProvider {
                         }
                         throw new Error(`HTTP 403 Forbidden - Anti-bot detection triggered`);
                     } else if (response.status === 503 || response.status === 429) {
-                        const delay = Math.pow(2, retryCount) * 2000 + Math.random() * 1000;
-                        await new Promise(resolve => setTimeout(resolve, delay));
+                        // The shared limiter pauses this key (Retry-After aware) before the next attempt
+                        this.noteRateLimitHeaders(apiKey, response);
                         retryCount++;
                         continue;
                     }
@@ -157,12 +211,15 @@ class AllDebridProvider extends BaseProvider {
                 return parsedResponse;
 
             } catch (error) {
-                if (retryCount >= maxRetries) {
+                if (retryCount >= maxRetries || error.name === 'RateLimitError') {
                     throw error;
                 }
                 retryCount++;
-                const delay = Math.pow(2, retryCount) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
+                // Rate-limited requests already paused the limiter bucket, no extra backoff needed
+                if (![429, 503].includes(error.response?.status)) {
+                    const delay = Math.pow(2, retryCount) * 1000;
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
             }
         }
     }
@@ -314,13 +371,12 @@ class AllDebridProvider extends BaseProvider {
     }
 
     buildSecureStreamUrl(apiKey, torrentId, file, index = 0) {
-        if (!file || !file.l) {
+        const hostUrl = file?.l || file?.link; // AllDebrid uses 'l' for magnet file URLs
+        if (!hostUrl) {
             return null;
         }
 
-        const hostUrl = file.l; // AllDebrid uses 'l' for file URL
-        const secureToken = ApiKeySecurityManager.generateSecureToken(this.providerName, apiKey);
-        return `${process.env.ADDON_URL}/resolve/${this.providerName}/${secureToken}/${torrentId}/${encode(hostUrl)}`;
+        return this.buildResolveUrl(apiKey, torrentId, hostUrl);
     }
 
     /**
@@ -433,6 +489,56 @@ class AllDebridProvider extends BaseProvider {
         }, 3, 'listTorrentsParallel');
     }
 
+    /**
+     * Saved links of the account (hoster links kept on alldebrid.com)
+     */
+    async listDownloads(apiKey) {
+        return this.makeApiCall(async () => {
+            const response = await this.makeAllDebridRequest('user/links', {}, apiKey);
+            this.validateApiResponse(response, ['data']);
+
+            return (response.data?.links || []).filter(link => link.link && isVideo(link.filename));
+        }, 3, 'listDownloads');
+    }
+
+    /**
+     * Saved links have no id of their own, the link itself identifies them
+     */
+    toDownload(apiKey, item) {
+        return this.normalizeDownload(apiKey, {
+            id: crypto.createHash('sha1').update(item.link).digest('hex').substring(0, 16),
+            name: item.filename,
+            size: item.size,
+            created: item.date,
+            link: item.link
+        });
+    }
+
+    /**
+     * Upload a magnet; AllDebrid flags cached torrents as `ready` and answers a repeated
+     * upload with the existing magnet, so the call is safe to retry
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        const { magnet, hash } = this.parseMagnetInput(magnetOrHash);
+
+        return this.makeApiCall(async () => {
+            const response = await this.makeAllDebridRequest('magnet/upload', { 'magnets[]': magnet }, apiKey);
+            this.validateApiResponse(response, ['data']);
+
+            const uploaded = response.data?.magnets?.[0];
+            if (!uploaded || uploaded.error) {
+                throw new ProviderError(`Magnet upload failed: ${uploaded?.error?.message || uploaded?.error?.code || 'no magnet returned'}`, this.providerName);
+            }
+
+            return this.normalizeAddResult({
+                id: uploaded.id,
+                name: uploaded.name,
+                hash: uploaded.hash || hash,
+                status: uploaded.ready ? ADD_STATUS.CACHED : ADD_STATUS.QUEUED
+            });
+        }, 3, `addMagnet(${hash})`);
+    }
+
     async unrestrictUrl(apiKey, hostUrl) {
         return this.makeApiCall(async () => {
             const response = await this.makeAllDebridRequest('link/unlock', { link: hostUrl }, apiKey);
@@ -1,11 +1,35 @@
-import DebridLinkClient from 'debrid-link-api'
 import { isVideo } from '../stream/metadata-extractor.js'
 import { parseUnified } from '../utils/unified-torrent-parser.js'
 import { BadTokenError, AccessDeniedError } from '../utils/error-handler.js'
 import { logger } from '../utils/logger.js'
-import { BaseProvider } from './BaseProvider.js'
+import { BaseProvider, ADD_STATUS } from './BaseProvider.js'
+
+const API_URL = 'https://debrid-link.com/api/v2'
+const REQUEST_TIMEOUT_MS = 15000
+const PAGE_SIZE = 50 // Largest perPage Debrid-Link accepts
+const MAX_PAGES = 200
+
+function isBadToken(err) {
+    return err === 'badToken' || err?.error === 'badToken'
+}
+
+function logApiError(err) {
+    if (isBadToken(err)) {
+        logger.warn('[DebridLink] Invalid or expired API token');
+    } else {
+        logger.warn('[DebridLink] API error:', err?.message || err);
+    }
+}
 
 class DebridLinkProvider extends BaseProvider {
+    static descriptor = {
+        name: 'DebridLink',
+        shortCode: 'DL',
+        apiKeyUrl: 'https://debrid-link.fr/webapp/apikey',
+        capabilities: { bulkDetails: false, unrestrict: false, downloads: true, usenet: false, deviceLogin: false, addMagnet: true, cacheCheck: true },
+        rateLimit: { requestsPerMinute: 240, burst: 10 } // No published limit, conservative default
+    };
+
     constructor() {
         super('DebridLink')
     }
@@ -61,114 +85,161 @@ class DebridLinkProvider extends BaseProvider {
         return this.performFuzzySearch(torrents, searchKey, threshold)
     }
 
-    async listTorrents(apiKey, skip = 0) {
-        const DL = new DebridLinkClient(apiKey)
-        const idParent = 'seedbox'
-        let torrents = []
+    /**
+     * Debrid-Link REST call; `form` is POSTed url-encoded. `success: false` answers throw
+     * with the API error code attached
+     */
+    async requestApi(apiKey, path, params = {}, form = null) {
+        const url = new URL(`${API_URL}/${path}`)
+        for (const [name, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) url.searchParams.set(name, String(value))
+        }
 
-        let nextPage = Math.floor(skip / 50)
+        const response = await this.schedule(apiKey, () => fetch(url, {
+            method: form ? 'POST' : 'GET',
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            body: form ? new URLSearchParams(form) : undefined,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        }))
+        const data = await response.json().catch(() => ({}))
 
-        await DL.files.list(idParent, nextPage)
-            .then(result => {
-                if (result.success) {
-                    torrents = torrents.concat(result.value)
-                }
+        if (!data.success) {
+            throw Object.assign(new Error(data.error || `HTTP ${response.status}`), {
+                error: data.error,
+                status: response.status,
+                headers: response.headers
             })
-            .catch(err => {
-                if (err === 'badToken') {
-                    logger.warn('[DebridLink] Invalid or expired API token');
-                } else {
-                    logger.warn('[DebridLink] API error:', err?.message || err);
-                }
+        }
+        return data
+    }
+
+    /**
+     * Follow the `pagination.next` cursor of a list endpoint until the last page
+     */
+    async listAllPages(apiKey, path) {
+        const items = []
+        let page = 0
+
+        for (let i = 0; i < MAX_PAGES && page !== -1 && page !== undefined && page !== null; i++) {
+            const result = await this.requestApi(apiKey, path, { page, perPage: PAGE_SIZE })
+            items.push(...(result.value || []))
+            page = result.pagination?.next
+        }
+
+        if (page !== -1 && page !== undefined && page !== null) {
+            logger.warn(`[DebridLink] Stopped listing ${path} after ${MAX_PAGES} pages`)
+        }
+        return items
+    }
+
+    async listTorrents(apiKey, skip = 0) {
+        let torrents = []
+
+        try {
+            const result = await this.requestApi(apiKey, 'seedbox/list', {
+                page: Math.floor(skip / PAGE_SIZE),
+                perPage: PAGE_SIZE
             })
+            torrents = result.value || []
+        } catch (err) {
+            logApiError(err)
+        }
 
         return torrents.map(torrent => this.extractCatalogMeta({
             id: torrent.id.split('-')[0],
             name: torrent.name
-        })) || []
+        }))
     }
 
+    /**
+     * Every seedbox torrent, with its files and their direct links
+     */
     async listTorrentsParallel(apiKey) {
         try {
-            const DL = new DebridLinkClient(apiKey)
-            const idParent = 'seedbox'
-            let torrents = []
-            let promises = []
-
-            let nextPage = 0
-            let totalPages = 0
-            await DL.files.list(idParent)
-                .then(result => {
-                    if (result.success) {
-                        torrents = torrents.concat(result.value)
-                        totalPages = Math.min(10, result.pagination.pages)
-                        nextPage = result.pagination.next
-                    }
-                })
-                .catch(err => {
-                    if (err === 'badToken') {
-                        logger.warn('[DebridLink] Invalid or expired API token');
-                    } else {
-                        logger.warn('[DebridLink] API error:', err?.message || err);
-                    }
-                })
-
-            while (nextPage != -1 && nextPage < totalPages) {
-                promises.push(
-                    DL.files.list(idParent, nextPage)
-                        .then(result => {
-                            if (result.success) {
-                                const additionalTorrents = result.value || [];
-                                torrents = torrents.concat(additionalTorrents)
-                            }
-                        })
-                        .catch(err => {
-                            if (err === 'badToken') {
-                                logger.warn('[DebridLink] Invalid or expired API token');
-                            }
-                        })
-                )
-                nextPage = nextPage + 1
+            return await this.listAllPages(apiKey, 'seedbox/list')
+        } catch (err) {
+            logApiError(err)
+            return [];
+        }
+    }
+
+    /**
+     * Links added through the downloader; expired ones can no longer be streamed
+     */
+    async listDownloads(apiKey) {
+        const links = await this.listAllPages(apiKey, 'downloader/list')
+        return links.filter(link => !link.expired && link.downloadUrl && isVideo(link.name))
+    }
+
+    /**
+     * Downloader links are direct links already, like seedbox files
+     */
+    toDownload(apiKey, item) {
+        return this.normalizeDownload(apiKey, {
+            id: item.id,
+            name: item.name,
+            size: item.size,
+            created: item.created,
+            link: item.downloadUrl
+        })
+    }
+
+    /**
+     * Add a magnet to the seedbox; Debrid-Link answers with the torrent, already complete
+     * when it was cached
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        const { magnet, hash } = this.parseMagnetInput(magnetOrHash)
+
+        try {
+            const result = await this.requestApi(apiKey, 'seedbox/add', {}, { url: magnet, async: true })
+            const torrent = result.value || {}
+            const progress = torrent.downloadPercent || 0
+
+            let status = ADD_STATUS.QUEUED
+            if (progress >= 100) {
+                status = ADD_STATUS.READY
+            } else if (progress > 0) {
+                status = ADD_STATUS.DOWNLOADING
             }
 
-            await Promise.all(promises)
-                .catch(err => {
-                    logger.warn('[DebridLink] Batch fetch error:', err?.message || err);
-                })
+            return this.normalizeAddResult({
+                id: torrent.id?.split('-')[0],
+                name: torrent.name,
+                hash: torrent.hashString || hash,
+                status,
+                progress
+            })
+        } catch (err) {
+            return this.handleError(err)
+        }
+    }
 
-            return torrents || []
-        } catch (error) {
-            logger.warn(`[DebridLink] listTorrentsParallel failed: ${error?.message || error}`);
-            return [];
+    /**
+     * `seedbox/cached` lists the cached torrents keyed by the requested hash
+     */
+    async checkCached(apiKey, hashes) {
+        try {
+            const result = await this.requestApi(apiKey, 'seedbox/cached', { url: hashes.join(',') })
+            return this.normalizeCachedResult(hashes, Object.keys(result.value || {}))
+        } catch (err) {
+            return this.handleError(err)
         }
     }
 
     async getTorrentDetails(apiKey, ids) {
-        const DL = new DebridLinkClient(apiKey)
-
         const idArray = Array.isArray(ids) ? ids : [ids];
 
-        return await DL.seedbox.list()
-            .then(result => result.value)
-            .then(async torrents => {
-                const filteredTorrents = torrents.filter(torrent => 
-                    idArray.includes(torrent.id)
-                );
-                
-                
-                const detailsPromises = filteredTorrents.map(torrent => this.toTorrentDetails(torrent, apiKey, 'stream'));
-                const detailsArray = await Promise.all(detailsPromises);
-                
-                return Array.isArray(ids) ? detailsArray : (detailsArray[0] || null);
-            })
-            .catch(err => {
-                if (err === 'badToken') {
-                    logger.warn('[DebridLink] Invalid or expired API token');
-                } else {
-                    logger.warn('[DebridLink] API error:', err?.message || err);
-                }
-                return null;
-            })
+        try {
+            const result = await this.requestApi(apiKey, 'seedbox/list', { ids: idArray.join(',') })
+            const torrents = (result.value || []).filter(torrent => idArray.includes(torrent.id))
+
+            const detailsArray = await Promise.all(torrents.map(torrent => this.toTorrentDetails(torrent, apiKey, 'stream')))
+            return Array.isArray(ids) ? detailsArray : (detailsArray[0] || null)
+        } catch (err) {
+            logApiError(err)
+            return null
+        }
     }
 
     toTorrent(item) {
@@ -178,7 +249,7 @@ class DebridLinkProvider extends BaseProvider {
             name: item.name,
             type: 'other',
             info: parseUnified(item.name),
-            size: item.size,
+            size: item.totalSize ?? item.size,
             created: new Date(item.created * 1000),
         }
     }
@@ -218,7 +289,7 @@ class DebridLinkProvider extends BaseProvider {
     }
 
     handleError(err) {
-        if (err === 'badToken') {
+        if (isBadToken(err)) {
             logger.warn('[DebridLink] Invalid or expired API token');
             return Promise.reject(new BadTokenError('Invalid API token', 'DebridLink'))
         }
@@ -0,0 +1,26 @@
+/**
+ * Provider registrations
+ * Import this module (rather than registry.js) wherever providers are looked up, so
+ * every built-in provider is registered before the first lookup.
+ */
+
+import { registerProvider } from './registry.js';
+import { RealDebridProvider } from './real-debrid.js';
+import { DebridLinkProvider } from './debrid-link.js';
+import { AllDebridProvider } from './all-debrid.js';
+import { PremiumizeProvider } from './premiumize.js';
+import { TorBoxProvider } from './torbox.js';
+import { OffcloudProvider } from './offcloud.js';
+import { PutioProvider } from './putio.js';
+import { LocalLibraryProvider } from './local-library.js';
+
+registerProvider(RealDebridProvider);
+registerProvider(DebridLinkProvider);
+registerProvider(AllDebridProvider);
+registerProvider(PremiumizeProvider);
+registerProvider(TorBoxProvider);
+registerProvider(OffcloudProvider);
+registerProvider(PutioProvider);
+registerProvider(LocalLibraryProvider);
+
+export * from './registry.js';
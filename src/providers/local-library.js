@@ -0,0 +1,381 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { encode } from 'urlencode'
+import BaseProvider, { ApiKeySecurityManager } from './BaseProvider.js'
+import { BadTokenError } from '../utils/error-handler.js'
+import { isVideo } from '../stream/metadata-extractor.js'
+import { parseUnified } from '../utils/unified-torrent-parser.js'
+import { configManager } from '../config/configuration.js'
+import { logger } from '../utils/logger.js'
+
+const LOCAL_LIBRARY_PROVIDER = 'LocalLibrary'
+const LOCAL_LIBRARY_PAGE_SIZE = 50
+const LOCAL_LIBRARY_MAX_DEPTH = 8
+const WATCH_RESCAN_DELAY_MS = 5000
+
+function hashId(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, 16);
+}
+
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * In-memory index of the library folder
+ * Each top-level folder or video file is one entry; its nested videos become the entry's files.
+ * The index is built once, then refreshed by fs.watch events and a periodic rescan.
+ */
+class LocalLibraryIndex {
+    constructor(rootPath, { watch, rescanIntervalMs }) {
+        this.rootPath = path.resolve(rootPath);
+        this.watchEnabled = watch;
+        this.rescanIntervalMs = rescanIntervalMs;
+        this.entries = new Map();
+        this.files = new Map();
+        this.lastScan = null;
+        this.scanPromise = null;
+        this.rescanQueued = false;
+        this.watcher = null;
+        this.watchTimer = null;
+        this.rescanTimer = null;
+    }
+
+    /**
+     * Resolve once the first scan has finished; starts watching on first use
+     */
+    async ready() {
+        if (!this.lastScan) {
+            await this.scan();
+            this.startWatching();
+        }
+        return this;
+    }
+
+    async scan() {
+        if (this.scanPromise) {
+            this.rescanQueued = true;
+            return this.scanPromise;
+        }
+
+        this.scanPromise = this.buildIndex()
+            .catch(error => {
+                logger.error(`[local-library] Scan of ${this.rootPath} failed: ${error.message}`);
+            })
+            .finally(() => {
+                this.scanPromise = null;
+                if (this.rescanQueued) {
+                    this.rescanQueued = false;
+                    this.scan();
+                }
+            });
+
+        return this.scanPromise;
+    }
+
+    async buildIndex() {
+        const startTime = Date.now();
+        const entries = new Map();
+        const files = new Map();
+
+        const topLevel = await fs.promises.readdir(this.rootPath, { withFileTypes: true });
+
+        for (const dirent of topLevel) {
+            if (dirent.name.startsWith('.')) continue;
+
+            const entryPath = path.join(this.rootPath, dirent.name);
+            let entryFiles = [];
+
+            if (dirent.isDirectory()) {
+                entryFiles = await this.collectVideoFiles(entryPath, entryPath, 0);
+            } else if (dirent.isFile() && isVideo(dirent.name)) {
+                const stats = await fs.promises.stat(entryPath);
+                entryFiles = [{ name: dirent.name, absolutePath: entryPath, size: stats.size, modified: stats.mtimeMs }];
+            }
+
+            if (entryFiles.length === 0) continue;
+
+            const entryId = hashId(dirent.name);
+            const indexedFiles = entryFiles.map(file => {
+                const fileId = hashId(path.relative(this.rootPath, file.absolutePath));
+                files.set(fileId, { absolutePath: file.absolutePath, size: file.size, name: path.basename(file.name) });
+                return { id: fileId, name: file.name, size: file.size };
+            });
+
+            entries.set(entryId, {
+                id: entryId,
+                name: dirent.name,
+                info: parseUnified(dirent.name),
+                size: entryFiles.reduce((total, file) => total + file.size, 0),
+                created: Math.max(...entryFiles.map(file => file.modified)),
+                files: indexedFiles
+            });
+        }
+
+        this.entries = entries;
+        this.files = files;
+        this.lastScan = Date.now();
+
+        logger.info(`[local-library] Indexed ${entries.size} items (${files.size} videos) in ${Date.now() - startTime}ms`);
+    }
+
+    /**
+     * Recursively collect video files below a folder; names are relative to the entry folder.
+     * Symbolic links are skipped so the index cannot escape the library root.
+     */
+    async collectVideoFiles(folderPath, entryPath, depth) {
+        if (depth >= LOCAL_LIBRARY_MAX_DEPTH) {
+            logger.debug(`[local-library] Max folder depth reached below ${folderPath}`);
+            return [];
+        }
+
+        let dirents;
+        try {
+            dirents = await fs.promises.readdir(folderPath, { withFileTypes: true });
+        } catch (error) {
+            logger.warn(`[local-library] Cannot read ${folderPath}: ${error.message}`);
+            return [];
+        }
+
+        const files = [];
+        for (const dirent of dirents) {
+            if (dirent.name.startsWith('.')) continue;
+
+            const absolutePath = path.join(folderPath, dirent.name);
+            if (dirent.isDirectory()) {
+                files.push(...await this.collectVideoFiles(absolutePath, entryPath, depth + 1));
+            } else if (dirent.isFile() && isVideo(dirent.name)) {
+                const stats = await fs.promises.stat(absolutePath);
+                files.push({
+                    name: path.relative(entryPath, absolutePath),
+                    absolutePath,
+                    size: stats.size,
+                    modified: stats.mtimeMs
+                });
+            }
+        }
+
+        return files;
+    }
+
+    startWatching() {
+        if (this.watchEnabled && !this.watcher) {
+            try {
+                this.watcher = fs.watch(this.rootPath, { recursive: true }, () => this.scheduleRescan());
+                this.watcher.on('error', error => {
+                    logger.warn(`[local-library] File watcher stopped: ${error.message}`);
+                    this.watcher?.close();
+                    this.watcher = null;
+                });
+            } catch (error) {
+                logger.warn(`[local-library] File watching unavailable (${error.message}), relying on periodic rescans`);
+            }
+        }
+
+        if (this.rescanIntervalMs > 0 && !this.rescanTimer) {
+            this.rescanTimer = setInterval(() => this.scan(), this.rescanIntervalMs);
+            this.rescanTimer.unref?.();
+        }
+    }
+
+    /**
+     * Coalesce bursts of watch events (a copy in progress fires many) into one rescan
+     */
+    scheduleRescan() {
+        clearTimeout(this.watchTimer);
+        this.watchTimer = setTimeout(() => this.scan(), WATCH_RESCAN_DELAY_MS);
+        this.watchTimer.unref?.();
+    }
+
+    getEntries() {
+        return [...this.entries.values()].sort((a, b) => b.created - a.created);
+    }
+
+    getEntry(id) {
+        return this.entries.get(id) || null;
+    }
+
+    getFile(fileId) {
+        return this.files.get(fileId) || null;
+    }
+}
+
+let sharedIndex = null;
+
+function getLibraryIndex() {
+    const config = configManager.getLocalLibraryConfig();
+    if (!config.path) {
+        return null;
+    }
+
+    if (!sharedIndex) {
+        sharedIndex = new LocalLibraryIndex(config.path, config);
+    }
+    return sharedIndex;
+}
+
+/**
+ * Media files on a locally mounted folder (e.g. a NAS), searched like a debrid account.
+ * The account "API key" is the server's LOCAL_LIBRARY_ACCESS_KEY, and videos are served
+ * by the /local-library streaming route rather than a debrid host.
+ */
+class LocalLibraryProvider extends BaseProvider {
+    static descriptor = {
+        name: LOCAL_LIBRARY_PROVIDER,
+        shortCode: 'LL',
+        capabilities: { bulkDetails: false, unrestrict: false, downloads: false, usenet: false, deviceLogin: false, addMagnet: false, cacheCheck: false }
+    };
+
+    constructor() {
+        super(LOCAL_LIBRARY_PROVIDER);
+    }
+
+    static isEnabled() {
+        const { path: libraryPath, accessKey } = configManager.getLocalLibraryConfig();
+        return Boolean(libraryPath && accessKey);
+    }
+
+    /**
+     * Validate the library access key before encryption
+     * Static method for use in /encrypt-config endpoint
+     * @param {string} apiKey - Access key to validate
+     * @returns {Promise<{valid: boolean, error?: string}>}
+     */
+    static async validateApiKey(apiKey) {
+        const { path: libraryPath, accessKey } = configManager.getLocalLibraryConfig();
+
+        if (!libraryPath || !accessKey) {
+            return { valid: false, error: 'Local library is not configured on this server' };
+        }
+
+        if (!apiKey || !safeEqual(apiKey, accessKey)) {
+            return { valid: false, error: 'Invalid library access key' };
+        }
+
+        return { valid: true };
+    }
+
+    async getIndex(apiKey) {
+        const { accessKey } = configManager.getLocalLibraryConfig();
+        const index = getLibraryIndex();
+
+        if (!index || !accessKey || !apiKey || !safeEqual(apiKey, accessKey)) {
+            throw new BadTokenError('Invalid library access key', this.providerName);
+        }
+
+        return index.ready();
+    }
+
+    /**
+     * Indexed library items, newest first
+     */
+    async listLibraryItems(apiKey) {
+        const index = await this.getIndex(apiKey);
+        const items = index.getEntries();
+        this.log('debug', `Retrieved ${items.length} library items`);
+        return items;
+    }
+
+    async searchTorrents(apiKey, searchKey, threshold = 0.3) {
+        this.log('debug', `Search torrents with searchKey: ${searchKey}`);
+
+        const items = await this.listLibraryItems(apiKey);
+        const torrents = items.map(item => this.normalizeTorrent(item));
+
+        return this.performFuzzySearch(torrents, searchKey, threshold);
+    }
+
+    /**
+     * List torrents for catalog
+     */
+    async listTorrents(apiKey, skip = 0) {
+        const items = await this.listLibraryItems(apiKey);
+        return items
+            .slice(skip, skip + LOCAL_LIBRARY_PAGE_SIZE)
+            .map(item => this.normalizeTorrent(item, { info: null }));
+    }
+
+    async getTorrentDetails(apiKey, id, context = 'stream') {
+        const index = await this.getIndex(apiKey);
+        const item = index.getEntry(id);
+
+        if (!item) {
+            this.log('debug', `Library item ${id} not found`);
+            return null;
+        }
+
+        const videos = await this.extractVideoFiles(item, apiKey, this.buildSecureStreamUrl.bind(this));
+
+        if (context !== 'stream') {
+            videos.forEach(video => { video.info = { title: video.name }; });
+        }
+
+        return this.normalizeTorrentDetails(item, videos, {
+            hash: null,
+            info: item.info,
+            created: this.parseDate(item.created)
+        });
+    }
+
+    /**
+     * Videos are served by this addon, so the URL points at the streaming route directly
+     */
+    buildSecureStreamUrl(apiKey, torrentId, file) {
+        const secureToken = ApiKeySecurityManager.generateSecureToken(this.providerName, apiKey);
+        if (!secureToken) {
+            return null;
+        }
+        return `${process.env.ADDON_URL}${ApiKeySecurityManager.getStreamUrlPrefix()}/local-library/${secureToken}/${file.id}/${encode(path.basename(file.name))}`;
+    }
+
+    /**
+     * Look up a file for the streaming route
+     * The token must reference the server's current access key, so rotating the key revokes old links.
+     * @param {string} configuration - Configuration segment of the stream URL
+     * @returns {Promise<{absolutePath: string, size: number, name: string}|null>}
+     */
+    async getStreamableFile(token, fileId, configuration) {
+        const { accessKey } = configManager.getLocalLibraryConfig();
+        if (!accessKey || !ApiKeySecurityManager.isSecureToken(token)) {
+            throw new BadTokenError('Invalid library stream token', this.providerName);
+        }
+
+        const tokenKey = ApiKeySecurityManager.resolveSecureToken(this.providerName, token, configuration);
+        if (!tokenKey || !safeEqual(tokenKey, accessKey)) {
+            throw new BadTokenError('Invalid library stream token', this.providerName);
+        }
+
+        const index = await this.getIndex(accessKey);
+        const file = index.getFile(fileId);
+        if (!file) {
+            return null;
+        }
+
+        try {
+            const stats = await fs.promises.stat(file.absolutePath);
+            return { ...file, size: stats.size };
+        } catch (error) {
+            this.log('debug', `Indexed file no longer readable: ${error.message}`);
+            index.scheduleRescan();
+            return null;
+        }
+    }
+
+    normalizeTorrent(item, customFields = {}) {
+        return super.normalizeTorrent({
+            id: item.id,
+            name: item.name,
+            size: item.size,
+            created: item.created
+        }, { info: item.info, ...customFields });
+    }
+}
+
+// Create singleton instance
+const localLibraryProvider = new LocalLibraryProvider();
+
+export default localLibraryProvider;
+export { LocalLibraryProvider };
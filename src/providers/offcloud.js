@@ -0,0 +1,271 @@
+import BaseProvider, { ADD_STATUS } from './BaseProvider.js'
+import { BadTokenError, AccessDeniedError } from '../utils/error-handler.js'
+
+const OFFCLOUD_API_URL = 'https://offcloud.com/api'
+const OFFCLOUD_PAGE_SIZE = 50
+const HISTORY_TTL_MS = 60 * 1000 // One search details many items of the same history
+const CLOUD_ADD_STATUSES = {
+    created: ADD_STATUS.QUEUED,
+    queued: ADD_STATUS.QUEUED,
+    downloading: ADD_STATUS.DOWNLOADING,
+    downloaded: ADD_STATUS.READY
+}
+
+// apiKey -> { expiresAt, promise } of the last /cloud/history listing
+const historyCache = new Map()
+
+class OffcloudProvider extends BaseProvider {
+    static descriptor = {
+        name: 'Offcloud',
+        shortCode: 'OC',
+        apiKeyUrl: 'https://offcloud.com/#/account',
+        capabilities: { bulkDetails: false, unrestrict: true, downloads: false, usenet: false, deviceLogin: false, addMagnet: true, cacheCheck: true },
+        rateLimit: { requestsPerMinute: 120, burst: 5 } // No published limit, conservative default
+    };
+
+    constructor() {
+        super('Offcloud');
+    }
+
+    /**
+     * Validate Offcloud API key before encryption
+     * Static method for use in /encrypt-config endpoint
+     * @param {string} apiKey - API key to validate
+     * @returns {Promise<{valid: boolean, error?: string}>}
+     */
+    static async validateApiKey(apiKey) {
+        const VALIDATION_TIMEOUT = 10000;
+
+        try {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), VALIDATION_TIMEOUT);
+
+            const response = await fetch(`${OFFCLOUD_API_URL}/cloud/history?key=${encodeURIComponent(apiKey)}`, {
+                signal: controller.signal
+            });
+            clearTimeout(timeout);
+
+            if (!response.ok) {
+                return { valid: false, error: `HTTP ${response.status}` };
+            }
+
+            const data = await response.json();
+
+            if (!Array.isArray(data)) {
+                return { valid: false, error: data?.error || 'Invalid API key' };
+            }
+
+            return { valid: true };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { valid: false, error: 'Validation timeout - try again' };
+            }
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Authenticated call against the Offcloud API; GET unless a `form` (object or [name, value]
+     * pairs) is given to POST
+     */
+    async request(apiKey, path, context, form = null) {
+        return this.makeApiCall(async () => {
+            const separator = path.includes('?') ? '&' : '?';
+            const response = await fetch(`${OFFCLOUD_API_URL}${path}${separator}key=${encodeURIComponent(apiKey)}`, {
+                method: form ? 'POST' : 'GET',
+                body: form ? new URLSearchParams(form) : undefined
+            });
+
+            if (response.status === 401) {
+                throw new BadTokenError('Invalid API token', this.providerName);
+            }
+            if (response.status === 403) {
+                throw new AccessDeniedError('Access denied by provider', this.providerName);
+            }
+            if (response.status === 429) {
+                throw Object.assign(new Error('Rate limited by provider'), { status: 429, headers: response.headers });
+            }
+            this.noteRateLimitHeaders(apiKey, response);
+
+            const data = await response.json();
+            if (data && !Array.isArray(data) && data.error) {
+                if (/auth|log ?in|key/i.test(data.error)) {
+                    throw new BadTokenError('Invalid API token', this.providerName);
+                }
+                throw new Error(`API Error: ${data.error}`);
+            }
+
+            return data;
+        }, 3, context, { apiKey });
+    }
+
+    /**
+     * Start a cloud download for a magnet; finished items show up in the cloud history
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        const { magnet, hash, name } = this.parseMagnetInput(magnetOrHash);
+
+        const item = await this.request(apiKey, '/cloud', `addMagnet(${hash})`, { url: magnet });
+        historyCache.delete(apiKey);
+        if (!item?.requestId) {
+            return null;
+        }
+
+        return this.normalizeAddResult({
+            id: item.requestId,
+            name: item.fileName || name,
+            hash,
+            status: CLOUD_ADD_STATUSES[item.status] || ADD_STATUS.QUEUED
+        });
+    }
+
+    async checkCached(apiKey, hashes) {
+        const result = await this.request(apiKey, '/cache', `checkCached(${hashes.length} hashes)`,
+            hashes.map(hash => ['hashes[]', hash]));
+        if (!Array.isArray(result?.cachedItems)) {
+            return null;
+        }
+
+        return this.normalizeCachedResult(hashes, result.cachedItems);
+    }
+
+    /**
+     * Finished cloud downloads, newest first
+     * Offcloud has no per-item endpoint, so the listing is shared for a minute: a search and the
+     * details of every result it returns read the same history instead of one request each.
+     */
+    async listCloudHistory(apiKey) {
+        const now = Date.now();
+        const cached = historyCache.get(apiKey);
+        if (cached && cached.expiresAt > now) {
+            return cached.promise;
+        }
+
+        for (const [key, entry] of historyCache) {
+            if (entry.expiresAt <= now) historyCache.delete(key);
+        }
+
+        const promise = this.fetchCloudHistory(apiKey);
+        historyCache.set(apiKey, { expiresAt: now + HISTORY_TTL_MS, promise });
+        promise.catch(() => {
+            if (historyCache.get(apiKey)?.promise === promise) historyCache.delete(apiKey);
+        });
+        return promise;
+    }
+
+    async fetchCloudHistory(apiKey) {
+        const history = await this.request(apiKey, '/cloud/history', 'listCloudHistory');
+        if (!Array.isArray(history)) {
+            return [];
+        }
+
+        const downloaded = history.filter(item => item.status === 'downloaded');
+        this.log('debug', `Retrieved ${downloaded.length}/${history.length} finished cloud items`);
+        return downloaded;
+    }
+
+    async searchTorrents(apiKey, searchKey, threshold = 0.3) {
+        this.log('debug', `Search torrents with searchKey: ${searchKey}`);
+
+        const history = await this.listCloudHistory(apiKey);
+        const torrents = history.map(item => this.normalizeTorrent(item));
+
+        return this.performFuzzySearch(torrents, searchKey, threshold);
+    }
+
+    /**
+     * List torrents for catalog
+     */
+    async listTorrents(apiKey, skip = 0) {
+        const history = await this.listCloudHistory(apiKey);
+        return history
+            .slice(skip, skip + OFFCLOUD_PAGE_SIZE)
+            .map(item => this.normalizeTorrent(item, { info: null }));
+    }
+
+    /**
+     * Get detailed torrent information
+     * Directory requests are expanded through /cloud/explore, single files link straight to the server
+     */
+    async getTorrentDetails(apiKey, id, context = 'stream') {
+        const history = await this.listCloudHistory(apiKey);
+        const item = history.find(entry => entry.requestId === id);
+
+        if (!item) {
+            this.log('debug', `Cloud request ${id} not found`);
+            return null;
+        }
+
+        const files = item.isDirectory
+            ? await this.exploreDirectory(apiKey, item)
+            : [{ id: 0, name: item.fileName, size: item.fileSize, link: this.buildDownloadLink(item, item.fileName) }];
+
+        const container = {
+            id: item.requestId,
+            name: item.fileName,
+            created: item.createdOn,
+            files
+        };
+        const videos = await this.extractVideoFiles(container, apiKey, this.buildSecureStreamUrl.bind(this));
+
+        if (context !== 'stream') {
+            videos.forEach(video => { video.info = { title: video.name }; });
+        }
+
+        return this.normalizeTorrentDetails(container, videos, {
+            hash: null,
+            size: item.fileSize || 0,
+            created: this.parseDate(item.createdOn)
+        });
+    }
+
+    async exploreDirectory(apiKey, item) {
+        const urls = await this.request(apiKey, `/cloud/explore/${item.requestId}`, `exploreDirectory(${item.requestId})`);
+        if (!Array.isArray(urls)) {
+            return [];
+        }
+
+        return urls.map((url, index) => ({
+            id: index,
+            name: decodeURIComponent(url.split('/').pop() || ''),
+            link: url
+        }));
+    }
+
+    buildDownloadLink(item, fileName) {
+        return `https://${item.server}.offcloud.com/cloud/download/${item.requestId}/${encodeURIComponent(fileName)}`;
+    }
+
+    /**
+     * Offcloud cloud links are already direct; only hand back links served by Offcloud
+     */
+    async unrestrictUrl(apiKey, hostUrl) {
+        let hostname;
+        try {
+            hostname = new URL(hostUrl).hostname;
+        } catch (error) {
+            throw new Error(`Invalid Offcloud link: ${hostUrl}`);
+        }
+
+        if (hostname !== 'offcloud.com' && !hostname.endsWith('.offcloud.com')) {
+            throw new Error(`Refusing to resolve non-Offcloud link: ${hostname}`);
+        }
+
+        return hostUrl;
+    }
+
+    normalizeTorrent(item, customFields = {}) {
+        return super.normalizeTorrent({
+            id: item.requestId,
+            name: item.fileName,
+            size: item.fileSize || 0,
+            created: item.createdOn
+        }, customFields);
+    }
+}
+
+// Create singleton instance
+const offcloudProvider = new OffcloudProvider();
+
+export default offcloudProvider;
+export { OffcloudProvider };
@@ -1,10 +1,26 @@
 ﻿import PremiumizeClient from 'premiumize-api'
-import BaseProvider, { ApiKeySecurityManager } from './BaseProvider.js'
+import BaseProvider, { ADD_STATUS } from './BaseProvider.js'
 import { parseUnified } from '../utils/unified-torrent-parser.js'
 import { isVideo } from '../stream/metadata-extractor.js'
-import { encode } from 'urlencode'
+
+const PREMIUMIZE_API_URL = 'https://www.premiumize.me/api'
+const REQUEST_TIMEOUT_MS = 15000
+const MAX_FOLDER_DEPTH = 8
+// Containers are top-level folders (`folder-<id>`), loose top-level files (their own id)
+// and transfers that have not finished yet (`transfer-<id>`)
+const FOLDER_ID_PREFIX = 'folder-'
+const TRANSFER_ID_PREFIX = 'transfer-'
+const ACTIVE_TRANSFER_STATUSES = new Set(['waiting', 'queued', 'running'])
 
 class PremiumizeProvider extends BaseProvider {
+    static descriptor = {
+        name: 'Premiumize',
+        shortCode: 'PM',
+        apiKeyUrl: 'https://www.premiumize.me/account',
+        capabilities: { bulkDetails: false, unrestrict: false, downloads: false, usenet: false, deviceLogin: false, addMagnet: true, cacheCheck: true },
+        rateLimit: { requestsPerMinute: 300, burst: 10 } // No published limit, conservative default
+    };
+
     constructor() {
         super('Premiumize');
     }
@@ -69,19 +85,83 @@ class PremiumizeProvider extends BaseProvider {
     }
 
     /**
-     * List all files
+     * Premiumize REST call; `form` is POSTed url-encoded. Failures throw with the HTTP response attached
+     */
+    async requestApi(apiKey, path, params = {}, form = null) {
+        const url = new URL(`${PREMIUMIZE_API_URL}/${path}`);
+        url.searchParams.set('apikey', apiKey);
+        for (const [name, value] of Object.entries(params)) {
+            // Array values repeat the parameter (`items[]=a&items[]=b`)
+            for (const item of [].concat(value)) {
+                if (item !== undefined && item !== null) url.searchParams.append(name, String(item));
+            }
+        }
+
+        const response = await this.schedule(apiKey, () => fetch(url, {
+            method: form ? 'POST' : 'GET',
+            body: form ? new URLSearchParams(form) : undefined,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        }));
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || data.status !== 'success') {
+            throw Object.assign(new Error(data.message || `Premiumize ${path} failed (HTTP ${response.status})`), {
+                response: { status: response.status, headers: response.headers }
+            });
+        }
+        return data;
+    }
+
+    /**
+     * Start a transfer for a magnet. Premiumize finishes cached transfers instantly, so the
+     * cache is checked first to report them as cached rather than queued.
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        const { magnet, hash, name } = this.parseMagnetInput(magnetOrHash);
+        const cached = await this.checkCached(apiKey, [hash]);
+
+        return this.makeApiCall(async () => {
+            const transfer = await this.requestApi(apiKey, 'transfer/create', {}, { src: magnet });
+
+            return this.normalizeAddResult({
+                id: `${TRANSFER_ID_PREFIX}${transfer.id}`,
+                name: transfer.name || name,
+                hash,
+                status: cached?.[hash] ? ADD_STATUS.CACHED : ADD_STATUS.QUEUED
+            });
+        }, 1, `addMagnet(${hash})`);
+    }
+
+    /**
+     * `cache/check` answers one boolean per requested item, in request order
+     */
+    async checkCached(apiKey, hashes) {
+        return this.makeApiCall(async () => {
+            const cache = await this.requestApi(apiKey, 'cache/check', { 'items[]': hashes });
+            return this.normalizeCachedResult(hashes, hashes.filter((hash, index) => cache.response?.[index] === true));
+        }, 3, `checkCached(${hashes.length} hashes)`);
+    }
+
+    /**
+     * List the cloud as containers: every top-level folder with the videos below it,
+     * loose top-level videos, and transfers that are still running
      */
     async listFiles(apiKey, skip = 0) {
         return this.makeApiCall(async () => {
             try {
                 const PM = new PremiumizeClient(apiKey);
-                const response = await PM.item.listAll();
+                const [response, root, transfers] = await Promise.all([
+                    this.schedule(apiKey, () => PM.item.listAll()),
+                    this.requestApi(apiKey, 'folder/list'),
+                    this.listActiveTransfers(apiKey)
+                ]);
                 
                 this.validateApiResponse(response, ['status']);
                 
                 if (response.status === 'success') {
-                    this.log('debug', `Retrieved ${response.files?.length || 0} files`);
-                    return response.files || [];
+                    const containers = this.groupIntoContainers(response.files || [], root.content || []);
+                    this.log('debug', `Retrieved ${response.files?.length || 0} files in ${containers.length} containers, ${transfers.length} active transfers`);
+                    return [...containers, ...transfers];
                 }
                 
                 return [];
@@ -92,6 +172,58 @@ class PremiumizeProvider extends BaseProvider {
         }, 3, 'listFiles');
     }
 
+    /**
+     * Group the flat `item/listall` videos under their top-level folder, named after the folder
+     */
+    groupIntoContainers(files, rootContent) {
+        const folderIds = new Map(rootContent
+            .filter(entry => entry.type === 'folder')
+            .map(entry => [entry.name, entry.id]));
+        const containers = new Map();
+
+        for (const file of files) {
+            if (!this.isVideo(file.name)) continue;
+
+            const topLevel = (file.path || file.name).replace(/^\/+/, '').split('/');
+            const folderId = topLevel.length > 1 ? folderIds.get(topLevel[0]) : null;
+
+            if (!folderId) {
+                containers.set(file.id, { id: file.id, name: file.name, size: file.size, created_at: file.created_at });
+                continue;
+            }
+
+            const id = `${FOLDER_ID_PREFIX}${folderId}`;
+            const container = containers.get(id) || { id, name: topLevel[0], size: 0, created_at: 0 };
+            container.size += file.size || 0;
+            container.created_at = Math.max(container.created_at, file.created_at || 0);
+            containers.set(id, container);
+        }
+
+        return [...containers.values()];
+    }
+
+    /**
+     * Transfers still downloading; finished ones already appear as folders or files
+     */
+    async listActiveTransfers(apiKey) {
+        try {
+            const { transfers = [] } = await this.requestApi(apiKey, 'transfer/list');
+            const now = Math.floor(Date.now() / 1000);
+            return transfers
+                .filter(transfer => ACTIVE_TRANSFER_STATUSES.has(transfer.status))
+                .map(transfer => ({
+                    id: `${TRANSFER_ID_PREFIX}${transfer.id}`,
+                    name: transfer.name,
+                    size: 0,
+                    created_at: now,
+                    progress: transfer.progress
+                }));
+        } catch (error) {
+            this.log('warn', `Premiumize transfer list failed: ${error.message}`);
+            return [];
+        }
+    }
+
     /**
      * List torrents for catalog
      */
@@ -107,11 +239,99 @@ class PremiumizeProvider extends BaseProvider {
      * Get detailed torrent information
      */
     async getTorrentDetails(apiKey, id, context = 'stream') {
+        const itemId = String(id);
+        if (itemId.startsWith(FOLDER_ID_PREFIX)) {
+            return this.makeApiCall(() => this.getFolderDetails(apiKey, itemId.substring(FOLDER_ID_PREFIX.length), itemId, context),
+                3, `getTorrentDetails(${id})`);
+        }
+        if (itemId.startsWith(TRANSFER_ID_PREFIX)) {
+            return this.makeApiCall(() => this.getTransferDetails(apiKey, itemId, context),
+                3, `getTorrentDetails(${id})`);
+        }
+
         return this.makeApiCall(async () => {
             const PM = new PremiumizeClient(apiKey);
             const result = await PM.item.details(id);
             return this.toTorrentDetails(result, apiKey, context);
-        }, 3, `getTorrentDetails(${id})`);
+        }, 3, `getTorrentDetails(${id})`, { apiKey });
+    }
+
+    /**
+     * Every video below a folder; names are relative to the folder, like torrent file paths
+     */
+    async getFolderDetails(apiKey, folderId, containerId, context = 'stream') {
+        const folder = await this.requestApi(apiKey, 'folder/list', { id: folderId });
+        const files = await this.walkFolder(apiKey, folder.content || [], '', 0);
+
+        const videos = files
+            .filter(file => this.isVideo(file.name))
+            .map(file => ({
+                id: `${containerId}:${file.id}`,
+                name: file.relativePath,
+                url: this.buildSecureStreamUrl(apiKey, containerId, file),
+                size: file.size,
+                created: this.parseDate(file.created_at),
+                info: context === 'stream' ? this.parseTitle(file.name) : { title: file.relativePath }
+            }));
+
+        const created = this.parseDate(Math.max(0, ...files.map(file => file.created_at || 0)) || null);
+        return this.normalizeTorrentDetails({
+            id: containerId,
+            name: folder.name,
+            size: files.reduce((total, file) => total + (file.size || 0), 0)
+        }, videos, {
+            hash: null,
+            created
+        });
+    }
+
+    async walkFolder(apiKey, content, prefix, depth) {
+        const files = [];
+
+        for (const entry of content) {
+            if (entry.type === 'folder') {
+                if (depth + 1 >= MAX_FOLDER_DEPTH) {
+                    this.log('debug', `Max folder depth reached below ${prefix}${entry.name}`);
+                    continue;
+                }
+                const subfolder = await this.requestApi(apiKey, 'folder/list', { id: entry.id });
+                files.push(...await this.walkFolder(apiKey, subfolder.content || [], `${prefix}${entry.name}/`, depth + 1));
+            } else {
+                files.push({ ...entry, relativePath: `${prefix}${entry.name}` });
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * A transfer that finished since the listing resolves to its folder or file;
+     * one still running has no videos yet
+     */
+    async getTransferDetails(apiKey, id, context = 'stream') {
+        const transferId = id.substring(TRANSFER_ID_PREFIX.length);
+        const { transfers = [] } = await this.requestApi(apiKey, 'transfer/list');
+        const transfer = transfers.find(entry => String(entry.id) === transferId);
+
+        if (!transfer) {
+            return null;
+        }
+
+        if (!ACTIVE_TRANSFER_STATUSES.has(transfer.status)) {
+            if (transfer.folder_id) {
+                return this.getFolderDetails(apiKey, transfer.folder_id, `${FOLDER_ID_PREFIX}${transfer.folder_id}`, context);
+            }
+            if (transfer.file_id) {
+                const PM = new PremiumizeClient(apiKey);
+                const file = await this.schedule(apiKey, () => PM.item.details(transfer.file_id));
+                return this.toTorrentDetails(file, apiKey, context);
+            }
+        }
+
+        return this.normalizeTorrentDetails({ id, name: transfer.name, size: 0 }, [], {
+            hash: null,
+            progress: transfer.progress
+        });
     }
 
     /**
@@ -150,8 +370,7 @@ class PremiumizeProvider extends BaseProvider {
         }
 
         const hostUrl = file.stream_link || file.link; // Prefer stream_link for Premiumize
-        const secureToken = ApiKeySecurityManager.generateSecureToken(this.providerName, apiKey);
-        return `${process.env.ADDON_URL}/resolve/${this.providerName}/${secureToken}/${torrentId}/${encode(hostUrl)}`;
+        return this.buildResolveUrl(apiKey, torrentId, hostUrl);
     }
 
     /**
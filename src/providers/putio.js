@@ -0,0 +1,265 @@
+import BaseProvider, { ADD_STATUS } from './BaseProvider.js'
+import { BadTokenError, AccessDeniedError } from '../utils/error-handler.js'
+
+const PUTIO_API_URL = 'https://api.put.io/v2'
+const PUTIO_ROOT_FOLDER_ID = 0
+const PUTIO_LIST_PAGE_SIZE = 1000
+const PUTIO_MAX_FOLDER_DEPTH = 6
+const PUTIO_CATALOG_PAGE_SIZE = 50
+const TRANSFER_ADD_STATUSES = {
+    IN_QUEUE: ADD_STATUS.QUEUED,
+    WAITING: ADD_STATUS.QUEUED,
+    PREPARING_DOWNLOAD: ADD_STATUS.QUEUED,
+    DOWNLOADING: ADD_STATUS.DOWNLOADING,
+    COMPLETING: ADD_STATUS.DOWNLOADING,
+    SEEDING: ADD_STATUS.READY,
+    COMPLETED: ADD_STATUS.READY
+}
+
+/**
+ * Put.io keeps finished transfers as a file tree. Each top-level entry of the root folder
+ * is exposed as a "torrent"; its nested video files become the torrent's videos.
+ */
+class PutioProvider extends BaseProvider {
+    static descriptor = {
+        name: 'Putio',
+        shortCode: 'PO',
+        apiKeyUrl: 'https://app.put.io/oauth',
+        capabilities: { bulkDetails: false, unrestrict: true, downloads: false, usenet: false, deviceLogin: false, addMagnet: true, cacheCheck: false },
+        rateLimit: { requestsPerMinute: 300, burst: 10 }, // No published limit, conservative default
+        linkTtlSeconds: 60 * 60 // /files/{id}/url hands out signed, expiring links
+    };
+
+    constructor() {
+        super('Putio');
+    }
+
+    /**
+     * Validate Put.io OAuth token before encryption
+     * Static method for use in /encrypt-config endpoint
+     * @param {string} apiKey - OAuth token to validate
+     * @returns {Promise<{valid: boolean, error?: string, username?: string}>}
+     */
+    static async validateApiKey(apiKey) {
+        const VALIDATION_TIMEOUT = 10000;
+
+        try {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), VALIDATION_TIMEOUT);
+
+            const response = await fetch(`${PUTIO_API_URL}/account/info`, {
+                headers: { 'Authorization': `Bearer ${apiKey}` },
+                signal: controller.signal
+            });
+            clearTimeout(timeout);
+
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || data.status !== 'OK') {
+                return { valid: false, error: data.error_message || `HTTP ${response.status}` };
+            }
+
+            return {
+                valid: true,
+                username: data.info?.username
+            };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { valid: false, error: 'Validation timeout - try again' };
+            }
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Authenticated call against the Put.io API
+     */
+    async request(apiKey, path, options = {}, context = 'request') {
+        return this.makeApiCall(async () => {
+            const response = await fetch(`${PUTIO_API_URL}${path}`, {
+                method: options.method || 'GET',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                    ...(options.body ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+                },
+                body: options.body ? new URLSearchParams(options.body).toString() : undefined
+            });
+
+            if (response.status === 401) {
+                throw new BadTokenError('Invalid API token', this.providerName);
+            }
+            if (response.status === 403) {
+                throw new AccessDeniedError('Access denied by provider', this.providerName);
+            }
+            if (response.status === 429) {
+                throw Object.assign(new Error('Rate limited by provider'), { status: 429, headers: response.headers });
+            }
+            this.noteRateLimitHeaders(apiKey, response);
+
+            const data = await response.json();
+            if (data?.status === 'ERROR') {
+                throw new Error(`API Error: ${data.error_message || data.error_type}`);
+            }
+
+            return data;
+        }, 3, context, { apiKey });
+    }
+
+    /**
+     * Start a transfer for a magnet; Put.io saves finished transfers to the root folder,
+     * where they are listed like every other top-level item
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        const { magnet, hash, name } = this.parseMagnetInput(magnetOrHash);
+
+        const response = await this.request(apiKey, '/transfers/add', {
+            method: 'POST',
+            body: { url: magnet, save_parent_id: PUTIO_ROOT_FOLDER_ID }
+        }, `addMagnet(${hash})`);
+        const transfer = response?.transfer;
+        if (!transfer) {
+            return null;
+        }
+
+        return this.normalizeAddResult({
+            id: transfer.file_id ?? transfer.id,
+            name: transfer.name || name,
+            hash: transfer.hash || hash,
+            status: TRANSFER_ADD_STATUSES[transfer.status] || ADD_STATUS.QUEUED,
+            progress: transfer.percent_done
+        });
+    }
+
+    /**
+     * List every entry of a folder, following Put.io's cursor pagination
+     */
+    async listFolder(apiKey, parentId) {
+        const firstPage = await this.request(apiKey, `/files/list?parent_id=${parentId}&per_page=${PUTIO_LIST_PAGE_SIZE}`, {}, `listFolder(${parentId})`);
+        const files = [...(firstPage?.files || [])];
+        let cursor = firstPage?.cursor;
+
+        while (cursor) {
+            const nextPage = await this.request(apiKey, '/files/list/continue', {
+                method: 'POST',
+                body: { cursor, per_page: PUTIO_LIST_PAGE_SIZE }
+            }, `listFolder(${parentId})-continue`);
+            files.push(...(nextPage?.files || []));
+            cursor = nextPage?.cursor;
+        }
+
+        return files;
+    }
+
+    /**
+     * Top-level transfers (folders and loose files of the root folder)
+     */
+    async listTopLevelItems(apiKey) {
+        const items = await this.listFolder(apiKey, PUTIO_ROOT_FOLDER_ID);
+        this.log('debug', `Retrieved ${items.length} top-level items`);
+        return items;
+    }
+
+    /**
+     * Recursively collect the files below a folder
+     */
+    async collectFolderFiles(apiKey, folderId, depth = 0) {
+        if (depth >= PUTIO_MAX_FOLDER_DEPTH) {
+            this.log('debug', `Max folder depth reached below ${folderId}`);
+            return [];
+        }
+
+        const entries = await this.listFolder(apiKey, folderId);
+        const files = entries.filter(entry => entry.file_type !== 'FOLDER');
+
+        for (const folder of entries.filter(entry => entry.file_type === 'FOLDER')) {
+            files.push(...await this.collectFolderFiles(apiKey, folder.id, depth + 1));
+        }
+
+        return files;
+    }
+
+    async searchTorrents(apiKey, searchKey, threshold = 0.3) {
+        this.log('debug', `Search torrents with searchKey: ${searchKey}`);
+
+        const items = await this.listTopLevelItems(apiKey);
+        const torrents = items.map(item => this.normalizeTorrent(item));
+
+        return this.performFuzzySearch(torrents, searchKey, threshold);
+    }
+
+    /**
+     * List torrents for catalog
+     */
+    async listTorrents(apiKey, skip = 0) {
+        const items = await this.listTopLevelItems(apiKey);
+        return items
+            .slice(skip, skip + PUTIO_CATALOG_PAGE_SIZE)
+            .map(item => this.normalizeTorrent(item, { info: null }));
+    }
+
+    /**
+     * Get detailed torrent information by walking the transfer folder
+     */
+    async getTorrentDetails(apiKey, id, context = 'stream') {
+        const response = await this.request(apiKey, `/files/${id}`, {}, `getTorrentDetails(${id})`);
+        const item = response?.file;
+
+        if (!item) {
+            this.log('debug', `File ${id} not found`);
+            return null;
+        }
+
+        const files = item.file_type === 'FOLDER'
+            ? await this.collectFolderFiles(apiKey, item.id)
+            : [item];
+
+        const container = { ...item, created: item.created_at, files };
+        const videos = await this.extractVideoFiles(container, apiKey, this.buildSecureStreamUrl.bind(this));
+
+        if (context !== 'stream') {
+            videos.forEach(video => { video.info = { title: video.name }; });
+        }
+
+        return this.normalizeTorrentDetails(container, videos, {
+            hash: null,
+            size: item.size || 0,
+            created: this.parseDate(item.created_at)
+        });
+    }
+
+    /**
+     * Files are resolved lazily through /files/{id}/url, so the stream URL carries the file id
+     */
+    buildSecureStreamUrl(apiKey, torrentId, file, index = 0) {
+        return super.buildSecureStreamUrl(apiKey, torrentId, { url: `putio_file_${file.id}` }, index);
+    }
+
+    async unrestrictUrl(apiKey, hostUrl) {
+        const fileIdMatch = typeof hostUrl === 'string' ? hostUrl.match(/^putio_file_(\d+)$/) : null;
+        if (!fileIdMatch) {
+            throw new Error(`Invalid Put.io hostUrl format: ${hostUrl}`);
+        }
+
+        const response = await this.request(apiKey, `/files/${fileIdMatch[1]}/url`, {}, `unrestrictUrl(${fileIdMatch[1]})`);
+        if (!response?.url) {
+            throw new Error(`Put.io returned no URL for file ${fileIdMatch[1]}`);
+        }
+
+        return response.url;
+    }
+
+    normalizeTorrent(item, customFields = {}) {
+        return super.normalizeTorrent({
+            id: item.id,
+            name: item.name,
+            size: item.size || 0,
+            created_at: item.created_at
+        }, customFields);
+    }
+}
+
+// Create singleton instance
+const putioProvider = new PutioProvider();
+
+export default putioProvider;
+export { PutioProvider };
@@ -0,0 +1,173 @@
+/**
+ * RealDebrid OAuth (device-code flow)
+ * Lets users authorize the addon from the configure page instead of pasting their private token.
+ * The resulting app credentials and refresh token travel as the account's API key
+ * (`rdoauth:<clientId>:<clientSecret>:<refreshToken>`), so they are stored in the encrypted config
+ * and revoking the addon on real-debrid.com does not require rotating the private token.
+ */
+
+import crypto from 'crypto';
+import { BadTokenError, ProviderError } from '../utils/error-handler.js';
+import { configManager } from '../config/configuration.js';
+import { logger } from '../utils/logger.js';
+
+const OAUTH_URL = 'https://api.real-debrid.com/oauth/v2';
+const OAUTH_KEY_PREFIX = 'rdoauth:';
+const DEVICE_GRANT_TYPE = 'http://oauth.net/grant_type/device/1.0';
+const REQUEST_TIMEOUT_MS = 10000;
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000; // Refresh before RealDebrid expires the token
+
+const accessTokens = new Map();
+const pendingRefreshes = new Map();
+
+export function isOAuthApiKey(apiKey) {
+    return typeof apiKey === 'string' && apiKey.startsWith(OAUTH_KEY_PREFIX);
+}
+
+export function buildOAuthApiKey({ clientId, clientSecret, refreshToken }) {
+    return `${OAUTH_KEY_PREFIX}${clientId}:${clientSecret}:${refreshToken}`;
+}
+
+function parseOAuthApiKey(apiKey) {
+    const [clientId, clientSecret, refreshToken] = apiKey.substring(OAUTH_KEY_PREFIX.length).split(':');
+    if (!clientId || !clientSecret || !refreshToken) {
+        throw new BadTokenError('Malformed RealDebrid authorization, please log in again', 'RealDebrid');
+    }
+    return { clientId, clientSecret, refreshToken };
+}
+
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+async function oauthRequest(path, form = null) {
+    const response = await fetch(`${OAUTH_URL}${path}`, {
+        method: form ? 'POST' : 'GET',
+        headers: form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : undefined,
+        body: form ? new URLSearchParams(form).toString() : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+}
+
+/**
+ * Start a device login: the user enters `userCode` at `verificationUrl`
+ * @returns {Promise<{deviceCode: string, userCode: string, verificationUrl: string, interval: number, expiresIn: number}>}
+ */
+export async function startDeviceLogin() {
+    const clientId = configManager.getRealDebridOAuthClientId();
+    const { ok, status, data } = await oauthRequest(`/device/code?client_id=${encodeURIComponent(clientId)}&new_credentials=yes`);
+
+    if (!ok || !data.device_code) {
+        throw new ProviderError(`Device code request failed: ${data.error || `HTTP ${status}`}`, 'RealDebrid', status);
+    }
+
+    return {
+        deviceCode: data.device_code,
+        userCode: data.user_code,
+        verificationUrl: data.direct_verification_url || data.verification_url,
+        interval: data.interval || 5,
+        expiresIn: data.expires_in
+    };
+}
+
+/**
+ * Check whether the user has authorized the device yet
+ * @returns {Promise<{status: 'pending'}|{status: 'authorized', apiKey: string}>}
+ */
+export async function pollDeviceLogin(deviceCode) {
+    const clientId = configManager.getRealDebridOAuthClientId();
+    const credentials = await oauthRequest(`/device/credentials?client_id=${encodeURIComponent(clientId)}&code=${encodeURIComponent(deviceCode)}`);
+
+    // RealDebrid answers with an error until the user has entered the code
+    if (!credentials.ok || !credentials.data.client_id) {
+        return { status: 'pending' };
+    }
+
+    const token = await oauthRequest('/token', {
+        client_id: credentials.data.client_id,
+        client_secret: credentials.data.client_secret,
+        code: deviceCode,
+        grant_type: DEVICE_GRANT_TYPE
+    });
+
+    if (!token.ok || !token.data.refresh_token) {
+        throw new ProviderError(`Token request failed: ${token.data.error || `HTTP ${token.status}`}`, 'RealDebrid', token.status);
+    }
+
+    const apiKey = buildOAuthApiKey({
+        clientId: credentials.data.client_id,
+        clientSecret: credentials.data.client_secret,
+        refreshToken: token.data.refresh_token
+    });
+    cacheAccessToken(apiKey, token.data);
+
+    logger.info('[real-debrid-oauth] Device login authorized');
+    return { status: 'authorized', apiKey };
+}
+
+function cacheAccessToken(apiKey, tokenData) {
+    const now = Date.now();
+    for (const [keyHash, entry] of accessTokens) {
+        if (entry.expiresAt <= now) accessTokens.delete(keyHash);
+    }
+
+    accessTokens.set(hashKey(apiKey), {
+        accessToken: tokenData.access_token,
+        expiresAt: now + (tokenData.expires_in || 3600) * 1000 - TOKEN_REFRESH_MARGIN_MS
+    });
+}
+
+async function refreshAccessToken(apiKey) {
+    const { clientId, clientSecret, refreshToken } = parseOAuthApiKey(apiKey);
+
+    // The refresh token stays valid across refreshes, so the stored config never needs rewriting
+    const { ok, status, data } = await oauthRequest('/token', {
+        client_id: clientId,
+        client_secret: clientSecret,
+        code: refreshToken,
+        grant_type: DEVICE_GRANT_TYPE
+    });
+
+    if (!ok || !data.access_token) {
+        if (status >= 400 && status < 500) {
+            throw new BadTokenError('RealDebrid authorization expired or revoked, please log in again', 'RealDebrid');
+        }
+        throw new ProviderError(`Token refresh failed: ${data.error || `HTTP ${status}`}`, 'RealDebrid', status);
+    }
+
+    cacheAccessToken(apiKey, data);
+    logger.debug('[real-debrid-oauth] Access token refreshed');
+    return data.access_token;
+}
+
+/**
+ * Bearer token for an account: private tokens are used as-is, OAuth logins are
+ * exchanged for a cached access token that is refreshed shortly before it expires
+ */
+export async function getAccessToken(apiKey) {
+    if (!isOAuthApiKey(apiKey)) {
+        return apiKey;
+    }
+
+    const keyHash = hashKey(apiKey);
+    const cached = accessTokens.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.accessToken;
+    }
+
+    if (!pendingRefreshes.has(keyHash)) {
+        pendingRefreshes.set(keyHash, refreshAccessToken(apiKey).finally(() => pendingRefreshes.delete(keyHash)));
+    }
+    return pendingRefreshes.get(keyHash);
+}
+
+/**
+ * Drop a cached access token RealDebrid no longer accepts
+ */
+export function invalidateAccessToken(apiKey) {
+    if (isOAuthApiKey(apiKey)) {
+        accessTokens.delete(hashKey(apiKey));
+    }
+}
@@ -1,16 +1,40 @@
 import RealDebridClient from 'real-debrid-api';
 import { isVideo, FILE_TYPES } from '../stream/metadata-extractor.js';
-import BaseProvider from './BaseProvider.js';
+import BaseProvider, { ADD_STATUS } from './BaseProvider.js';
 import { parseUnified } from '../utils/unified-torrent-parser.js';
+import { ProviderError } from '../utils/error-handler.js';
+import { logger } from '../utils/logger.js';
+import { getAccessToken, invalidateAccessToken, isOAuthApiKey, startDeviceLogin, pollDeviceLogin } from './real-debrid-oauth.js';
+
+// Torrent states RealDebrid reports while a torrent is on its way; anything else is a failure
+const TORRENT_ADD_STATUSES = {
+    magnet_conversion: ADD_STATUS.QUEUED,
+    waiting_files_selection: ADD_STATUS.QUEUED,
+    queued: ADD_STATUS.QUEUED,
+    downloading: ADD_STATUS.DOWNLOADING,
+    compressing: ADD_STATUS.DOWNLOADING,
+    uploading: ADD_STATUS.DOWNLOADING,
+    downloaded: ADD_STATUS.READY
+};
 
 class RealDebridProvider extends BaseProvider {
+    static descriptor = {
+        name: 'RealDebrid',
+        shortCode: 'RD',
+        apiKeyUrl: 'https://real-debrid.com/apitoken',
+        capabilities: { bulkDetails: true, unrestrict: true, downloads: true, usenet: false, deviceLogin: true, addMagnet: true, cacheCheck: false },
+        rateLimit: { requestsPerMinute: 250, burst: 10 }, // Documented: 250 requests/min per token, refused calls count too
+        linkTtlSeconds: 4 * 60 * 60, // Unrestricted links last for hours; reuse saves unrestrict quota
+        ipBoundLinks: true // unrestrict is sent the client IP, the link may only play from it
+    };
+
     constructor() {
         super('RealDebrid');
     }
 
     /**
      * Validate RealDebrid API key before encryption
-     * Static method for use in /encrypt-config endpoint
+     * Static method for use in /encrypt-config endpoint; accepts private tokens and OAuth logins
      * @param {string} apiKey - API key to validate
      * @returns {Promise<{valid: boolean, error?: string, username?: string, premium?: boolean}>}
      */
@@ -18,11 +42,12 @@ class RealDebridProvider extends BaseProvider {
         const VALIDATION_TIMEOUT = 10000;
         
         try {
+            const accessToken = await getAccessToken(apiKey);
             const controller = new AbortController();
             const timeout = setTimeout(() => controller.abort(), VALIDATION_TIMEOUT);
             
             const response = await fetch('https://api.real-debrid.com/rest/1.0/user', {
-                headers: { 'Authorization': `Bearer ${apiKey}` },
+                headers: { 'Authorization': `Bearer ${accessToken}` },
                 signal: controller.signal
             });
             clearTimeout(timeout);
@@ -44,13 +69,41 @@ class RealDebridProvider extends BaseProvider {
                 expiration: data.expiration
             };
         } catch (error) {
-            if (error.name === 'AbortError') {
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
                 return { valid: false, error: 'Validation timeout - try again' };
             }
             return { valid: false, error: error.message };
         }
     }
 
+    /**
+     * Device-code login, used by the /auth/:provider/device routes
+     */
+    static async startDeviceLogin() {
+        return startDeviceLogin();
+    }
+
+    static async pollDeviceLogin(deviceCode) {
+        return pollDeviceLogin(deviceCode);
+    }
+
+    /**
+     * Run requests with a client for the account. OAuth logins use their current access token;
+     * one RealDebrid rejects (401) is dropped and the request retried with a refreshed token.
+     */
+    async withClient(apiKey, request, clientOptions) {
+        const RD = new RealDebridClient(await getAccessToken(apiKey), clientOptions);
+        try {
+            return await request(RD);
+        } catch (error) {
+            if (!isOAuthApiKey(apiKey) || error.response?.status !== 401) {
+                throw error;
+            }
+            invalidateAccessToken(apiKey);
+            return request(new RealDebridClient(await getAccessToken(apiKey), clientOptions));
+        }
+    }
+
     async searchFiles(fileType, apiKey, searchKey, threshold = 0.3) {
         this.log('debug', `Search ${fileType.description} with searchKey: ${searchKey}`);
 
@@ -60,7 +113,7 @@ class RealDebridProvider extends BaseProvider {
         if (fileType?.toString() === 'Symbol(torrents)' || fileType === FILE_TYPES.TORRENTS) {
             results = files.map(result => this.toTorrent(result));
         } else if (fileType === FILE_TYPES.DOWNLOADS) {
-            results = files.map(result => this.toDownload(result));
+            results = files.map(result => this.toDownload(apiKey, result));
         }
 
         return this.performFuzzySearch(results, searchKey, threshold);
@@ -77,10 +130,9 @@ class RealDebridProvider extends BaseProvider {
 
     async getTorrentDetails(apiKey, id, context = 'stream') {
         return this.makeApiCall(async () => {
-            const RD = new RealDebridClient(apiKey);
-            const response = await RD.torrents.info(id);
+            const response = await this.withClient(apiKey, RD => RD.torrents.info(id));
             return this.toTorrentDetails(apiKey, response.data, context);
-        }, 3, `getTorrentDetails(${id})`);
+        }, 3, `getTorrentDetails(${id})`, { apiKey });
     }
 
     async toTorrentDetails(apiKey, item, context = 'stream') {
@@ -116,10 +168,37 @@ class RealDebridProvider extends BaseProvider {
     async unrestrictUrl(apiKey, hostUrl, clientIp) {
         return this.makeApiCall(async () => {
             const options = this.getDefaultOptions(clientIp);
-            const RD = new RealDebridClient(apiKey, options);
-            const response = await RD.unrestrict.link(hostUrl);
+            const response = await this.withClient(apiKey, RD => RD.unrestrict.link(hostUrl), options);
             return response.data.download;
-        }, 3, `unrestrictUrl(${hostUrl})`);
+        }, 3, `unrestrictUrl(${hostUrl})`, { apiKey });
+    }
+
+    /**
+     * Add a magnet and select all of its files, which starts the download (or completes it
+     * right away when RealDebrid has the torrent cached). Not retried, a retry would add it twice.
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        const { magnet, hash } = this.parseMagnetInput(magnetOrHash);
+
+        return this.makeApiCall(async () => {
+            const request = (call) => this.withClient(apiKey, RD => this.schedule(apiKey, () => call(RD)));
+
+            const added = await request(RD => RD.torrents.addMagnet(magnet));
+            const id = added.data.id;
+
+            let item = (await request(RD => RD.torrents.info(id))).data;
+            if (item.status === 'waiting_files_selection') {
+                await request(RD => RD.torrents.selectFiles(id, 'all'));
+                item = (await request(RD => RD.torrents.info(id))).data;
+            }
+
+            const status = TORRENT_ADD_STATUSES[item.status];
+            if (!status) {
+                throw new ProviderError(`Torrent ${id} failed with status ${item.status}`, this.providerName);
+            }
+
+            return this.normalizeAddResult({ id, name: item.filename, hash: item.hash || hash, status, progress: item.progress });
+        }, 1, `addMagnet(${hash})`);
     }
 
     async toTorrent(apiKey, item) {
@@ -141,17 +220,22 @@ class RealDebridProvider extends BaseProvider {
         }
     }
 
-    toDownload(item) {
-        return {
-            source: 'RealDebrid',
+    /**
+     * Streams unrestrict the original hoster link again, the listed download link expires
+     */
+    toDownload(apiKey, item) {
+        return this.normalizeDownload(apiKey, {
             id: item.id,
-            url: item.download,
             name: item.filename,
-            type: 'other',
-            info: this.parseTitle(item.filename),
             size: item.filesize,
-            created: this.parseDate(item.generated)
-        };
+            created: item.generated,
+            link: item.link
+        });
+    }
+
+    async listDownloads(apiKey) {
+        const downloads = await this.listFilesParrallel(FILE_TYPES.DOWNLOADS, apiKey, 1, 1000);
+        return (downloads || []).filter(item => isVideo(item.filename));
     }
 
     normalizeTorrent(item, customFields = {}) {
@@ -183,21 +267,32 @@ class RealDebridProvider extends BaseProvider {
 
     async listFilesParrallel(fileType, apiKey, page = 1, pageSize = 50) {
         return this.makeApiCall(async () => {
-            const RD = new RealDebridClient(apiKey, {
-                params: { page: 1, limit: pageSize }
-            });
+            const clientOptions = { params: { page: 1, limit: pageSize } };
 
             if (fileType?.toString() === 'Symbol(torrents)' || fileType === FILE_TYPES.TORRENTS) {
-                return this.fetchTorrentsParallel(RD, pageSize);
+                return this.withClient(apiKey, RD => this.fetchTorrentsParallel(RD, pageSize, apiKey), clientOptions);
             } else if (fileType?.toString() === 'Symbol(downloads)' || fileType === FILE_TYPES.DOWNLOADS) {
-                return this.fetchDownloadsParallel(RD, pageSize);
+                return this.withClient(apiKey, RD => this.fetchDownloadsParallel(RD, pageSize, apiKey), clientOptions);
             }
         }, 3, `listFilesParrallel(${fileType.description})`);
     }
 
-    async fetchTorrentsParallel(RD, pageSize) {
+    /**
+     * Single page of the torrent list, newest first (used for incremental library snapshots)
+     */
+    async listTorrentsPage(apiKey, page = 1, pageSize = 100) {
+        return this.makeApiCall(async () => {
+            const response = await this.withClient(apiKey, RD => RD.torrents.get(0, page, pageSize));
+            return Array.isArray(response.data) ? response.data : [];
+        }, 3, `listTorrentsPage(${page})`, { apiKey });
+    }
+
+    async fetchTorrentsParallel(RD, pageSize, apiKey) {
+        // Every page request goes through the shared limiter, which also waits out 429s
+        const getPage = (page) => this.schedule(apiKey, () => RD.torrents.get(0, page, pageSize));
+
         try {
-            const firstResp = await RD.torrents.get(0, 1, pageSize);
+            const firstResp = await getPage(1);
             const firstPage = firstResp.data || [];
             
             if (firstPage.length === 0) return [];
@@ -207,9 +302,11 @@ class RealDebridProvider extends BaseProvider {
             let testPage = 2;
             let hasMore = true;
             
+            let discoveryRateLimits = 0;
+            
             while (hasMore && testPage <= 100) { // Safety limit
                 try {
-                    const testResp = await RD.torrents.get(0, testPage, pageSize);
+                    const testResp = await getPage(testPage);
                     if (!testResp.data || testResp.data.length === 0) {
                         hasMore = false;
                     } else {
@@ -217,9 +314,8 @@ class RealDebridProvider extends BaseProvider {
                         testPage++;
                     }
                 } catch (error) {
-                    if (error.response?.status === 429) {
-                        this.log('warn', 'Rate limited during page discovery, waiting 5 seconds');
-                        await new Promise(resolve => setTimeout(resolve, 5000));
+                    if (error.response?.status === 429 && ++discoveryRateLimits <= 3) {
+                        this.log('warn', 'Rate limited during page discovery, retrying once the limiter allows');
                         continue;
                     }
                     hasMore = false;
@@ -240,7 +336,7 @@ class RealDebridProvider extends BaseProvider {
                 
                 const batchResults = await Promise.all(
                     currentBatch.map(page => 
-                        RD.torrents.get(0, page, pageSize)
+                        getPage(page)
                             .then(resp => ({ page, data: resp.data || [], success: true }))
                             .catch(error => ({ 
                                 page,
@@ -265,17 +361,11 @@ class RealDebridProvider extends BaseProvider {
                         batchSize = Math.max(1, Math.floor(batchSize / 2));
                     }
                     pagesToFetch.unshift(...currentBatch);
-                    const waitTime = rateLimitRetries === 1 ? 2000 : 5000;
-                    this.log('warn', `Rate limited (429), waiting ${waitTime/1000}s before retry ${rateLimitRetries}/${maxRateLimitRetries}`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                    this.log('warn', `Rate limited (429), retry ${rateLimitRetries}/${maxRateLimitRetries} once the limiter allows`);
                     continue;
                 }
 
                 successful.forEach(r => allTorrents.push(...r.data));
-                
-                if (pagesToFetch.length > 0) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
             }
             
             return allTorrents;
@@ -301,9 +391,12 @@ class RealDebridProvider extends BaseProvider {
         }
     }
 
-    async fetchDownloadsParallel(RD, pageSize) {
+    async fetchDownloadsParallel(RD, pageSize, apiKey) {
+        // Every page request goes through the shared limiter, which also waits out 429s
+        const getPage = (page) => this.schedule(apiKey, () => RD.downloads.get(0, page, pageSize));
+
         try {
-            const firstResp = await RD.downloads.get(0, 1, pageSize);
+            const firstResp = await getPage(1);
             const firstPage = firstResp.data || [];
             
             if (firstPage.length === 0) return [];
@@ -315,9 +408,11 @@ class RealDebridProvider extends BaseProvider {
             let testPage = 2;
             let hasMore = true;
             
+            let discoveryRateLimits = 0;
+            
             while (hasMore && testPage <= 100) { // Safety limit
                 try {
-                    const testResp = await RD.downloads.get(0, testPage, pageSize);
+                    const testResp = await getPage(testPage);
                     if (!testResp.data || testResp.data.length === 0) {
                         hasMore = false;
                     } else {
@@ -325,9 +420,8 @@ class RealDebridProvider extends BaseProvider {
                         testPage++;
                     }
                 } catch (error) {
-                    if (error.response?.status === 429) {
-                        this.log('warn', 'Rate limited during downloads page discovery, waiting 5 seconds');
-                        await new Promise(resolve => setTimeout(resolve, 5000));
+                    if (error.response?.status === 429 && ++discoveryRateLimits <= 3) {
+                        this.log('warn', 'Rate limited during downloads page discovery, retrying once the limiter allows');
                         continue;
                     }
                     hasMore = false;
@@ -349,7 +443,7 @@ class RealDebridProvider extends BaseProvider {
                 
                 const batchResults = await Promise.all(
                     currentBatch.map(page => 
-                        RD.downloads.get(0, page, pageSize)
+                        getPage(page)
                             .then(resp => ({ page, data: resp.data || [], success: true }))
                             .catch(error => ({ 
                                 page,
@@ -374,17 +468,11 @@ class RealDebridProvider extends BaseProvider {
                         batchSize = Math.max(1, Math.floor(batchSize / 2));
                     }
                     pagesToFetch.unshift(...currentBatch);
-                    const waitTime = rateLimitRetries === 1 ? 2000 : 5000;
-                    this.log('warn', `Rate limited (429), waiting ${waitTime/1000}s before retry ${rateLimitRetries}/${maxRateLimitRetries}`);
-                    await new Promise(resolve => setTimeout(resolve, waitTime));
+                    this.log('warn', `Rate limited (429), retry ${rateLimitRetries}/${maxRateLimitRetries} once the limiter allows`);
                     continue;
                 }
                 
                 successful.forEach(r => allDownloads.push(...r.data));
-                
-                if (pagesToFetch.length > 0) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
             }
             
             return allDownloads.filter(f => f.host !== 'real-debrid.com');
@@ -0,0 +1,129 @@
+/**
+ * Provider Registry
+ * Single lookup point for debrid providers. Each BaseProvider subclass declares a static
+ * `descriptor` ({ name, shortCode, capabilities }) and a static `validateApiKey`; registering
+ * the class makes it available to config validation, the manifest, stream naming and routing.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const CAPABILITY_KEYS = ['bulkDetails', 'unrestrict', 'downloads', 'usenet', 'deviceLogin', 'addMagnet', 'cacheCheck'];
+
+const providerClasses = new Map();
+const providerInstances = new Map();
+
+/**
+ * Register a provider class
+ * @param {Function} ProviderClass - BaseProvider subclass with a static descriptor
+ */
+export function registerProvider(ProviderClass) {
+    const descriptor = ProviderClass?.descriptor;
+
+    if (!descriptor?.name || !descriptor?.shortCode) {
+        throw new Error(`[provider-registry] ${ProviderClass?.name || 'Provider'} is missing a descriptor name or shortCode`);
+    }
+
+    if (typeof ProviderClass.validateApiKey !== 'function') {
+        throw new Error(`[provider-registry] ${descriptor.name} must implement static validateApiKey`);
+    }
+
+    if (providerClasses.has(descriptor.name)) {
+        logger.warn(`[provider-registry] Provider ${descriptor.name} registered twice, keeping the latest`);
+        providerInstances.delete(descriptor.name);
+    }
+
+    providerClasses.set(descriptor.name, ProviderClass);
+}
+
+export function hasProvider(name) {
+    return providerClasses.has(name);
+}
+
+export function getProviderNames() {
+    return [...providerClasses.keys()];
+}
+
+/**
+ * Providers that can be configured on this server; a class may opt out through a static isEnabled()
+ */
+export function getAvailableProviderNames() {
+    return getProviderNames().filter(name => providerClasses.get(name).isEnabled?.() ?? true);
+}
+
+export function getProviderClass(name) {
+    return providerClasses.get(name) || null;
+}
+
+/**
+ * Shared provider instance, created once per process
+ */
+export function getProvider(name) {
+    const ProviderClass = providerClasses.get(name);
+    if (!ProviderClass) {
+        return null;
+    }
+
+    if (!providerInstances.has(name)) {
+        providerInstances.set(name, new ProviderClass());
+    }
+    return providerInstances.get(name);
+}
+
+/**
+ * All shared instances keyed by provider name (the shape coordinateSearch expects)
+ */
+export function getProviderInstances() {
+    return Object.fromEntries(getProviderNames().map(name => [name, getProvider(name)]));
+}
+
+export function getProviderDescriptor(name) {
+    const ProviderClass = providerClasses.get(name);
+    if (!ProviderClass) {
+        return null;
+    }
+
+    const { descriptor } = ProviderClass;
+    const capabilities = Object.fromEntries(
+        CAPABILITY_KEYS.map(key => [key, Boolean(descriptor.capabilities?.[key])])
+    );
+
+    return {
+        name: descriptor.name,
+        shortCode: descriptor.shortCode,
+        apiKeyUrl: descriptor.apiKeyUrl || null,
+        capabilities,
+        validateApiKey: ProviderClass.validateApiKey.bind(ProviderClass)
+    };
+}
+
+export function hasCapability(name, capability) {
+    return Boolean(providerClasses.get(name)?.descriptor.capabilities?.[capability]);
+}
+
+export function getProviderShortName(name) {
+    return providerClasses.get(name)?.descriptor.shortCode || name;
+}
+
+/**
+ * Provider name as shown in the first line of a Stremio stream
+ */
+export function getStreamSourceName(name) {
+    const ProviderClass = providerClasses.get(name);
+    return ProviderClass ? `[${ProviderClass.descriptor.shortCode}⚡] Intell DebridSearch` : 'Unknown';
+}
+
+/**
+ * Resolve a lowercase id prefix (e.g. "realdebrid" in "realdebrid:123") to a provider name
+ */
+export function findProviderByIdPrefix(prefix) {
+    const lowerPrefix = String(prefix || '').toLowerCase();
+    return getProviderNames().find(name => name.toLowerCase() === lowerPrefix) || null;
+}
+
+export async function validateProviderApiKey(name, apiKey) {
+    const ProviderClass = providerClasses.get(name);
+    if (!ProviderClass) {
+        return { valid: false, error: `Unknown provider: ${name}` };
+    }
+    return ProviderClass.validateApiKey(apiKey);
+}
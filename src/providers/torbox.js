@@ -3,24 +3,63 @@ import { isVideo, FILE_TYPES } from '../stream/metadata-extractor.js'
 import { parseUnified } from '../utils/unified-torrent-parser.js'
 import { logger } from '../utils/logger.js'
 import { BadTokenError, AccessDeniedError } from '../utils/error-handler.js'
-import { BaseProvider } from './BaseProvider.js'
+import { BaseProvider, ADD_STATUS } from './BaseProvider.js'
 
 const API_BASE_URL = 'https://api.torbox.app'
 const API_VERSION = 'v1'
 const API_VALIDATION_OPTIONS = { responseValidation: false }
+const API_URL = `${API_BASE_URL}/${API_VERSION}/api`
+const REQUEST_TIMEOUT_MS = 15000
+
+const SOURCE_TYPES = Object.freeze({
+    TORRENT: 'torrent',
+    USENET: 'usenet',
+    WEBDL: 'webdl'
+})
+
+// Usenet and web downloads are listed and resolved through the REST API; their ids overlap
+// with torrent ids, so they are prefixed (`usenet-<id>`, `webdl-<id>`) while torrents keep theirs
+const EXTRA_SOURCES = {
+    [SOURCE_TYPES.USENET]: { listPath: '/usenet/mylist', linkPath: '/usenet/requestdl', idParam: 'usenet_id' },
+    [SOURCE_TYPES.WEBDL]: { listPath: '/webdl/mylist', linkPath: '/webdl/requestdl', idParam: 'web_id' }
+}
+
+function toItemId(sourceType, id) {
+    return sourceType === SOURCE_TYPES.TORRENT ? id : `${sourceType}-${id}`
+}
+
+function parseItemId(itemId) {
+    const match = String(itemId).match(/^(usenet|webdl)-(\d+)$/)
+    return match
+        ? { sourceType: match[1], id: match[2] }
+        : { sourceType: SOURCE_TYPES.TORRENT, id: itemId }
+}
+
+function withSourceType(item, sourceType) {
+    return { ...item, id: toItemId(sourceType, item.id), sourceType }
+}
+
+function isFinished(item) {
+    return item.download_finished && item.download_present
+}
 
-// TorBox Rate Limiting Configuration (max per TB doc: 300/min )
-const TORBOX_RATE_LIMIT = {
-    maxCalls: 10,         // Max API calls before applying delay
-    delayMs: 250,         // Delay in milliseconds
-    enabled: false        // Enable/disable rate limiting
-};
+function isPlanRestricted(err) {
+    return err?.status === 403 || err?.error === 'PLAN_RESTRICTED_FEATURE'
+}
 
 class TorBoxProvider extends BaseProvider {
+    static descriptor = {
+        name: 'TorBox',
+        shortCode: 'TB',
+        apiKeyUrl: 'https://torbox.app/settings',
+        capabilities: { bulkDetails: false, unrestrict: true, downloads: false, usenet: true, deviceLogin: false, addMagnet: true, cacheCheck: true },
+        rateLimit: { requestsPerMinute: 300, burst: 5 }, // Documented: 300 requests/min
+        linkTtlSeconds: 2 * 60 * 60, // requestdl links are short-lived; each reuse is checked first
+        ipBoundLinks: true // requestdl is sent user_ip
+    };
+
     constructor() {
         super('TorBox')
-        this.lastApiCall = 0;
-        this.apiCallCount = 0;
     }
 
     /**
@@ -65,27 +104,6 @@ class TorBoxProvider extends BaseProvider {
         }
     }
 
-    /**
-     * Apply rate limiting to avoid TorBox API limits (5 per second)
-     */
-    async rateLimit() {
-        if (!TORBOX_RATE_LIMIT.enabled) return;
-
-        this.apiCallCount++;
-        
-        if (this.apiCallCount % TORBOX_RATE_LIMIT.maxCalls === 0) {
-            const timeSinceLastCall = Date.now() - this.lastApiCall;
-            const delayNeeded = TORBOX_RATE_LIMIT.delayMs - timeSinceLastCall;
-            
-            if (delayNeeded > 0) {
-                logger.debug(`[TorBox] Rate limiting: waiting ${delayNeeded}ms`);
-                await new Promise(resolve => setTimeout(resolve, delayNeeded));
-            }
-        }
-        
-        this.lastApiCall = Date.now();
-    }
-
     async searchFiles(fileType, apiKey, searchKey, threshold) {
         logger.debug("Search " + fileType.description + " with searchKey: " + searchKey)
 
@@ -107,8 +125,81 @@ class TorBoxProvider extends BaseProvider {
         return this.searchFiles(FILE_TYPES.DOWNLOADS, apiKey, searchKey, threshold)
     }
 
+    /**
+     * Authenticated REST call for the endpoints used outside of the SDK
+     * Passing `form` POSTs it as multipart form data. Failures throw with the HTTP status
+     * and TorBox error code attached.
+     */
+    async requestApi(apiKey, path, params = {}, form = null) {
+        const query = new URLSearchParams()
+        for (const [name, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) query.set(name, String(value))
+        }
+
+        let body
+        if (form) {
+            body = new FormData()
+            for (const [name, value] of Object.entries(form)) body.set(name, String(value))
+        }
+
+        const response = await this.schedule(apiKey, () => fetch(`${API_URL}${path}?${query}`, {
+            method: form ? 'POST' : 'GET',
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        }))
+        const result = await response.json().catch(() => ({}))
+
+        if (!response.ok || !result.success) {
+            throw Object.assign(new Error(result.detail || result.error || `HTTP ${response.status}`), {
+                status: response.status,
+                error: result.error,
+                headers: response.headers
+            })
+        }
+        return result.data
+    }
+
+    /**
+     * Create a torrent from a magnet. TorBox queues it when the account's active slots are
+     * full (`queued_id` instead of `torrent_id`); cached torrents are ready immediately.
+     */
+    async addMagnet(apiKey, magnetOrHash) {
+        const { magnet, hash, name } = this.parseMagnetInput(magnetOrHash)
+        const cached = await this.checkCached(apiKey, [hash]).catch(() => null)
+
+        return this.makeApiCall(async () => {
+            const created = await this.requestApi(apiKey, '/torrents/createtorrent', {}, { magnet })
+
+            let status = ADD_STATUS.DOWNLOADING
+            if (created?.queued_id && !created?.torrent_id) {
+                status = ADD_STATUS.QUEUED
+            } else if (cached?.[hash]) {
+                status = ADD_STATUS.CACHED
+            }
+
+            return this.normalizeAddResult({
+                id: created?.torrent_id ?? created?.queued_id,
+                name,
+                hash: created?.hash || hash,
+                status
+            })
+        }, 1, `addMagnet(${hash})`)
+    }
+
+    async checkCached(apiKey, hashes) {
+        return this.makeApiCall(async () => {
+            const cached = await this.requestApi(apiKey, '/torrents/checkcached', { hash: hashes.join(','), format: 'list' })
+            return this.normalizeCachedResult(hashes, (cached || []).map(entry => entry.hash))
+        }, 3, `checkCached(${hashes.length} hashes)`)
+    }
+
     async getTorrentDetails(apiKey, id, context = 'stream') {
-        await this.rateLimit();
+        const { sourceType, id: sourceId } = parseItemId(id)
+        if (sourceType !== SOURCE_TYPES.TORRENT) {
+            return this.getSourceItemDetails(apiKey, sourceType, sourceId, context)
+        }
+
         const torboxApi = new TorboxApi({
             token: apiKey,
             baseUrl: API_BASE_URL,
@@ -116,10 +207,10 @@ class TorBoxProvider extends BaseProvider {
         });
 
         try {
-            const response = await torboxApi.torrents.getTorrentList(API_VERSION, {
+            const response = await this.schedule(apiKey, () => torboxApi.torrents.getTorrentList(API_VERSION, {
                 bypassCache: true,
                 id: String(id)
-            });
+            }));
 
             if (response.data?.success && response.data?.data) {
                 const data = response.data.data;
@@ -135,9 +226,32 @@ class TorBoxProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Details of a usenet or web download, shaped like a torrent
+     */
+    async getSourceItemDetails(apiKey, sourceType, id, context) {
+        try {
+            const data = await this.requestApi(apiKey, EXTRA_SOURCES[sourceType].listPath, {
+                bypass_cache: true,
+                id
+            })
+            const item = Array.isArray(data) ? data.find(entry => entry.id == id) : data
+            if (item && isFinished(item)) {
+                return this.toTorrent(apiKey, withSourceType(item, sourceType), context)
+            }
+            return null
+        } catch (err) {
+            this.logApiError(err, 'getTorrentDetails')
+            return null
+        }
+    }
+
+    async resolveLink(apiKey, itemId, hostUrl, clientIp) {
+        // TorBox needs the torrent id alongside the file id to request a download link
+        return this.unrestrictUrl(apiKey, itemId, hostUrl, clientIp);
+    }
+
     async unrestrictUrl(apiKey, torrentId, hostUrl, userIp) {
-        await this.rateLimit();
-        
         let fileId;
         if (typeof hostUrl === 'string' && hostUrl.startsWith('torbox_file_')) {
             const fileIdMatch = hostUrl.match(/torbox_file_(\d+)/);
@@ -150,6 +264,20 @@ class TorBoxProvider extends BaseProvider {
         } else {
             fileId = hostUrl;
         }
+
+        const { sourceType, id: sourceId } = parseItemId(torrentId)
+        if (sourceType !== SOURCE_TYPES.TORRENT) {
+            const { linkPath, idParam } = EXTRA_SOURCES[sourceType]
+            return this.requestApi(apiKey, linkPath, {
+                token: apiKey,
+                [idParam]: sourceId,
+                file_id: fileId,
+                user_ip: userIp
+            }).catch(err => {
+                this.logApiError(err, 'unrestrictUrl')
+                return null
+            })
+        }
         
         const torboxApi = new TorboxApi({
             token: apiKey,
@@ -157,13 +285,13 @@ class TorBoxProvider extends BaseProvider {
             validation: API_VALIDATION_OPTIONS
         });
 
-        return torboxApi.torrents
+        return this.schedule(apiKey, () => torboxApi.torrents
             .requestDownloadLink(API_VERSION, {
                 token: apiKey,
                 torrentId,
                 fileId,
                 userIp
-            })
+            }))
             .then(res => res.data)
             .then(res => {
                 if (res.success) {
@@ -214,6 +342,7 @@ class TorBoxProvider extends BaseProvider {
             name: item.name,
             type: 'other',
             fileType: FILE_TYPES.TORRENTS,
+            sourceType: item.sourceType || SOURCE_TYPES.TORRENT,
             hash: item.hash,
             info: context === 'stream' ? parseUnified(item.name) : null,
             size: item.size,
@@ -258,15 +387,13 @@ class TorBoxProvider extends BaseProvider {
                 const maxPages = 50;
 
                 for (let i = 0; i < maxPages; i++) {
-                    await this.rateLimit();
-                    
                     let batch;
                     try {
-                        const res = await torboxApi.torrents.getTorrentList(API_VERSION, {
+                        const res = await this.schedule(apiKey, () => torboxApi.torrents.getTorrentList(API_VERSION, {
                             bypassCache: true,
                             offset: String(offset),
                             limit: String(pageSize)
-                        });
+                        }));
                         
                         if (res.data?.success && res.data?.data) {
                             batch = res.data.data;
@@ -288,7 +415,11 @@ class TorBoxProvider extends BaseProvider {
                     logger.debug(`[TorBox] Fetched ${allFiles.length} torrents across ${Math.ceil(allFiles.length / pageSize)} pages`);
                 }
 
-                return allFiles.filter(f => f.download_finished && f.download_present);
+                for (const sourceType of Object.keys(EXTRA_SOURCES)) {
+                    allFiles.push(...await this.listSourceItems(apiKey, sourceType, pageSize));
+                }
+
+                return allFiles.filter(isFinished);
             } else if (fileType?.toString() === 'Symbol(downloads)' || fileType == FILE_TYPES.DOWNLOADS) {
                 return []
             }
@@ -299,6 +430,85 @@ class TorBoxProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Every usenet or web download of the account; a failing source is logged and skipped
+     * so the torrents are still searched
+     */
+    async listSourceItems(apiKey, sourceType, pageSize = 1000) {
+        const items = []
+        const maxPages = 50
+
+        for (let offset = 0, i = 0; i < maxPages; i++, offset += pageSize) {
+            let batch
+            try {
+                batch = await this.requestApi(apiKey, EXTRA_SOURCES[sourceType].listPath, {
+                    bypass_cache: true,
+                    offset,
+                    limit: pageSize
+                }) || []
+            } catch (err) {
+                this.logApiError(err, `list ${sourceType}`)
+                break
+            }
+
+            items.push(...batch.map(item => withSourceType(item, sourceType)))
+            if (batch.length < pageSize) break
+        }
+
+        return items
+    }
+
+    /**
+     * Single page of the torrent, usenet and web download lists, newest first (used for
+     * incremental library snapshots). Unfinished items are included; callers filter them
+     * so they are picked up once finished.
+     */
+    async listTorrentsPage(apiKey, page = 1, pageSize = 1000) {
+        const torboxApi = new TorboxApi({
+            token: apiKey,
+            baseUrl: API_BASE_URL,
+            validation: API_VALIDATION_OPTIONS
+        });
+
+        try {
+            const res = await this.schedule(apiKey, () => torboxApi.torrents.getTorrentList(API_VERSION, {
+                bypassCache: true,
+                offset: String((page - 1) * pageSize),
+                limit: String(pageSize)
+            }));
+
+            if (!res.data?.success) {
+                throw new Error(res.data?.detail || 'TorBox torrent list request failed');
+            }
+
+            const items = [...(res.data.data || [])];
+            for (const [sourceType, { listPath }] of Object.entries(EXTRA_SOURCES)) {
+                items.push(...await this.listSourcePage(apiKey, sourceType, listPath, page, pageSize));
+            }
+            return items;
+        } catch (err) {
+            this._logTorboxApiError(err);
+            throw err;
+        }
+    }
+
+    async listSourcePage(apiKey, sourceType, listPath, page, pageSize) {
+        try {
+            const batch = await this.requestApi(apiKey, listPath, {
+                bypass_cache: true,
+                offset: (page - 1) * pageSize,
+                limit: pageSize
+            }) || [];
+            return batch.map(item => withSourceType(item, sourceType));
+        } catch (err) {
+            // Plans without usenet or web downloads simply have nothing to add
+            if (isPlanRestricted(err)) {
+                return [];
+            }
+            throw err;
+        }
+    }
+
     /**
      * Log TorBox API errors with structured error parsing
      */
@@ -322,7 +532,7 @@ class TorBoxProvider extends BaseProvider {
         
         // Log specific error types
         if (status === 429) {
-            logger.warn('[TorBox] Rate limit exceeded (429) - consider enabling rate limit');
+            logger.warn('[TorBox] Rate limit exceeded (429) - further calls wait for the shared limiter');
         } else if (status === 401 || errorCode === 'BAD_TOKEN' || errorCode === 'invalid_token') {
             logger.warn('[TorBox] Authentication failed: Invalid or expired API token');
         } else if (status === 403 || errorCode === 'PLAN_RESTRICTED_FEATURE') {
@@ -359,7 +569,7 @@ class TorBoxProvider extends BaseProvider {
         
         // Log with appropriate message based on error type
         if (status === 429) {
-            logger.warn(`[TorBox] ${context}: Rate limit exceeded (429) - consider enabling rate limit`);
+            logger.warn(`[TorBox] ${context}: Rate limit exceeded (429) - further calls wait for the shared limiter`);
         } else if (status === 401 || errorCode === 'BAD_TOKEN' || errorCode === 'invalid_token') {
             logger.warn(`[TorBox] ${context}: Authentication failed - Invalid or expired API token`);
         } else if (status === 403 || errorCode === 'PLAN_RESTRICTED_FEATURE') {
@@ -410,7 +620,7 @@ class TorBoxProvider extends BaseProvider {
         
         // Check for rate limiting
         if (status === 429) {
-            logger.warn('[TorBox] Rate limit exceeded (429) - consider enabling rate limit');
+            logger.warn('[TorBox] Rate limit exceeded (429) - further calls wait for the shared limiter');
             return Promise.reject(err);
         }
         
@@ -2,18 +2,22 @@
  * Search Coordinator Module
  * Orchestrates multi-phase search across different providers and APIs
  * Two-phase approach: fast title matching, then deep content analysis
- * Also handles anime season mapping as a final fallback (phase 3)
+ * Falls back to scene episode numbering, then anime season mapping (phase 3), when nothing matches
  */
 
 import { logger } from '../utils/logger.js';
 import { prepareSearchTerms, generateEpisodeKeywords } from './phase-0-preparation.js';
-import { fetchProviderTorrents, preFilterTorrentsByKeywords } from './provider-search.js';
+import { fetchProviderTorrents, fetchProviderDownloads, preFilterTorrentsByKeywords } from './provider-search.js';
 import { performTitleMatching, shouldProceedToPhase2 } from './phase-1-title-matching.js';
 import { batchFetchTorrentDetails, performContentAnalysis, reAnalyzeWithMapping } from './phase-2-content-analysis.js';
 import AbsoluteEpisodeProcessor from '../utils/absolute-episode-processor.js';
 import { configManager } from '../config/configuration.js';
 import { extractKeywords } from './keyword-extractor.js';
 import { hasObviousEpisodeIndicators, hasSeasonOnlyIndicators } from '../utils/media-patterns.js';
+import { traceSearch, recordPhase, appendToPhase } from './search-trace.js';
+import { findResolvedItems } from './resolved-matches.js';
+import { getMappingRule, applyEpisodeOffset, applyMappingFilters } from './manual-mappings.js';
+import { getSceneMapping } from './scene-mappings.js';
 
 /**
  * Create title variants for enhanced search matching.
@@ -57,13 +61,30 @@ export function getSearchStrategy(type, season, episode, alternativeTitles) {
 /**
  * Perform advanced search using TMDb/Trakt APIs when available.
  * Uses a two-phase approach: fast title matching, then deep content analysis.
+ * Inside runWithSearchTrace, every phase is recorded in the search's trace.
  */
-export async function coordinateSearch(params) {
+export function coordinateSearch(params) {
+    const { provider, searchKey, type, season, episode } = params;
+    return traceSearch({ provider, searchKey, type, season, episode }, () => runSearch(params));
+}
+
+async function runSearch(params) {
     const {
         apiKey, provider, searchKey, type, imdbId,
-        season, episode, 
-        threshold = 0.3, providers
+        season: requestedSeason, episode: requestedEpisode,
+        threshold = 0.3, providers,
+        snapshotMaxAgeMs, // Optional override of LIBRARY_SNAPSHOT_MAX_AGE_SECONDS
+        includeDownloads = false, // Also search the account's hoster downloads
+        mappingScope = null // Configuration whose manual mapping overrides apply
     } = params;
+
+    // Manual mapping offsets translate the requested episode to the library's numbering;
+    // everything below searches with the mapped numbers, Trakt keeps the requested ones
+    const mappingRule = getMappingRule(imdbId, mappingScope);
+    const { season, episode, offset: episodeOffset } = applyEpisodeOffset(mappingRule, requestedSeason, requestedEpisode);
+    if (episodeOffset) {
+        logger.info(`[coordinator] Manual episode offset: S${requestedSeason}E${requestedEpisode} → S${season}E${episode}`);
+    }
     
     // Implement fallback to environment variables for API keys when not provided by user
     let { tmdbApiKey, traktApiKey } = params;
@@ -81,7 +102,8 @@ export async function coordinateSearch(params) {
     // ========== PARALLEL PHASE EXECUTION: PHASE 0 + PROVIDER VALIDATION ==========
     const [preparationResult, validatedProvider] = await Promise.all([
         prepareSearchTerms({
-            searchKey, type, imdbId, season, episode, tmdbApiKey, traktApiKey
+            searchKey, type, imdbId, season: requestedSeason, episode: requestedEpisode, tmdbApiKey, traktApiKey,
+            manualTitles: mappingRule?.titles
         }),
         Promise.resolve().then(() => {
             const providerImplementation = providers[provider];
@@ -92,7 +114,7 @@ export async function coordinateSearch(params) {
         })
     ]);
     
-    let { normalizedSearchKey, alternativeTitles, uniqueSearchTerms, absoluteEpisode } = preparationResult;
+    let { normalizedSearchKey, alternativeTitles, manualTerms, uniqueSearchTerms, absoluteEpisode } = preparationResult;
     const providerImpl = validatedProvider;
     
     // Add both raw and normalized variants from title variant creation
@@ -103,28 +125,69 @@ export async function coordinateSearch(params) {
         logger.debug(`[coordinator] Added ${rawVariants.length} raw + ${normalizedVariants.length} normalized variant terms`);
     }
 
+    recordPhase('terms', () => ({
+        searchKey,
+        normalizedSearchKey,
+        manualTerms,
+        alternativeTitles,
+        absoluteEpisode,
+        titleVariants,
+        searchTerms: uniqueSearchTerms
+    }));
+
     // ========== OPTIMIZED PROVIDER SEARCH (SINGLE FETCH + PRE-FILTER) ==========
 
-    // Get ALL torrents once
+    // Get ALL torrents (and downloads) once
+    const maxAgeMs = snapshotMaxAgeMs ?? configManager.getLibrarySnapshotConfig().maxAgeMs;
     let allTorrents = [];
     try {
-        allTorrents = await fetchProviderTorrents(provider, providerImpl, apiKey, normalizedSearchKey, threshold);
+        const [torrents, downloads] = await Promise.all([
+            fetchProviderTorrents(provider, providerImpl, apiKey, normalizedSearchKey, threshold, { maxAgeMs }),
+            includeDownloads ? fetchProviderDownloads(provider, providerImpl, apiKey, { maxAgeMs }) : []
+        ]);
+        allTorrents = torrents.concat(downloads);
     } catch (error) {
         logger.warn(`[coordinator] Failed to fetch torrents: ${error.message}`);
         return [];
     }
 
+    recordPhase('library', { items: allTorrents.length });
+
     if (allTorrents.length === 0) {
         logger.info('❌ [coordinator] No torrents found');
         return [];
     }
 
+    // Manual mapping: forced torrent IDs are certain matches, excluded names never match
+    const { forced: forcedItems, excluded: excludedItems, remaining: mappedTorrents } = applyMappingFilters(mappingRule, allTorrents);
+    if (forcedItems.length > 0 || excludedItems.length > 0) {
+        logger.info(`[coordinator] Manual mapping for ${imdbId}: ${forcedItems.length} forced, ${excludedItems.length} excluded torrent(s)`);
+    }
+    if (mappingRule) {
+        recordPhase('manualMapping', () => ({
+            rule: mappingRule,
+            episodeOffset,
+            forced: forcedItems.map(item => ({ id: item.id, name: item.name })),
+            excluded: excludedItems.map(item => ({ id: item.id, name: item.name }))
+        }));
+    }
+
+    // Items already resolved to this IMDb ID (catalog resolutions, earlier stream matches) skip fuzzy matching
+    const resolvedItems = findResolvedItems(imdbId, mappedTorrents);
+    const resolvedSet = new Set(resolvedItems);
+    const unresolvedTorrents = resolvedItems.length > 0 ? mappedTorrents.filter(item => !resolvedSet.has(item)) : mappedTorrents;
+    if (resolvedItems.length > 0) {
+        logger.info(`[coordinator] ${resolvedItems.length} torrent(s) already resolved to ${imdbId}`);
+    }
+    recordPhase('resolved', () => resolvedItems.map(item => ({ id: item.id, name: item.name })));
+
     // Pre-filter torrents by keyword inclusion before expensive Fuse.js
     const keywords = generateEpisodeKeywords(type, season, episode, absoluteEpisode, uniqueSearchTerms);
     logger.info(`[coordinator] Generated ${keywords.length} keywords for search: ${keywords.join(', ')}`);
-    const relevantTorrents = await preFilterTorrentsByKeywords(allTorrents, keywords);
+    recordPhase('keywords', keywords);
+    const relevantTorrents = await preFilterTorrentsByKeywords(unresolvedTorrents, keywords);
     
-    if (relevantTorrents.length === 0) {
+    if (relevantTorrents.length === 0 && resolvedItems.length === 0 && forcedItems.length === 0) {
         logger.info('❌ [coordinator] No relevant torrents found after pre-filtering');
         return [];
     }
@@ -133,10 +196,28 @@ export async function coordinateSearch(params) {
     const allRawResults = relevantTorrents;
     
     // ========== PHASE 1: FAST TITLE MATCHING ==========
-    const titleMatches = await performTitleMatching(allRawResults, uniqueSearchTerms, threshold);
+    // Forced and resolved items are certain matches; fuzzy matching only covers the rest
+    const titleMatches = [
+        ...forcedItems.map(item => ({ item: { ...item, forcedMatch: true }, score: 0, matchedTerm: 'manual mapping' })),
+        ...resolvedItems.map(item => ({ item: { ...item, resolvedMatch: true }, score: 0, matchedTerm: imdbId })),
+        ...await performTitleMatching(allRawResults, uniqueSearchTerms, threshold)
+    ];
     
     // Check if we should proceed to Phase 2 or return early
     const phase2Decision = shouldProceedToPhase2(titleMatches, type, season, episode);
+    recordPhase('titleMatching', () => ({
+        threshold,
+        decision: phase2Decision.reason,
+        matches: titleMatches.map(match => ({
+            id: match.item.id,
+            name: match.item.name,
+            score: match.score,
+            matchedTerm: match.matchedTerm,
+            matchedFiles: match.item.matchedFiles ?? null,
+            resolved: match.item.resolvedMatch === true,
+            forced: match.item.forcedMatch === true
+        }))
+    }));
     
     if (!phase2Decision.shouldProceed) {
         if (phase2Decision.returnPhase1) {
@@ -146,7 +227,11 @@ export async function coordinateSearch(params) {
                 const beforeCount = results.length;
                 results = results.filter(item => {
                     const name = item.name || '';
-                    return !hasObviousEpisodeIndicators(name) && !hasSeasonOnlyIndicators(name);
+                    const isSeries = !item.resolvedMatch && !item.forcedMatch && (hasObviousEpisodeIndicators(name) || hasSeasonOnlyIndicators(name));
+                    if (isSeries) {
+                        appendToPhase('movieFilter', { id: item.id, name, reason: 'episode or season markers in a movie search' });
+                    }
+                    return !isSeries;
                 });
                 if (results.length < beforeCount) {
                     logger.info(`[coordinator] Filtered ${beforeCount - results.length} series torrent(s) from movie results`);
@@ -190,12 +275,39 @@ export async function coordinateSearch(params) {
         logger.debug('[coordinator] Phase 2 skipped: No title matches from Phase 1');
     }
     
-    logger.debug(`[coordinator] Performance summary: ${allRawResults.length} total → ${titleMatches.length} title matches → ${matches.length} final results`);
+    logger.debug(`[coordinator] Performance summary: ${allRawResults.length + resolvedItems.length + forcedItems.length} total → ${titleMatches.length} title matches → ${matches.length} final results`);
+
+    // ========== SCENE NUMBERING FALLBACK ==========
+    // Release groups may number the episode differently (split seasons, merged pilots); a manual offset takes precedence
+    const sceneMapping = matches.length === 0 && titleMatches.length > 0 && type === 'series' && !episodeOffset
+        ? getSceneMapping(imdbId, season, episode)
+        : null;
+    if (sceneMapping) {
+        logger.info(`[coordinator] Scene mapping found: S${season}E${episode} → S${sceneMapping.mappedSeason}E${sceneMapping.mappedEpisode}`);
+        const sceneMatches = reAnalyzeWithMapping(titleMatches, sceneMapping);
+        recordPhase('sceneMapping', { mapping: sceneMapping, matches: sceneMatches.length });
+
+        if (sceneMatches.length > 0) {
+            const wrappedSceneMatches = sceneMatches.map(torrent => ({ item: torrent, torrentDetails: torrent }));
+            return {
+                results: applyAbsoluteEpisodePostProcessing(wrappedSceneMatches, absoluteEpisode).map(r => r.item),
+                absoluteEpisode: absoluteEpisode,
+                sceneMapping,
+                mappedSeason: sceneMapping.mappedSeason,
+                mappedEpisode: sceneMapping.mappedEpisode
+            };
+        }
+        logger.info('[coordinator] ❌ No results with the scene numbering');
+    }
     
     // ========== PHASE 3: ANIME SEASON CHECK (Final fallback) ==========
     if (matches.length === 0 && type === 'series' && season && episode) {
         // Check if this is Season 0 (specials/OVA) - don't do anime mapping for S00
+        const animeTrace = { attempts: [], mapping: null, matches: 0 };
+        recordPhase('animeMapping', animeTrace);
+
         if (parseInt(season) === 0) {
+            animeTrace.skipped = 'season 0 (specials/OVA) is never remapped';
             logger.info('[coordinator] Season 0 (specials/OVA) detected - skipping anime mapping phase');
             logger.info('[coordinator] For S00 episodes, we only look for direct S00E{episode} matches');
             
@@ -227,6 +339,7 @@ export async function coordinateSearch(params) {
             for (const titleVariation of titleVariations) {
                 logger.info(`[coordinator] Trying anime search with: "${titleVariation}"`);
                 animeSeasons = await fetchAnimeSeasonInfo(titleVariation);
+                animeTrace.attempts.push({ title: titleVariation, seasons: animeSeasons.length });
                 
                 if (animeSeasons.length > 0) {
                     successfulTitle = titleVariation;
@@ -242,6 +355,7 @@ export async function coordinateSearch(params) {
             if (animeSeasons.length > 0) {
                 // Try to map the episode to correct season
                 const episodeMapping = mapAnimeEpisode(animeSeasons, parseInt(season), parseInt(episode));
+                animeTrace.mapping = episodeMapping;
                 
                 if (episodeMapping) {
                     logger.info(`[coordinator] Anime mapping found using "${successfulTitle}": S${season}E${episode} → S${episodeMapping.mappedSeason}E${episodeMapping.mappedEpisode}`);
@@ -251,6 +365,7 @@ export async function coordinateSearch(params) {
                     
                     // Re-analyze the same torrents we already found with the new season/episode
                     const animeMatches = reAnalyzeWithMapping(titleMatches, episodeMapping);
+                    animeTrace.matches = animeMatches.length;
                     
                     if (animeMatches.length > 0) {
                         logger.info(`[coordinator] ✅ Optimized anime retry successful: Found ${animeMatches.length} results (no additional API calls needed)`);
@@ -268,7 +383,8 @@ export async function coordinateSearch(params) {
                             absoluteEpisode: absoluteEpisode,
                             animeMapping: episodeMapping, // Pass the complete mapping object instead of just true
                             mappedSeason: episodeMapping.mappedSeason,
-                            mappedEpisode: episodeMapping.mappedEpisode
+                            mappedEpisode: episodeMapping.mappedEpisode,
+                            episodeOffset
                         };
                     } else {
                         logger.info('[coordinator] ❌ Optimized anime retry failed: No results found with mapped season/episode');
@@ -280,6 +396,7 @@ export async function coordinateSearch(params) {
                 logger.info('[coordinator] No anime seasons found for any country-prioritized title variation');
             }
         } catch (error) {
+            animeTrace.error = error.message;
             logger.warn('[coordinator] Anime season check failed:', error);
         }
     }
@@ -296,6 +413,7 @@ export async function coordinateSearch(params) {
     return {
         results: finalResults.map(r => r.item), // Extract back to flat format
         absoluteEpisode: absoluteEpisode,
+        ...(episodeOffset && { episodeOffset, mappedSeason: season, mappedEpisode: episode }),
         searchContext: {
             searchTitle: normalizedSearchKey,
             alternativeTitles: alternativeTitles,
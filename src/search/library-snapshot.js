@@ -0,0 +1,536 @@
+/**
+ * Library Snapshot
+ * Persists each account's torrent list in SQLite (next to the enrichment cache) so searches
+ * do not re-list the whole debrid library on every stream request. Snapshots are refreshed
+ * incrementally from the provider's newest-first pages and fully re-listed periodically to
+ * drop deleted items. Parsed torrent info is stored with the item and only computed once.
+ *
+ * The snapshot also keeps a file index: the video file names of each torrent, filled in the
+ * background from the provider's torrent details, so searches can match packs by their files.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import Database from 'better-sqlite3';
+import { configManager } from '../config/configuration.js';
+import { parseUnified } from '../utils/unified-torrent-parser.js';
+import { runWithPriority, PRIORITY } from '../utils/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const PARSER_VERSION = 'library-snapshot-v1'; // Bump to re-parse stored info after parser changes
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const FILE_INDEX_RETRY_MS = 60 * 60 * 1000; // 1 hour before retrying torrents whose details failed
+
+let snapshotSingleton = null;
+let snapshotSignature = null;
+let snapshotUnavailableSignature = null;
+
+/**
+ * Accounts are keyed by a hash so API keys never reach the database
+ */
+export function buildAccountKey(provider, apiKey) {
+    return crypto.createHash('sha256').update(`${provider}:${apiKey}`).digest('hex').substring(0, 32);
+}
+
+function toTimestamp(value) {
+    const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+export class LibrarySnapshot {
+    constructor(options = {}) {
+        this.options = {
+            dbPath: './data/library-snapshot.sqlite',
+            maxAgeMs: 2 * 60 * 1000, // 2 minutes
+            fullRefreshMs: 6 * 60 * 60 * 1000, // 6 hours
+            accountTtlMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+            maxPages: 100,
+            fileIndexBatchSize: 50,
+            ...options
+        };
+
+        this.dbPath = path.resolve(this.options.dbPath);
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+
+        this.db = new Database(this.dbPath, { timeout: 5000 });
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.pragma('synchronous = NORMAL');
+
+        this.refreshes = new Map();
+        this.backgroundListings = new Set();
+        this.fileIndexings = new Set();
+
+        this.initializeSchema();
+        this.prepareStatements();
+        this.cleanupExpired();
+        this.startCleanupTimer();
+
+        logger.info(`[library-snapshot] Snapshot database ready (path=${this.dbPath}, accounts=${this.statements.countAccounts.get()?.count || 0})`);
+    }
+
+    initializeSchema() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS library_accounts (
+              account_key TEXT PRIMARY KEY,
+              provider TEXT NOT NULL,
+              item_count INTEGER NOT NULL DEFAULT 0,
+              refreshed_at INTEGER NOT NULL,
+              full_refreshed_at INTEGER NOT NULL,
+              last_accessed_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS library_items (
+              account_key TEXT NOT NULL,
+              item_key TEXT NOT NULL,
+              item_id_json TEXT NOT NULL,
+              name TEXT NOT NULL,
+              size INTEGER,
+              created_at INTEGER,
+              info_json TEXT,
+              parser_version TEXT NOT NULL,
+              seen_at INTEGER NOT NULL,
+              PRIMARY KEY (account_key, item_key),
+              FOREIGN KEY (account_key) REFERENCES library_accounts(account_key) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS library_item_files (
+              account_key TEXT NOT NULL,
+              item_key TEXT NOT NULL,
+              files_json TEXT,
+              indexed_at INTEGER NOT NULL,
+              PRIMARY KEY (account_key, item_key),
+              FOREIGN KEY (account_key, item_key) REFERENCES library_items(account_key, item_key) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_library_items_created
+              ON library_items (account_key, created_at DESC);
+
+            CREATE INDEX IF NOT EXISTS idx_library_accounts_accessed
+              ON library_accounts (last_accessed_at);
+        `);
+    }
+
+    prepareStatements() {
+        this.statements = {
+            getAccount: this.db.prepare(`
+                SELECT *
+                FROM library_accounts
+                WHERE account_key = @accountKey
+            `),
+            upsertAccount: this.db.prepare(`
+                INSERT INTO library_accounts (
+                  account_key, provider, item_count, refreshed_at, full_refreshed_at, last_accessed_at
+                ) VALUES (
+                  @accountKey, @provider, 0, @now, @fullRefreshedAt, @now
+                )
+                ON CONFLICT(account_key) DO UPDATE SET
+                  refreshed_at = excluded.refreshed_at,
+                  full_refreshed_at = MAX(library_accounts.full_refreshed_at, excluded.full_refreshed_at),
+                  last_accessed_at = excluded.last_accessed_at
+            `),
+            updateItemCount: this.db.prepare(`
+                UPDATE library_accounts
+                SET item_count = (SELECT COUNT(*) FROM library_items WHERE account_key = @accountKey)
+                WHERE account_key = @accountKey
+            `),
+            expireAccount: this.db.prepare(`
+                UPDATE library_accounts
+                SET refreshed_at = 0
+                WHERE account_key = @accountKey
+            `),
+            touchAccount: this.db.prepare(`
+                UPDATE library_accounts
+                SET last_accessed_at = @now
+                WHERE account_key = @accountKey
+            `),
+            getItems: this.db.prepare(`
+                SELECT i.item_id_json, i.name, i.size, i.created_at, i.info_json, f.files_json
+                FROM library_items i
+                LEFT JOIN library_item_files f
+                  ON f.account_key = i.account_key AND f.item_key = i.item_key
+                WHERE i.account_key = @accountKey
+                ORDER BY i.created_at DESC
+            `),
+            getUnindexedItems: this.db.prepare(`
+                SELECT i.item_key, i.item_id_json
+                FROM library_items i
+                LEFT JOIN library_item_files f
+                  ON f.account_key = i.account_key AND f.item_key = i.item_key
+                WHERE i.account_key = @accountKey
+                  AND (f.item_key IS NULL OR (f.files_json IS NULL AND f.indexed_at <= @retryBefore))
+                ORDER BY i.created_at DESC
+                LIMIT @limit
+            `),
+            upsertItemFiles: this.db.prepare(`
+                INSERT INTO library_item_files (account_key, item_key, files_json, indexed_at)
+                VALUES (@accountKey, @itemKey, @filesJson, @now)
+                ON CONFLICT(account_key, item_key) DO UPDATE SET
+                  files_json = excluded.files_json,
+                  indexed_at = excluded.indexed_at
+            `),
+            getItemKeys: this.db.prepare(`
+                SELECT item_key, name, parser_version
+                FROM library_items
+                WHERE account_key = @accountKey
+            `),
+            upsertItem: this.db.prepare(`
+                INSERT INTO library_items (
+                  account_key, item_key, item_id_json, name, size, created_at, info_json, parser_version, seen_at
+                ) VALUES (
+                  @accountKey, @itemKey, @itemIdJson, @name, @size, @createdAt, @infoJson, @parserVersion, @seenAt
+                )
+                ON CONFLICT(account_key, item_key) DO UPDATE SET
+                  item_id_json = excluded.item_id_json,
+                  name = excluded.name,
+                  size = excluded.size,
+                  created_at = excluded.created_at,
+                  info_json = COALESCE(excluded.info_json, library_items.info_json),
+                  parser_version = excluded.parser_version,
+                  seen_at = excluded.seen_at
+            `),
+            deleteUnseenItems: this.db.prepare(`
+                DELETE FROM library_items
+                WHERE account_key = @accountKey
+                  AND seen_at <> @seenAt
+            `),
+            deleteExpiredAccounts: this.db.prepare(`
+                DELETE FROM library_accounts
+                WHERE last_accessed_at <= @cutoff
+            `),
+            countAccounts: this.db.prepare('SELECT COUNT(*) AS count FROM library_accounts')
+        };
+
+        this.storeItemsTransaction = this.db.transaction((accountKey, provider, items, { isFullListing, now }) => {
+            const existing = new Map(
+                this.statements.getItemKeys.all({ accountKey }).map(row => [row.item_key, row])
+            );
+
+            this.statements.upsertAccount.run({
+                accountKey,
+                provider,
+                now,
+                fullRefreshedAt: isFullListing ? now : 0
+            });
+
+            let parsedCount = 0;
+            for (const item of items) {
+                const itemKey = String(item.id);
+                const known = existing.get(itemKey);
+                const needsParsing = !known || known.name !== item.name || known.parser_version !== PARSER_VERSION;
+
+                let infoJson = null;
+                if (needsParsing) {
+                    infoJson = JSON.stringify(item.info || parseUnified(item.name) || null);
+                    parsedCount++;
+                }
+
+                this.statements.upsertItem.run({
+                    accountKey,
+                    itemKey,
+                    itemIdJson: JSON.stringify(item.id),
+                    name: item.name,
+                    size: Number.isFinite(item.size) ? item.size : null,
+                    createdAt: toTimestamp(item.created),
+                    infoJson,
+                    parserVersion: PARSER_VERSION,
+                    seenAt: now
+                });
+            }
+
+            if (isFullListing) {
+                this.statements.deleteUnseenItems.run({ accountKey, seenAt: now });
+            }
+
+            this.statements.updateItemCount.run({ accountKey });
+            return parsedCount;
+        });
+
+        this.storeFilesTransaction = this.db.transaction((accountKey, entries, now) => {
+            for (const { itemKey, fileNames } of entries) {
+                this.statements.upsertItemFiles.run({
+                    accountKey,
+                    itemKey,
+                    filesJson: fileNames ? JSON.stringify(fileNames) : null,
+                    now
+                });
+            }
+        });
+    }
+
+    /**
+     * Torrents of an account, refreshed first when the snapshot is older than maxAgeMs
+     * @param {string} provider - Provider name (stored as each item's source)
+     * @param {string} apiKey - Account API key (only its hash is stored)
+     * @param {Object} source - How to list the account
+     * @param {Function} source.fetchAll - Resolves every torrent, already mapped
+     * @param {Function|null} source.fetchPage - Resolves { items, ids, count } for a newest-first page
+     * @param {number} [source.pageSize] - Page size used by fetchPage
+     * @param {number} [source.maxAgeMs] - Staleness window for this read
+     * @param {Function|null} [source.fetchDetails] - Resolves a Map of id → torrent details, used to index files
+     * @returns {Promise<Array>} Torrents in the shape produced by the provider dataMapper
+     */
+    async getTorrents(provider, apiKey, source) {
+        const accountKey = buildAccountKey(provider, apiKey);
+        const maxAgeMs = source.maxAgeMs ?? this.options.maxAgeMs;
+        const state = this.statements.getAccount.get({ accountKey });
+        const now = Date.now();
+
+        if (!state || now - state.refreshed_at >= maxAgeMs) {
+            try {
+                await this.refresh(accountKey, provider, state, source);
+            } catch (error) {
+                if (!state) {
+                    throw error;
+                }
+                logger.warn(`[library-snapshot] Refresh failed for ${provider}, serving snapshot from ${Math.round((now - state.refreshed_at) / 1000)}s ago: ${error.message}`);
+            }
+        } else {
+            logger.debug(`[library-snapshot] Using ${provider} snapshot from ${Math.round((now - state.refreshed_at) / 1000)}s ago`);
+        }
+
+        this.statements.touchAccount.run({ accountKey, now });
+        if (source.fetchDetails) {
+            this.startFileIndexing(accountKey, provider, source);
+        }
+        return this.getItems(accountKey, provider);
+    }
+
+    /**
+     * Make the next read of an account refresh first (e.g. after a torrent was added to it)
+     */
+    markStale(provider, apiKey) {
+        this.statements.expireAccount.run({ accountKey: buildAccountKey(provider, apiKey) });
+    }
+
+    getItems(accountKey, provider) {
+        return this.statements.getItems.all({ accountKey }).map(row => ({
+            source: provider,
+            id: JSON.parse(row.item_id_json),
+            name: row.name,
+            type: 'other',
+            info: row.info_json ? JSON.parse(row.info_json) : null,
+            size: row.size ?? 0,
+            created: new Date(row.created_at ?? 0),
+            ...(row.files_json ? { fileNames: JSON.parse(row.files_json) } : {})
+        }));
+    }
+
+    /**
+     * One refresh per account at a time; concurrent searches wait for the same refresh
+     */
+    refresh(accountKey, provider, state, source) {
+        if (!this.refreshes.has(accountKey)) {
+            const refreshPromise = this.runRefresh(accountKey, provider, state, source)
+                .finally(() => this.refreshes.delete(accountKey));
+            this.refreshes.set(accountKey, refreshPromise);
+        }
+        return this.refreshes.get(accountKey);
+    }
+
+    async runRefresh(accountKey, provider, state, source) {
+        const fullListingDue = !state || Date.now() - state.full_refreshed_at >= this.options.fullRefreshMs;
+
+        // With a snapshot to answer from, the waiting search only needs the incremental walk;
+        // the periodic full re-listing follows at background priority
+        if (state && fullListingDue && source.fetchPage) {
+            await this.runListing(accountKey, provider, source, false);
+            this.startBackgroundListing(accountKey, provider, source);
+            return;
+        }
+
+        await this.runListing(accountKey, provider, source, fullListingDue);
+    }
+
+    startBackgroundListing(accountKey, provider, source) {
+        if (this.backgroundListings.has(accountKey)) {
+            return;
+        }
+
+        this.backgroundListings.add(accountKey);
+        runWithPriority(PRIORITY.BACKGROUND, () => this.runListing(accountKey, provider, source, true))
+            .catch(error => logger.warn(`[library-snapshot] Background full refresh of ${provider} failed: ${error.message}`))
+            .finally(() => this.backgroundListings.delete(accountKey));
+    }
+
+    async runListing(accountKey, provider, source, wantsFullListing) {
+        const startTime = Date.now();
+
+        let listing;
+        if (source.fetchPage) {
+            listing = await this.fetchPages(accountKey, source, !wantsFullListing);
+        } else {
+            listing = { items: await source.fetchAll(), isFullListing: true };
+        }
+
+        if (!Array.isArray(listing.items)) {
+            throw new Error(`${provider} returned no torrent list`);
+        }
+
+        const parsedCount = this.storeItemsTransaction(accountKey, provider, listing.items, {
+            isFullListing: listing.isFullListing,
+            now: Date.now()
+        });
+
+        logger.info(`[library-snapshot] ${listing.isFullListing ? 'Full' : 'Incremental'} refresh of ${provider}: ${listing.items.length} listed, ${parsedCount} parsed (${Date.now() - startTime}ms)`);
+    }
+
+    /**
+     * Index the files of a batch of not yet indexed torrents, newest first, at background priority.
+     * Each search of the account indexes another batch until the whole library is covered.
+     */
+    startFileIndexing(accountKey, provider, source) {
+        if (this.fileIndexings.has(accountKey)) {
+            return;
+        }
+
+        const pending = this.statements.getUnindexedItems.all({
+            accountKey,
+            retryBefore: Date.now() - FILE_INDEX_RETRY_MS,
+            limit: this.options.fileIndexBatchSize
+        });
+        if (pending.length === 0) {
+            return;
+        }
+
+        this.fileIndexings.add(accountKey);
+        runWithPriority(PRIORITY.BACKGROUND, () => this.indexFiles(accountKey, provider, source, pending))
+            .catch(error => logger.warn(`[library-snapshot] File indexing of ${provider} failed: ${error.message}`))
+            .finally(() => this.fileIndexings.delete(accountKey));
+    }
+
+    async indexFiles(accountKey, provider, source, pending) {
+        const startTime = Date.now();
+        const details = await source.fetchDetails(pending.map(row => JSON.parse(row.item_id_json)));
+
+        // Torrents without details (failed or still downloading) are stored without files and retried later
+        const entries = pending.map(row => {
+            const videos = details?.get(JSON.parse(row.item_id_json))?.videos;
+            return {
+                itemKey: row.item_key,
+                fileNames: Array.isArray(videos) ? videos.map(video => video.name).filter(Boolean) : null
+            };
+        });
+
+        this.storeFilesTransaction(accountKey, entries, Date.now());
+
+        const indexed = entries.filter(entry => entry.fileNames).length;
+        logger.info(`[library-snapshot] Indexed files of ${indexed}/${pending.length} ${provider} torrents (${Date.now() - startTime}ms)`);
+    }
+
+    /**
+     * Walk newest-first pages. Incremental walks stop at the first page holding an item
+     * that is already stored; everything after it is older and unchanged.
+     */
+    async fetchPages(accountKey, source, stopAtKnown) {
+        const knownKeys = stopAtKnown
+            ? new Set(this.statements.getItemKeys.all({ accountKey }).map(row => row.item_key))
+            : null;
+        const items = [];
+
+        for (let page = 1; page <= this.options.maxPages; page++) {
+            const result = await source.fetchPage(page);
+            if (!result || !Array.isArray(result.items)) {
+                throw new Error(`Page ${page} could not be listed`);
+            }
+
+            items.push(...result.items);
+
+            if (result.count < source.pageSize) {
+                return { items, isFullListing: !stopAtKnown };
+            }
+
+            if (knownKeys && result.ids.some(id => knownKeys.has(String(id)))) {
+                return { items, isFullListing: false };
+            }
+        }
+
+        // Truncated listing: never treat it as complete, or older items would be dropped
+        logger.warn(`[library-snapshot] Stopped after ${this.options.maxPages} pages`);
+        return { items, isFullListing: false };
+    }
+
+    cleanupExpired(now = Date.now()) {
+        const result = this.statements.deleteExpiredAccounts.run({ cutoff: now - this.options.accountTtlMs });
+        if (result.changes > 0) {
+            logger.info(`[library-snapshot] Dropped ${result.changes} unused account snapshots`);
+        }
+    }
+
+    startCleanupTimer() {
+        this.cleanupTimer = setInterval(() => {
+            try {
+                this.cleanupExpired();
+            } catch (error) {
+                logger.warn(`[library-snapshot] Cleanup failed: ${error.message}`);
+            }
+        }, CLEANUP_INTERVAL_MS);
+        this.cleanupTimer.unref?.();
+    }
+
+    close() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+
+        if (this.db?.open) {
+            this.db.close();
+        }
+    }
+}
+
+function buildSnapshotSignature(config) {
+    return JSON.stringify({
+        dbPath: path.resolve(config.dbPath),
+        maxAgeMs: config.maxAgeMs,
+        fullRefreshMs: config.fullRefreshMs,
+        accountTtlMs: config.accountTtlMs,
+        maxPages: config.maxPages,
+        fileIndexBatchSize: config.fileIndexBatchSize
+    });
+}
+
+/**
+ * Shared snapshot store, or null when disabled or the database cannot be opened
+ * (e.g. read-only serverless file systems)
+ */
+export function getLibrarySnapshot() {
+    const config = configManager.getLibrarySnapshotConfig();
+    if (!config.enabled) {
+        return null;
+    }
+
+    const signature = buildSnapshotSignature(config);
+    if (snapshotSingleton && snapshotSignature === signature) {
+        return snapshotSingleton;
+    }
+    if (snapshotUnavailableSignature === signature) {
+        return null;
+    }
+
+    if (snapshotSingleton) {
+        snapshotSingleton.close();
+        snapshotSingleton = null;
+    }
+
+    try {
+        snapshotSingleton = new LibrarySnapshot(config);
+        snapshotSignature = signature;
+        return snapshotSingleton;
+    } catch (error) {
+        logger.error(`[library-snapshot] Snapshot database unavailable, listing providers directly: ${error.message}`);
+        snapshotUnavailableSignature = signature;
+        return null;
+    }
+}
+
+export function resetLibrarySnapshot() {
+    if (snapshotSingleton) {
+        snapshotSingleton.close();
+        snapshotSingleton = null;
+        snapshotSignature = null;
+    }
+    snapshotUnavailableSignature = null;
+}
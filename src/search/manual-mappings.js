@@ -0,0 +1,394 @@
+/**
+ * Manual Mappings
+ * Per-title search rules editable at runtime through the admin API: extra search titles, excluded
+ * name patterns, season/episode offsets and forced torrent IDs. Global rules live in a JSON file
+ * (seeded from src/config/manual-search-mappings.json on first use); each configuration may add
+ * its own overrides, scoped by a hash of its debrid accounts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { configManager } from '../config/configuration.js';
+import { BadRequestError } from '../utils/error-handler.js';
+import { logger } from '../utils/logger.js';
+
+const STORE_VERSION = 1;
+const LEGACY_MAPPINGS_PATH = path.join(process.cwd(), 'src', 'config', 'manual-search-mappings.json');
+const IMDB_ID_PATTERN = /^tt\d{5,10}$/;
+const MAX_LIST_LENGTH = 20;
+const MAX_TEXT_LENGTH = 200;
+
+export function isValidImdbId(imdbId) {
+    return typeof imdbId === 'string' && IMDB_ID_PATTERN.test(imdbId);
+}
+
+function normalizeStringList(value, field) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value) || value.length > MAX_LIST_LENGTH) {
+        throw new BadRequestError(`${field} must be an array of at most ${MAX_LIST_LENGTH} strings`, field);
+    }
+
+    const strings = value.map(entry => (typeof entry === 'number' ? String(entry) : entry));
+    if (strings.some(entry => typeof entry !== 'string' || entry.trim() === '' || entry.length > MAX_TEXT_LENGTH)) {
+        throw new BadRequestError(`${field} entries must be non-empty strings of at most ${MAX_TEXT_LENGTH} characters`, field);
+    }
+    return [...new Set(strings.map(entry => entry.trim()))];
+}
+
+function normalizeEpisodeOffset(offset) {
+    const isCount = (value, min) => Number.isInteger(value) && value >= min;
+    const { season, fromEpisode = 1, toEpisode = null, targetSeason = season, episodeOffset = 0 } = offset || {};
+
+    if (!isCount(season, 0) || !isCount(fromEpisode, 1) || !isCount(targetSeason, 0) || !Number.isInteger(episodeOffset)
+        || (toEpisode !== null && !isCount(toEpisode, fromEpisode))) {
+        throw new BadRequestError('episodeOffsets entries need an integer season, optional fromEpisode/toEpisode range, targetSeason and episodeOffset', 'episodeOffsets');
+    }
+    if (fromEpisode + episodeOffset < 1) {
+        throw new BadRequestError(`episodeOffset ${episodeOffset} maps S${season}E${fromEpisode} below episode 1`, 'episodeOffsets');
+    }
+
+    return { season, fromEpisode, toEpisode, targetSeason, episodeOffset };
+}
+
+/**
+ * Validate a rule from the admin API, an import or the legacy file
+ * A bare array is read as a list of extra titles (the legacy format).
+ * @returns {{titles: string[], excludePatterns: string[], episodeOffsets: Array, torrentIds: string[], note?: string}}
+ */
+export function normalizeRule(rule) {
+    if (Array.isArray(rule)) {
+        rule = { titles: rule };
+    }
+    if (!rule || typeof rule !== 'object') {
+        throw new BadRequestError('A mapping must be an object or an array of titles');
+    }
+
+    const offsets = rule.episodeOffsets ?? [];
+    if (!Array.isArray(offsets) || offsets.length > MAX_LIST_LENGTH) {
+        throw new BadRequestError(`episodeOffsets must be an array of at most ${MAX_LIST_LENGTH} entries`, 'episodeOffsets');
+    }
+
+    const normalized = {
+        titles: normalizeStringList(rule.titles, 'titles'),
+        excludePatterns: normalizeStringList(rule.excludePatterns, 'excludePatterns'),
+        episodeOffsets: offsets.map(normalizeEpisodeOffset),
+        torrentIds: normalizeStringList(rule.torrentIds, 'torrentIds')
+    };
+
+    if (Object.values(normalized).every(list => list.length === 0)) {
+        throw new BadRequestError('A mapping needs at least one of titles, excludePatterns, episodeOffsets or torrentIds');
+    }
+    if (rule.note !== undefined && rule.note !== null) {
+        if (typeof rule.note !== 'string' || rule.note.length > MAX_TEXT_LENGTH) {
+            throw new BadRequestError(`note must be a string of at most ${MAX_TEXT_LENGTH} characters`, 'note');
+        }
+        normalized.note = rule.note;
+    }
+    return normalized;
+}
+
+function normalizeMappings(mappings) {
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+        throw new BadRequestError('Expected an object of IMDb ID → mapping');
+    }
+
+    const normalized = {};
+    for (const [imdbId, rule] of Object.entries(mappings)) {
+        if (!isValidImdbId(imdbId)) {
+            throw new BadRequestError(`Invalid IMDb ID: ${imdbId}`);
+        }
+        try {
+            normalized[imdbId] = normalizeRule(rule);
+        } catch (error) {
+            throw new BadRequestError(`${imdbId}: ${error.message}`);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Legacy mappings file: JSON with // comments, "imdbId": ["title", ...]
+ */
+function readLegacyMappings() {
+    try {
+        if (!fs.existsSync(LEGACY_MAPPINGS_PATH)) {
+            return {};
+        }
+        const content = fs.readFileSync(LEGACY_MAPPINGS_PATH, 'utf8').replace(/\/\/.*$/gm, '');
+        return normalizeMappings(JSON.parse(content));
+    } catch (error) {
+        logger.warn(`[manual-mappings] Failed to load legacy manual search mappings: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * JSON file store, read once and rewritten atomically (temp file + rename) on every change
+ */
+class ManualMappingStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        this.data = null;
+        this.writable = true;
+    }
+
+    load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const overrides = {};
+            for (const [scope, mappings] of Object.entries(stored.overrides || {})) {
+                overrides[scope] = normalizeMappings(mappings);
+            }
+            this.data = { mappings: normalizeMappings(stored.mappings || {}), overrides };
+            logger.info(`[manual-mappings] Loaded ${Object.keys(this.data.mappings).length} mappings and ${Object.keys(overrides).length} configuration overrides from ${this.filePath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                // Keep the broken file for inspection instead of overwriting it on the next change
+                logger.error(`[manual-mappings] Cannot read ${this.filePath}, serving the bundled mappings read-only: ${error.message}`);
+                this.writable = false;
+            }
+            this.data = { mappings: readLegacyMappings(), overrides: {} };
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Persist the next state, then make it current
+     */
+    save(next) {
+        if (!this.writable) {
+            throw new Error(`${this.filePath} is unreadable; fix or remove it before editing mappings`);
+        }
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify({ version: STORE_VERSION, ...next }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+        this.data = next;
+    }
+
+    getMappings(scope = null) {
+        const data = this.load();
+        return scope ? data.overrides[scope] || {} : data.mappings;
+    }
+
+    /**
+     * Replace the global mappings or one configuration's overrides
+     */
+    setMappings(mappings, scope = null) {
+        const data = this.load();
+        if (!scope) {
+            this.save({ ...data, mappings });
+            return;
+        }
+
+        const overrides = { ...data.overrides };
+        if (Object.keys(mappings).length > 0) {
+            overrides[scope] = mappings;
+        } else {
+            delete overrides[scope];
+        }
+        this.save({ ...data, overrides });
+    }
+}
+
+let sharedStore = null;
+
+function getStore() {
+    const { path: storePath } = configManager.getManualMappingsConfig();
+    if (!sharedStore || sharedStore.filePath !== path.resolve(storePath)) {
+        sharedStore = new ManualMappingStore(storePath);
+    }
+    return sharedStore;
+}
+
+function checkOverrideLimit(mappings, scope) {
+    const { maxOverridesPerConfig } = configManager.getManualMappingsConfig();
+    if (scope && Object.keys(mappings).length > maxOverridesPerConfig) {
+        throw new BadRequestError(`A configuration can override at most ${maxOverridesPerConfig} titles`);
+    }
+}
+
+/**
+ * Override scope of a configuration: stable while its debrid accounts stay the same
+ * @param {Array} accounts - Accounts from getDebridAccounts
+ * @returns {string|null} null when per-configuration overrides are disabled
+ */
+export function getMappingScope(accounts) {
+    if (!configManager.getManualMappingsConfig().userOverrides || !accounts?.length) {
+        return null;
+    }
+
+    const accountKeys = accounts.map(account => `${account.provider}:${account.apiKey}`).sort().join('\n');
+    return crypto.createHash('sha256').update(accountKeys).digest('hex').substring(0, 32);
+}
+
+export function listMappings(scope = null) {
+    return getStore().getMappings(scope);
+}
+
+export function getMapping(imdbId, scope = null) {
+    return getStore().getMappings(scope)[imdbId] || null;
+}
+
+/**
+ * Create or replace the mapping for imdbId
+ * @returns {Object} The stored (normalized) rule
+ */
+export function setMapping(imdbId, rule, scope = null) {
+    if (!isValidImdbId(imdbId)) {
+        throw new BadRequestError(`Invalid IMDb ID: ${imdbId}`);
+    }
+
+    const store = getStore();
+    const normalized = normalizeRule(rule);
+    const mappings = { ...store.getMappings(scope), [imdbId]: normalized };
+    checkOverrideLimit(mappings, scope);
+    store.setMappings(mappings, scope);
+
+    logger.info(`[manual-mappings] Saved ${scope ? 'configuration override' : 'mapping'} for ${imdbId}`);
+    return normalized;
+}
+
+/**
+ * @returns {boolean} false when there was no mapping for imdbId
+ */
+export function deleteMapping(imdbId, scope = null) {
+    const store = getStore();
+    const { [imdbId]: removed, ...mappings } = store.getMappings(scope);
+    if (!removed) {
+        return false;
+    }
+
+    store.setMappings(mappings, scope);
+    logger.info(`[manual-mappings] Deleted ${scope ? 'configuration override' : 'mapping'} for ${imdbId}`);
+    return true;
+}
+
+/**
+ * Import a set of mappings, merged over the existing ones or replacing them
+ * Nothing is stored when any entry is invalid.
+ * @returns {number} Number of imported mappings
+ */
+export function importMappings(mappings, { replace = false, scope = null } = {}) {
+    const store = getStore();
+    const imported = normalizeMappings(mappings);
+    const next = replace ? imported : { ...store.getMappings(scope), ...imported };
+    checkOverrideLimit(next, scope);
+    store.setMappings(next, scope);
+
+    logger.info(`[manual-mappings] Imported ${Object.keys(imported).length} mappings${scope ? ' (configuration override)' : ''}${replace ? ', replacing existing ones' : ''}`);
+    return Object.keys(imported).length;
+}
+
+function mergeRules(globalRule, overrideRule) {
+    if (!globalRule || !overrideRule) {
+        return overrideRule || globalRule || null;
+    }
+
+    const union = (a, b) => [...new Set([...a, ...b])];
+    return {
+        titles: union(globalRule.titles, overrideRule.titles),
+        excludePatterns: union(globalRule.excludePatterns, overrideRule.excludePatterns),
+        // Offsets describe one numbering; a configuration's own offsets replace the global ones
+        episodeOffsets: overrideRule.episodeOffsets.length > 0 ? overrideRule.episodeOffsets : globalRule.episodeOffsets,
+        torrentIds: union(globalRule.torrentIds, overrideRule.torrentIds)
+    };
+}
+
+/**
+ * Rule applying to a search: the global mapping merged with the configuration's override
+ * Never throws; a broken store only costs the manual rules.
+ */
+export function getMappingRule(imdbId, scope = null) {
+    if (!imdbId) {
+        return null;
+    }
+
+    try {
+        const store = getStore();
+        return mergeRules(store.getMappings()[imdbId], scope ? store.getMappings(scope)[imdbId] : null);
+    } catch (error) {
+        logger.warn(`[manual-mappings] Lookup for ${imdbId} failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Translate a requested season/episode with the rule's first matching offset
+ * @returns {{season: number, episode: number, offset: Object|null}}
+ */
+export function applyEpisodeOffset(rule, season, episode) {
+    const requestedSeason = parseInt(season);
+    const requestedEpisode = parseInt(episode);
+
+    const offset = rule?.episodeOffsets.find(candidate =>
+        candidate.season === requestedSeason &&
+        requestedEpisode >= candidate.fromEpisode &&
+        (candidate.toEpisode === null || requestedEpisode <= candidate.toEpisode));
+
+    if (!offset) {
+        return { season, episode, offset: null };
+    }
+
+    return {
+        season: offset.targetSeason,
+        episode: requestedEpisode + offset.episodeOffset,
+        offset: { ...offset, requestedSeason, requestedEpisode }
+    };
+}
+
+// Dots, dashes and underscores separate words in release names
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/[\s._-]+/g, ' ').trim();
+}
+
+/**
+ * Case-insensitive match where `*` stands for any text; the pattern may match anywhere in the name
+ */
+export function matchesPattern(name, pattern) {
+    const normalizedName = normalizeName(name);
+    let position = 0;
+
+    for (const part of pattern.split('*').map(normalizeName).filter(Boolean)) {
+        const index = normalizedName.indexOf(part, position);
+        if (index === -1) {
+            return false;
+        }
+        position = index + part.length;
+    }
+    return true;
+}
+
+/**
+ * Split library items by the rule: forced IDs, excluded names and everything else
+ * Forced items are kept even when an exclusion pattern matches them.
+ * @returns {{forced: Array, excluded: Array, remaining: Array}}
+ */
+export function applyMappingFilters(rule, items) {
+    if (!rule || (rule.torrentIds.length === 0 && rule.excludePatterns.length === 0)) {
+        return { forced: [], excluded: [], remaining: items };
+    }
+
+    const forcedIds = new Set(rule.torrentIds);
+    const result = { forced: [], excluded: [], remaining: [] };
+
+    for (const item of items) {
+        if (forcedIds.has(String(item.id))) {
+            result.forced.push(item);
+        } else if (rule.excludePatterns.some(pattern => matchesPattern(item.name, pattern))) {
+            result.excluded.push(item);
+        } else {
+            result.remaining.push(item);
+        }
+    }
+    return result;
+}
@@ -7,32 +7,6 @@ import { logger } from '../utils/logger.js';
 import { extractKeywords } from './keyword-extractor.js';
 import { fetchTMDbAlternativeTitles } from '../api/tmdb.js';
 import { getEpisodeMapping } from '../api/trakt.js';
-import fs from 'fs';
-import path from 'path';
-
-/**
- * Get manual search terms for a specific IMDB ID from JSON configuration
- */
-function getManualSearchTerms(imdbId) {
-    try {
-        const configPath = path.join(process.cwd(), 'src', 'config', 'manual-search-mappings.json');
-        if (!fs.existsSync(configPath)) {
-            return [];
-        }
-        
-        const rawContent = fs.readFileSync(configPath, 'utf8');
-        
-        // Strip comments (//) for easier maintenance
-        const cleanContent = rawContent
-            .replace(/\/\/.*$/gm, '');
-        
-        const mappings = JSON.parse(cleanContent);
-        return mappings[imdbId] || [];
-    } catch (error) {
-        logger.warn(`[phase-0] Failed to load manual search mappings: ${error.message}`);
-        return [];
-    }
-}
 
 /**
  * Prepare search terms and fetch episode mapping
@@ -44,10 +18,11 @@ function getManualSearchTerms(imdbId) {
  * @param {number} params.episode - Episode number (for series)
  * @param {string} params.tmdbApiKey - TMDb API key
  * @param {string} params.traktApiKey - Trakt API key
+ * @param {Array<string>} params.manualTitles - Extra titles from the title's manual mapping
  * @returns {Object} Prepared search data
  */
 export async function prepareSearchTerms(params) {
-    const { searchKey, type, imdbId, season, episode, tmdbApiKey, traktApiKey } = params;
+    const { searchKey, type, imdbId, season, episode, tmdbApiKey, traktApiKey, manualTitles = [] } = params;
     
     logger.info('[phase-0] Starting search preparation');
     
@@ -101,8 +76,8 @@ export async function prepareSearchTerms(params) {
     
     allSearchTerms.push(searchKey); // 1. Add the original search key (non-normalized) first for exact matches
     
-    // 2. Add manual search terms from JSON configuration
-    const manualTerms = getManualSearchTerms(imdbId);
+    // 2. Add manual search terms from the title's manual mapping
+    const manualTerms = manualTitles;
     if (manualTerms.length > 0) {
         logger.info(`[phase-0] 🎯 Adding ${manualTerms.length} manual search terms for ${imdbId}: ${manualTerms.join(', ')}`);
         allSearchTerms.push(...manualTerms);
@@ -137,6 +112,7 @@ export async function prepareSearchTerms(params) {
     return {
         normalizedSearchKey,
         alternativeTitles,
+        manualTerms,
         uniqueSearchTerms,
         absoluteEpisode
     };
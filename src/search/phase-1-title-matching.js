@@ -22,6 +22,9 @@
  * 5. The process ensures that both the noisy torrent name and the clean title are considered for matching, improving robustness against release naming variations.
  *
  * 6. Results are deduplicated and returned with their scores for further filtering or ranking.
+ *
+ * 7. Torrents whose name matches no term are also searched by their video file names (the library snapshot's file index).
+ *    A torrent matched this way carries item.matchedFiles, and later phases only consider those files.
  */
 
 import { logger } from '../utils/logger.js';
@@ -52,6 +55,20 @@ export async function performTitleMatching(allRawResults, uniqueSearchTerms, thr
         includeScore: true
     });
 
+    const fileEntries = allRawResults.flatMap(result => (Array.isArray(result.fileNames) ? result.fileNames : [])
+        .map(fileName => ({
+            normalizedName: extractKeywords(fileName.split('/').pop()),
+            fileName,
+            originalResult: result
+        })));
+
+    const fileFuse = fileEntries.length > 0 ? new Fuse(fileEntries, {
+        keys: ['normalizedName'],
+        threshold: threshold,
+        minMatchCharLength: 2,
+        includeScore: true
+    }) : null;
+
     const titleMatches = [];
     const seenMatches = new Set(); // Track duplicates by original name
 
@@ -60,12 +77,13 @@ export async function performTitleMatching(allRawResults, uniqueSearchTerms, thr
     const parallelSearches = uniqueSearchTerms.map(async (term) => {
         return new Promise((resolve) => {
             const matches = titleFuse.search(term);
+            const fileMatches = fileFuse ? fileFuse.search(term) : [];
             
             if (matches.length > 0) {
                 logger.info(`[phase-1] Found ${matches.length} matches for normalized term: "${term}"`);
             }
             
-            resolve({ term, matches });
+            resolve({ term, matches, fileMatches });
         });
     });
 
@@ -90,13 +108,56 @@ export async function performTitleMatching(allRawResults, uniqueSearchTerms, thr
         });
     });
     
+    // File matches only add torrents whose name did not match; a torrent keeps every matched file
+    const fileMatchesById = new Map();
+    allSearchResults.forEach(({ term, fileMatches }) => {
+        fileMatches.forEach(match => {
+            const torrent = match.item.originalResult;
+            if (seenMatches.has(torrent.id)) {
+                return;
+            }
+
+            const fileMatch = fileMatchesById.get(torrent.id);
+            if (fileMatch) {
+                fileMatch.files.add(match.item.fileName);
+                fileMatch.score = Math.min(fileMatch.score, match.score);
+            } else {
+                fileMatchesById.set(torrent.id, { torrent, term, score: match.score, files: new Set([match.item.fileName]) });
+            }
+        });
+    });
+
+    fileMatchesById.forEach(({ torrent, term, score, files }) => {
+        titleMatches.push({
+            item: { ...torrent, matchedFiles: [...files] },
+            score,
+            matchedTerm: term
+        });
+        logger.debug(`[phase-1] Added torrent by file name: ${torrent.name} (ID: ${torrent.id}, ${files.size} matching files)`);
+    });
+    
     const parallelDuration = Date.now() - startTime;
     
-    logger.info(`[phase-1] Title matching complete: ${titleMatches.length} matches out of ${allRawResults.length} total results`);
+    logger.info(`[phase-1] Title matching complete: ${titleMatches.length} matches (${fileMatchesById.size} by file name) out of ${allRawResults.length} total results`);
     
     return titleMatches;
 }
 
+/**
+ * Limit torrent details to the files a file-name match found
+ * @param {Object} details - Torrent details with videos
+ * @param {Array|undefined} matchedFiles - item.matchedFiles from title matching
+ * @returns {Object} The details as-is for name matches, otherwise a copy holding only the matched videos
+ */
+export function restrictToMatchedFiles(details, matchedFiles) {
+    if (!Array.isArray(matchedFiles) || !Array.isArray(details?.videos)) {
+        return details;
+    }
+
+    const fileNames = new Set(matchedFiles);
+    return { ...details, videos: details.videos.filter(video => fileNames.has(video.name)) };
+}
+
 /**
  * Check if we should proceed to deep content analysis
  * @param {Array} titleMatches - Results from title matching
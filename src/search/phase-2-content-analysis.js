@@ -13,6 +13,7 @@
  *    - Filters out torrents that do not contain the requested episode.
  *
  * 3. Handles both direct episode files and containers (packs with multiple episodes):
+ *    - Torrents matched by file name in Phase 1 are analyzed with their matched files only.
  *    - For containers, extracts each matching video as a separate result.
  *    - For direct files, returns the torrent as-is.
  *
@@ -26,6 +27,8 @@
 
 import { logger } from '../utils/logger.js';
 import { analyzeTorrent } from './torrent-analyzer.js';
+import { appendToPhase } from './search-trace.js';
+import { restrictToMatchedFiles } from './phase-1-title-matching.js';
 
 /**
  * Batch fetch torrent details for torrents that need them
@@ -94,15 +97,26 @@ export async function performContentAnalysis(titleMatches, season, episode, abso
         
         const batchPromises = batch.map(async (match) => {
             try {
-                const analysis = analyzeTorrent(match.item, parseInt(season), parseInt(episode), absoluteEpisode);
+                const torrent = restrictToMatchedFiles(match.item, match.item.matchedFiles);
+                const analysis = analyzeTorrent(torrent, parseInt(season), parseInt(episode), absoluteEpisode);
+                appendToPhase('contentAnalysis', () => ({
+                    id: torrent.id,
+                    name: torrent.name,
+                    matched: analysis.hasMatchingEpisode,
+                    container: analysis.isContainer,
+                    seasonFound: analysis.seasonInfo?.found ?? null,
+                    matchingFiles: analysis.matchingFiles.map(video => video.name),
+                    videos: torrent.videos?.length ?? 0
+                }));
                 return {
-                    torrent: match.item,
+                    torrent,
                     analysis,
                     score: match.score,
                     matchedTerm: match.matchedTerm
                 };
             } catch (error) {
                 logger.warn(`[phase-2] Failed to analyze torrent ${match.item.name}:`, error);
+                appendToPhase('contentAnalysis', { id: match.item.id, name: match.item.name, matched: false, error: error.message });
                 return null;
             }
         });
@@ -128,6 +142,9 @@ export async function performContentAnalysis(titleMatches, season, episode, abso
                         containerName: result.torrent.name,
                         isExtractedVideo: true,
                         videos: [video],
+                        matchedFiles: result.torrent.matchedFiles,
+                        resolvedMatch: result.torrent.resolvedMatch,
+                        forcedMatch: result.torrent.forcedMatch,
                         matchedTerm: result.matchedTerm
                     }));
                 } else {
@@ -152,23 +169,25 @@ export async function performContentAnalysis(titleMatches, season, episode, abso
 }
 
 /**
- * Re-analyze existing torrents with new season/episode criteria (for anime mapping)
+ * Re-analyze existing torrents with new season/episode criteria (for anime and scene mappings)
  * @param {Array} titleMatches - Original title matches
- * @param {Object} episodeMapping - Anime episode mapping
- * @returns {Array} Array of matching episodes with anime mapping
+ * @param {Object} episodeMapping - Anime episode mapping, or a scene mapping (source: 'scene')
+ * @returns {Array} Array of matching episodes tagged with animeMapping or sceneMapping
  */
 export function reAnalyzeWithMapping(titleMatches, episodeMapping) {
-    logger.info('[phase-2] Re-analyzing existing torrents with anime mapping');
+    const mappingKey = episodeMapping.source === 'scene' ? 'sceneMapping' : 'animeMapping';
+    logger.info(`[phase-2] Re-analyzing existing torrents with ${episodeMapping.source === 'scene' ? 'scene' : 'anime'} mapping`);
     
     // Re-analyze the same torrents we already found with the new season/episode
     const reAnalyzedResults = titleMatches.map(match => {
+        const torrent = restrictToMatchedFiles(match.item, match.item.matchedFiles);
         const analysis = analyzeTorrent(
-            match.item, 
+            torrent, 
             parseInt(episodeMapping.mappedSeason), 
             parseInt(episodeMapping.mappedEpisode)
         );
         return {
-            torrent: match.item,
+            torrent,
             analysis,
             score: match.score
         };
@@ -179,7 +198,7 @@ export function reAnalyzeWithMapping(titleMatches, episodeMapping) {
         .filter(result => {
             const hasMatch = result.analysis.hasMatchingEpisode;
             if (hasMatch) {
-                logger.info(`[phase-2] ✅ ANIME MATCH: ${result.torrent.name} - Found S${episodeMapping.mappedSeason}E${episodeMapping.mappedEpisode}`);
+                logger.info(`[phase-2] ✅ ${mappingKey === 'sceneMapping' ? 'SCENE' : 'ANIME'} MATCH: ${result.torrent.name} - Found S${episodeMapping.mappedSeason}E${episodeMapping.mappedEpisode}`);
             }
             return hasMatch;
         })
@@ -194,19 +213,19 @@ export function reAnalyzeWithMapping(titleMatches, episodeMapping) {
                         ...(result.torrent.info || {}),
                         ...(video.info || {})
                     },
-                    // Keep track that this is from a container and anime mapping was used
+                    // Keep track that this is from a container and which mapping was used
                     containerName: result.torrent.name,
                     isExtractedVideo: true,
-                    animeMapping: episodeMapping,
+                    [mappingKey]: episodeMapping,
                     videos: [video]
                 }));
                 
                 return extractedVideos;
             }
-            // For direct files, return as is with anime mapping info
+            // For direct files, return as is with the mapping info
             return [{
                 ...result.torrent,
-                animeMapping: episodeMapping
+                [mappingKey]: episodeMapping
             }];
         });
     
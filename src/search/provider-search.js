@@ -3,26 +3,39 @@
  * Handles bulk torrent fetching with provider-specific optimizations
  */
 
+import crypto from 'crypto';
 import { logger } from '../utils/logger.js';
+import cache from '../utils/cache-manager.js';
 import { extractKeywords } from './keyword-extractor.js';
 import { configManager } from '../config/configuration.js';
+import { getLibrarySnapshot } from './library-snapshot.js';
+import { hasCapability } from '../providers/index.js';
+import { isSearchTraced, appendToPhase } from './search-trace.js';
 
 /**
  * Fetch all torrents from provider using optimized bulk methods
+ * Reads the persistent library snapshot when enabled, refreshing it once older than maxAgeMs.
  * @param {string} provider - Provider name
  * @param {Object} providerImpl - Provider implementation
  * @param {string} apiKey - API key
  * @param {string} normalizedSearchKey - Fallback search term
  * @param {number} threshold - Search threshold for fallback
+ * @param {Object} [options] - { maxAgeMs } staleness window for the library snapshot
  * @returns {Array} Array of normalized torrents
  */
-export async function fetchProviderTorrents(provider, providerImpl, apiKey, normalizedSearchKey, threshold) {
+export async function fetchProviderTorrents(provider, providerImpl, apiKey, normalizedSearchKey, threshold, options = {}) {
     logger.info(`[provider-search] Fetching all torrents from ${provider}`);
     
     const config = configManager.getProviderConfig(provider);
     if (!config) {
-        logger.error(`[provider-search] Unsupported provider: ${provider}`);
-        throw new Error(`Unsupported provider: ${provider}`);
+        if (typeof providerImpl?.searchTorrents !== 'function') {
+            logger.error(`[provider-search] Unsupported provider: ${provider}`);
+            throw new Error(`Unsupported provider: ${provider}`);
+        }
+
+        // Providers without a bulk listing config search through their own implementation
+        logger.info(`[provider-search] ${provider} has no bulk config, using searchTorrents`);
+        return await providerImpl.searchTorrents(apiKey, normalizedSearchKey, threshold);
     }
 
     const bulkMethod = providerImpl[config.bulkMethod];
@@ -36,18 +49,30 @@ export async function fetchProviderTorrents(provider, providerImpl, apiKey, norm
         return await providerImpl.searchTorrents(apiKey, normalizedSearchKey, threshold);
     }
 
-    try {
-        let result;
-        if (config.methodArgs) {
-            const args = [...config.methodArgs];
-            args[1] = apiKey;
-            result = await bulkMethod.apply(providerImpl, args);
-        } else {
-            result = await bulkMethod.call(providerImpl, apiKey);
+    const snapshot = config.snapshot !== false ? getLibrarySnapshot() : null;
+    if (snapshot) {
+        try {
+            const torrents = await snapshot.getTorrents(provider, apiKey, {
+                maxAgeMs: options.maxAgeMs,
+                fetchAll: () => fetchBulkTorrents(providerImpl, config, apiKey),
+                fetchPage: typeof providerImpl[config.pageMethod] === 'function'
+                    ? (page) => fetchTorrentPage(providerImpl, config, apiKey, page)
+                    : null,
+                pageSize: config.pageSize,
+                fetchDetails: configManager.getLibrarySnapshotConfig().fileIndexEnabled
+                    ? (ids) => fetchTorrentDetailsMap(provider, providerImpl, apiKey, ids)
+                    : null
+            });
+
+            logger.info(`[provider-search] Retrieved ${torrents.length} total torrents from ${provider} snapshot`);
+            return torrents;
+        } catch (error) {
+            logger.warn(`[provider-search] Library snapshot unavailable for ${provider}, listing directly:`, error.message);
         }
-        
-        const safeResult = Array.isArray(result) ? result : [];
-        const normalizedTorrents = safeResult.map(config.dataMapper);
+    }
+
+    try {
+        const normalizedTorrents = await fetchBulkTorrents(providerImpl, config, apiKey);
         
         logger.info(`[provider-search] Retrieved ${normalizedTorrents.length} total torrents from ${provider}`);
         return normalizedTorrents;
@@ -66,6 +91,101 @@ export async function fetchProviderTorrents(provider, providerImpl, apiKey, norm
     }
 }
 
+/**
+ * Fetch the hoster downloads of an account as search results
+ * The raw listing is cached as long as a library snapshot stays fresh; results are mapped on
+ * every call because stream building mutates them. Failures only cost the downloads.
+ * @param {string} provider - Provider name
+ * @param {Object} providerImpl - Provider implementation
+ * @param {string} apiKey - API key
+ * @param {Object} [options] - { maxAgeMs } how long a listing may be reused
+ * @returns {Promise<Array>} Download results (fileType DOWNLOADS), empty when unsupported
+ */
+export async function fetchProviderDownloads(provider, providerImpl, apiKey, options = {}) {
+    if (!hasCapability(provider, 'downloads') || typeof providerImpl?.toDownload !== 'function') {
+        return [];
+    }
+
+    const maxAgeMs = options.maxAgeMs ?? configManager.getLibrarySnapshotConfig().maxAgeMs;
+    const cacheKey = `downloads:${provider}:${crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16)}`;
+
+    let downloads = maxAgeMs > 0 ? cache.get(cacheKey) : null;
+    if (!downloads) {
+        try {
+            downloads = await providerImpl.listDownloads(apiKey);
+        } catch (error) {
+            logger.warn(`[provider-search] Failed to fetch downloads from ${provider}:`, error.message);
+            return [];
+        }
+
+        downloads = Array.isArray(downloads) ? downloads : [];
+        if (maxAgeMs > 0) {
+            cache.set(cacheKey, downloads, Math.ceil(maxAgeMs / 1000));
+        }
+    }
+
+    logger.info(`[provider-search] Retrieved ${downloads.length} downloads from ${provider}`);
+    return downloads.map(item => providerImpl.toDownload(apiKey, item));
+}
+
+/**
+ * List every torrent through the provider's bulk method, mapped with its dataMapper
+ */
+async function fetchBulkTorrents(providerImpl, config, apiKey) {
+    const bulkMethod = providerImpl[config.bulkMethod];
+
+    let result;
+    if (config.methodArgs) {
+        const args = [...config.methodArgs];
+        args[1] = apiKey;
+        result = await bulkMethod.apply(providerImpl, args);
+    } else {
+        result = await bulkMethod.call(providerImpl, apiKey);
+    }
+
+    const safeResult = Array.isArray(result) ? result : [];
+    return safeResult.map(config.dataMapper);
+}
+
+/**
+ * One newest-first page for incremental snapshot refreshes
+ * @returns {Promise<{items: Array, ids: Array, count: number}|null>} null when the page failed
+ */
+async function fetchTorrentPage(providerImpl, config, apiKey, page) {
+    const result = await providerImpl[config.pageMethod](apiKey, page, config.pageSize);
+    if (!Array.isArray(result)) {
+        return null;
+    }
+
+    const mapped = result.map(config.dataMapper);
+    const items = config.itemFilter
+        ? mapped.filter((_, index) => config.itemFilter(result[index]))
+        : mapped;
+
+    return { items, ids: mapped.map(item => item.id), count: result.length };
+}
+
+/**
+ * Torrent details by id for the snapshot's file index; bulk when the provider supports it
+ * @returns {Promise<Map>} id → details (null when a torrent could not be read)
+ */
+async function fetchTorrentDetailsMap(provider, providerImpl, apiKey, ids) {
+    if (hasCapability(provider, 'bulkDetails')) {
+        return providerImpl.bulkGetTorrentDetails(apiKey, ids);
+    }
+
+    const details = new Map();
+    for (const id of ids) {
+        try {
+            details.set(id, await providerImpl.getTorrentDetails(apiKey, id, 'stream'));
+        } catch (error) {
+            logger.debug(`[provider-search] Details of ${id} unavailable for the file index: ${error.message}`);
+            details.set(id, null);
+        }
+    }
+    return details;
+}
+
 /**
  * Ultra-fast fuzzy matching for typo tolerance
  * @param {string} title - The torrent title to search in
@@ -108,8 +228,29 @@ function wordBoundaryIncludes(text, keyword) {
     return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
 }
 
+/**
+ * First keyword found in a torrent or file name, exactly (word boundaries) or with typo tolerance
+ */
+function findKeyword(name, keywords) {
+    const normalizedTitle = extractKeywords(name).toLowerCase();
+    const normalizedTorrentForRaw = name.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
+
+    return keywords.find(keyword => {
+        const normalizedKeywordForRaw = keyword.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
+        
+        const wordMatch = wordBoundaryIncludes(normalizedTorrentForRaw, normalizedKeywordForRaw);
+        if (wordMatch) {
+            return true;
+        }
+        const normalizedKeyword = extractKeywords(keyword).toLowerCase();
+        
+        return ultraFastFuzzyMatch(normalizedTitle, normalizedKeyword, 0.85);
+    });
+}
+
 /**
  * Pre-filter torrents by keyword inclusion with optimized performance
+ * Torrents whose name matches no keyword are kept when one of their indexed files does.
  * @param {Array} allTorrents - Array of all torrents
  * @param {Array} keywords - Keywords to filter by
  * @returns {Promise<Array>} Filtered torrents
@@ -117,25 +258,31 @@ function wordBoundaryIncludes(text, keyword) {
 export async function preFilterTorrentsByKeywords(allTorrents, keywords) {
     const startTime = Date.now();
     
+    const traced = isSearchTraced();
+    let fileMatchCount = 0;
     const relevantTorrents = allTorrents.filter(torrent => {
-        const normalizedTitle = extractKeywords(torrent.name).toLowerCase();
-        
-        return keywords.some(keyword => {
-            const normalizedTorrentForRaw = torrent.name.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
-            const normalizedKeywordForRaw = keyword.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
-            
-            const wordMatch = wordBoundaryIncludes(normalizedTorrentForRaw, normalizedKeywordForRaw);
-            if (wordMatch) {
-                return true;
+        let matchedKeyword = findKeyword(torrent.name, keywords);
+        let matchedFile = null;
+
+        if (matchedKeyword === undefined && Array.isArray(torrent.fileNames)) {
+            for (const fileName of torrent.fileNames) {
+                matchedKeyword = findKeyword(fileName.split('/').pop(), keywords);
+                if (matchedKeyword !== undefined) {
+                    matchedFile = fileName;
+                    fileMatchCount++;
+                    break;
+                }
             }
-            const normalizedKeyword = extractKeywords(keyword).toLowerCase();
-            
-            return ultraFastFuzzyMatch(normalizedTitle, normalizedKeyword, 0.85);
-        });
+        }
+
+        if (traced) {
+            appendToPhase('preFilter', { id: torrent.id, name: torrent.name, kept: matchedKeyword !== undefined, keyword: matchedKeyword ?? null, file: matchedFile });
+        }
+        return matchedKeyword !== undefined;
     });
     
     const endTime = Date.now();
-    logger.info(`[provider-search] Pre-filter: ${allTorrents.length} → ${relevantTorrents.length} relevant torrents (${endTime - startTime}ms)`);
+    logger.info(`[provider-search] Pre-filter: ${allTorrents.length} → ${relevantTorrents.length} relevant torrents (${fileMatchCount} by file name, ${endTime - startTime}ms)`);
     
     return relevantTorrents;
 }
@@ -0,0 +1,98 @@
+/**
+ * Resolved Matches
+ * Library items whose name is already tied to an IMDb ID in the enrichment cache, either by the
+ * catalog resolver (filename aliases of resolutions carrying an IMDb ID) or by an earlier stream
+ * match (stream aliases written back here). Such items skip fuzzy title matching.
+ */
+
+import {
+    buildFilenameAliasKey,
+    buildStreamAliasKey,
+    buildStreamContentKey,
+    getEnrichmentCache
+} from '../catalog/enrichment-cache.js';
+import { configManager } from '../config/configuration.js';
+import { logger } from '../utils/logger.js';
+
+let cacheUnavailable = false;
+
+function getResolutionCache() {
+    if (cacheUnavailable || !configManager.getIsResolvedMatchingEnabled()) {
+        return null;
+    }
+
+    try {
+        return getEnrichmentCache();
+    } catch (error) {
+        logger.error(`[resolved-matches] Enrichment cache unavailable, using fuzzy matching only: ${error.message}`);
+        cacheUnavailable = true;
+        return null;
+    }
+}
+
+/**
+ * Items resolved to imdbId
+ * @param {string} imdbId - Requested title
+ * @param {Array} items - Library items (torrents and downloads)
+ * @returns {Array} The matching items, in library order
+ */
+export function findResolvedItems(imdbId, items) {
+    const cache = imdbId ? getResolutionCache() : null;
+    if (!cache) {
+        return [];
+    }
+
+    try {
+        const aliasKeys = cache.getAliasKeysByImdbId(imdbId);
+        if (aliasKeys.size === 0) {
+            return [];
+        }
+
+        return items.filter(item => item.name && (
+            aliasKeys.has(buildFilenameAliasKey(item.name)) || aliasKeys.has(buildStreamAliasKey(item.name))
+        ));
+    } catch (error) {
+        logger.warn(`[resolved-matches] Lookup for ${imdbId} failed: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Remember library items a stream search accepted for imdbId, so the next search finds them directly
+ * @param {string} imdbId - Requested title
+ * @param {Object} content - { type, title } of the requested title
+ * @param {Array<string>} names - Library item names that produced streams
+ */
+export function rememberStreamMatches(imdbId, { type, title }, names) {
+    const cache = imdbId && names.length > 0 ? getResolutionCache() : null;
+    if (!cache) {
+        return;
+    }
+
+    try {
+        const resolution = cache.storeContentResolution({
+            contentKey: buildStreamContentKey(imdbId),
+            normalizedTitle: title || imdbId,
+            mediaHint: type,
+            imdbId,
+            mediaType: type,
+            matchedTitle: title || null,
+            reason: 'stream-match',
+            matchSource: 'stream',
+            isNegative: false
+        });
+
+        for (const name of new Set(names)) {
+            cache.storeAlias({
+                aliasKey: buildStreamAliasKey(name),
+                aliasType: 'stream',
+                contentKey: resolution.contentKey,
+                expiresAt: resolution.expiresAt
+            });
+        }
+
+        logger.debug(`[resolved-matches] Remembered ${names.length} stream matches for ${imdbId}`);
+    } catch (error) {
+        logger.warn(`[resolved-matches] Could not remember stream matches for ${imdbId}: ${error.message}`);
+    }
+}
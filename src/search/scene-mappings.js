@@ -0,0 +1,214 @@
+/**
+ * Scene Mappings
+ * TheXEM-style dataset translating Cinemeta season/episode numbers to the numbering release groups
+ * use (split seasons, double pilots counted as one, ...), keyed by IMDb ID. Loaded from a local JSON
+ * file; with a refresh interval the file is re-read when it changes, or downloaded again from
+ * SCENE_MAPPINGS_URL. Searches only fall back to it when the Cinemeta numbers find nothing.
+ *
+ * File format:
+ *   { "tt0106179": [
+ *       { "cinemeta": { "season": 1, "episode": 2 }, "scene": { "season": 1, "episode": 1 } },
+ *       { "cinemeta": { "season": 2, "episode": 1, "toEpisode": 10 }, "scene": { "season": 1, "episode": 14 } }
+ *   ] }
+ * A `toEpisode` range maps consecutive episodes from the scene episode onward.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { configManager } from '../config/configuration.js';
+import { isValidImdbId } from './manual-mappings.js';
+import { logger } from '../utils/logger.js';
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_RANGE_LENGTH = 500;
+
+const episodeKey = (season, episode) => `${season}:${episode}`;
+const isCount = (value, min) => Number.isInteger(value) && value >= min;
+
+/**
+ * Build forward (Cinemeta → scene) and reverse (scene → Cinemeta) lookups per IMDb ID
+ * Invalid entries are skipped, so one bad line of a downloaded dataset does not discard the rest.
+ */
+function indexDataset(dataset) {
+    if (!dataset || typeof dataset !== 'object' || Array.isArray(dataset)) {
+        throw new Error('Expected an object of IMDb ID → mapping entries');
+    }
+
+    const index = new Map();
+    let skipped = 0;
+
+    for (const [imdbId, entries] of Object.entries(dataset)) {
+        if (!isValidImdbId(imdbId) || !Array.isArray(entries)) {
+            continue;
+        }
+
+        const forward = new Map();
+        const reverse = new Map();
+
+        for (const { cinemeta, scene } of entries.filter(Boolean)) {
+            const toEpisode = cinemeta?.toEpisode ?? cinemeta?.episode;
+            if (!isCount(cinemeta?.season, 0) || !isCount(cinemeta?.episode, 1) || !isCount(scene?.season, 0) || !isCount(scene?.episode, 1)
+                || !isCount(toEpisode, cinemeta.episode) || toEpisode - cinemeta.episode >= MAX_RANGE_LENGTH) {
+                skipped++;
+                continue;
+            }
+
+            for (let step = 0; step <= toEpisode - cinemeta.episode; step++) {
+                const mapped = { season: scene.season, episode: scene.episode + step };
+                const sceneKey = episodeKey(mapped.season, mapped.episode);
+                forward.set(episodeKey(cinemeta.season, cinemeta.episode + step), mapped);
+                reverse.set(sceneKey, [...(reverse.get(sceneKey) || []), { season: cinemeta.season, episode: cinemeta.episode + step }]);
+            }
+        }
+
+        if (forward.size > 0) {
+            index.set(imdbId, { forward, reverse });
+        }
+    }
+
+    if (skipped > 0) {
+        logger.warn(`[scene-mappings] Skipped ${skipped} invalid mapping entries`);
+    }
+    return index;
+}
+
+class SceneMappingDataset {
+    constructor({ path: filePath, url, refreshIntervalMs }) {
+        this.filePath = path.resolve(filePath);
+        this.url = url;
+        this.refreshIntervalMs = refreshIntervalMs;
+        this.index = null;
+        this.loadedMtimeMs = null;
+        this.refreshTimer = null;
+        this.refreshPromise = null;
+    }
+
+    /**
+     * Index of the dataset, read from the file on first use
+     */
+    getIndex() {
+        if (!this.index) {
+            this.index = new Map();
+            this.reloadFile();
+            this.startRefreshing();
+        }
+        return this.index;
+    }
+
+    reloadFile() {
+        try {
+            const stats = fs.statSync(this.filePath);
+            if (stats.mtimeMs === this.loadedMtimeMs) {
+                return;
+            }
+
+            this.index = indexDataset(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+            this.loadedMtimeMs = stats.mtimeMs;
+            logger.info(`[scene-mappings] Loaded mappings for ${this.index.size} titles from ${this.filePath}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.debug(`[scene-mappings] No dataset at ${this.filePath}`);
+            } else {
+                logger.error(`[scene-mappings] Cannot load ${this.filePath}, keeping the previous mappings: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Download the dataset, validate it, then replace the local file atomically
+     */
+    async download() {
+        const response = await fetch(this.url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const content = await response.text();
+        indexDataset(JSON.parse(content));
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, content);
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    refresh() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        this.refreshPromise = (this.url ? this.download() : Promise.resolve())
+            .catch(error => {
+                logger.warn(`[scene-mappings] Download from ${this.url} failed, keeping the local file: ${error.message}`);
+            })
+            .then(() => this.reloadFile())
+            .finally(() => {
+                this.refreshPromise = null;
+            });
+
+        return this.refreshPromise;
+    }
+
+    startRefreshing() {
+        // Without a local copy, fetch the remote dataset right away instead of waiting a full interval
+        if (this.url && this.loadedMtimeMs === null) {
+            this.refresh();
+        }
+
+        if (this.refreshIntervalMs > 0 && !this.refreshTimer) {
+            this.refreshTimer = setInterval(() => this.refresh(), this.refreshIntervalMs);
+            this.refreshTimer.unref?.();
+        }
+    }
+}
+
+let sharedDataset = null;
+
+function getDatasetIndex() {
+    const config = configManager.getSceneMappingsConfig();
+    if (!config.enabled) {
+        return null;
+    }
+
+    if (!sharedDataset) {
+        sharedDataset = new SceneMappingDataset(config);
+    }
+    return sharedDataset.getIndex();
+}
+
+function getTitleMappings(imdbId) {
+    try {
+        return imdbId ? getDatasetIndex()?.get(imdbId) || null : null;
+    } catch (error) {
+        logger.warn(`[scene-mappings] Lookup for ${imdbId} failed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Scene numbering of a Cinemeta episode, shaped like an anime episode mapping
+ * @returns {{originalSeason: number, originalEpisode: number, mappedSeason: number, mappedEpisode: number, source: string}|null}
+ *   null when the title has no mapping for this episode or the numbers are the same
+ */
+export function getSceneMapping(imdbId, season, episode) {
+    const mapped = getTitleMappings(imdbId)?.forward.get(episodeKey(parseInt(season), parseInt(episode)));
+    if (!mapped || (mapped.season === parseInt(season) && mapped.episode === parseInt(episode))) {
+        return null;
+    }
+
+    return {
+        originalSeason: parseInt(season),
+        originalEpisode: parseInt(episode),
+        mappedSeason: mapped.season,
+        mappedEpisode: mapped.episode,
+        source: 'scene'
+    };
+}
+
+/**
+ * Cinemeta episodes a scene-numbered file contains (several for a double episode released as one)
+ * @returns {Array<{season: number, episode: number}>} Empty when the title has no mapping for it
+ */
+export function toCinemetaEpisodes(imdbId, season, episode) {
+    return getTitleMappings(imdbId)?.reverse.get(episodeKey(parseInt(season), parseInt(episode))) || [];
+}
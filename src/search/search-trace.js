@@ -0,0 +1,76 @@
+/**
+ * Search Trace
+ * Structured record of why a search found (or missed) each torrent, for the debug search route.
+ * Tracing is scoped with AsyncLocalStorage: the search modules record into the current trace
+ * when there is one and do nothing otherwise, so regular stream requests pay no cost.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const traceContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with tracing enabled
+ * @returns {Promise<{result: *, trace: {searches: Array, streamDecisions: Array}}>}
+ */
+export async function runWithSearchTrace(fn) {
+    const trace = { searches: [], streamDecisions: [] };
+    const result = await traceContext.run({ trace, account: null, search: null }, fn);
+    return { result, trace };
+}
+
+export function isSearchTraced() {
+    return Boolean(traceContext.getStore());
+}
+
+/**
+ * Attribute everything recorded inside fn to a debrid account
+ */
+export function traceAccount(accountLabel, fn) {
+    const store = traceContext.getStore();
+    return store ? traceContext.run({ ...store, account: accountLabel }, fn) : fn();
+}
+
+/**
+ * Give the search run by fn its own record; phases recorded inside fn land in it
+ */
+export function traceSearch(details, fn) {
+    const store = traceContext.getStore();
+    if (!store) {
+        return fn();
+    }
+
+    const search = { account: store.account, ...details, phases: {} };
+    store.trace.searches.push(search);
+    return traceContext.run({ ...store, search }, fn);
+}
+
+/**
+ * Record the outcome of a search phase; `data` may be a function so it is only built when tracing
+ */
+export function recordPhase(phase, data) {
+    const search = traceContext.getStore()?.search;
+    if (search) {
+        search.phases[phase] = typeof data === 'function' ? data() : data;
+    }
+}
+
+/**
+ * Append one entry (e.g. a per-torrent verdict) to a phase's list
+ */
+export function appendToPhase(phase, entry) {
+    const search = traceContext.getStore()?.search;
+    if (search) {
+        (search.phases[phase] ||= []).push(typeof entry === 'function' ? entry() : entry);
+    }
+}
+
+/**
+ * Record why a result was dropped after the search (filters and deduplication)
+ */
+export function recordStreamDecision(name, reason) {
+    const store = traceContext.getStore();
+    if (store) {
+        store.trace.streamDecisions.push({ account: store.account, name, reason });
+    }
+}
@@ -2,39 +2,52 @@
  * Provides movie and series streams
  */
 import { coordinateSearch } from './search/coordinator.js';
-import { filterEpisode, filterYear } from './stream/stream-builder.js';
-import { sortMovieStreamsByQuality, deduplicateStreams } from './stream/quality-processor.js';
+import { restrictToMatchedFiles } from './search/phase-1-title-matching.js';
+import { filterEpisode, filterYear, toProviderUnavailableStream } from './stream/stream-builder.js';
+import { sortMovieStreamsByQuality, deduplicateStreams, deduplicateDownloads } from './stream/quality-processor.js';
+import { FILE_TYPES } from './stream/metadata-extractor.js';
 import { sequentialStreamFormatting } from './stream/performance-optimizer.js';
 import { logger } from './utils/logger.js';
-import { ValidationError } from './utils/error-handler.js';
-import { getApiConfig } from './config/configuration.js';
+import { ValidationError, ProviderUnavailableError } from './utils/error-handler.js';
+import { getApiConfig, getDebridAccounts } from './config/configuration.js';
 import { AbsoluteEpisodeProcessor } from './utils/absolute-episode-processor.js';
 import Cinemeta from './api/cinemeta.js';
-import { AllDebridProvider } from './providers/all-debrid.js';
-import { RealDebridProvider } from './providers/real-debrid.js';
-import { DebridLinkProvider } from './providers/debrid-link.js';
-import { TorBoxProvider } from './providers/torbox.js';
-import { PremiumizeProvider } from './providers/premiumize.js';
-
-// Create provider instances once to avoid duplicate initialization logging
-const sharedProviders = { 
-    // Migrated to clean class architecture (tested with API keys)
-    AllDebrid: new AllDebridProvider(), 
-    RealDebrid: new RealDebridProvider(), 
-    DebridLink: new DebridLinkProvider(),
-    TorBox: new TorBoxProvider(),
-    Premiumize: new PremiumizeProvider()
-};
+import { getProvider, getProviderInstances, hasCapability } from './providers/index.js';
+import { runWithPriority, PRIORITY } from './utils/rate-limiter.js';
+import { getProviderHealth } from './utils/circuit-breaker.js';
+import { getLibrarySnapshot } from './search/library-snapshot.js';
+import { resolveWithCache } from './utils/resolved-link-cache.js';
+import { traceAccount, recordStreamDecision } from './search/search-trace.js';
+import { rememberStreamMatches } from './search/resolved-matches.js';
+import { getMappingScope } from './search/manual-mappings.js';
 
 const StreamHelpers = {
-    logBulkProcessing(provider, torrentCount, contentType) {
-        if (provider.bulkGetTorrentDetails) {
+    logBulkProcessing(providerName, torrentCount, contentType) {
+        if (hasCapability(providerName, 'bulkDetails')) {
             logger.info(`[stream-provider] 🚀 Using BULK OPTIMIZATION for ${torrentCount} ${contentType} torrents`);
         } else {
             logger.info(`[stream-provider] ⚠️ Using INDIVIDUAL CALLS for ${torrentCount} ${contentType} torrents (no bulk support)`);
         }
     },
 
+    /**
+     * Downloads are complete results already; only torrents need a details call
+     */
+    isDownloadResult(result) {
+        return result?.fileType === FILE_TYPES.DOWNLOADS;
+    },
+
+    /**
+     * Library item name to remember for an accepted fuzzy match; null for items already resolved or
+     * forced by a manual mapping, hoster downloads and packs matched by one of their files (the pack name says nothing)
+     */
+    learnableMatchName(result) {
+        if (result.resolvedMatch || result.forcedMatch || result.matchedFiles || StreamHelpers.isDownloadResult(result)) {
+            return null;
+        }
+        return result.containerName || result.name || null;
+    },
+
     performDeduplication(searchResults, contentType) {
         // Deduplicate by torrent ID first, then by name + size as fallback
         const seenTorrents = new Set();
@@ -45,6 +58,7 @@ const StreamHelpers = {
             // Primary deduplication: by torrent ID
             if (result.id && seenTorrents.has(result.id)) {
                 logger.info(`[stream-provider] 🔄 Filtered duplicate torrent: ${result.name} (ID: ${result.id}) - same torrent ID`);
+                recordStreamDecision(result.name, 'duplicate result (same torrent ID)');
                 duplicateCount++;
                 return false;
             }
@@ -53,6 +67,7 @@ const StreamHelpers = {
             const fileKey = `${result.name || 'unknown'}|${result.size || 0}`;
             if (seenFiles.has(fileKey)) {
                 logger.info(`[stream-provider] 🔄 Filtered duplicate file: ${result.name} (${result.size} bytes) - same name+size`);
+                recordStreamDecision(result.name, 'duplicate result (same name and size)');
                 duplicateCount++;
                 return false;
             }
@@ -67,6 +82,52 @@ const StreamHelpers = {
         }
 
         return deduplicatedResults;
+    },
+
+    /**
+     * Runs a stream collector against every configured account and merges the results.
+     * A failing account is logged and skipped so the others still return streams.
+     * A player is waiting on these calls, so they run ahead of queued background provider work.
+     * Accounts whose provider circuit is open are not searched; they yield an "unavailable" notice.
+     * @returns {Promise<{streams: Array, notices: Array}>}
+     */
+    async collectFromAccounts(accounts, collector) {
+        const reachable = accounts.filter(account => getProviderHealth(account.provider).available);
+        const settled = await runWithPriority(PRIORITY.INTERACTIVE,
+            () => Promise.allSettled(reachable.map(account => traceAccount(account.label, () => collector(account)))));
+        const labelStreams = accounts.length > 1;
+        const answered = new Set();
+
+        const streams = settled.flatMap((outcome, index) => {
+            const account = reachable[index];
+            if (outcome.status === 'rejected') {
+                logger.warn(`[stream-provider] Account ${account.label} failed: ${outcome.reason?.message || outcome.reason}`);
+                return [];
+            }
+
+            const streams = (outcome.value || []).filter(Boolean);
+            logger.debug(`[stream-provider] Account ${account.label} returned ${streams.length} streams`);
+            if (streams.length > 0) answered.add(account);
+
+            if (labelStreams) {
+                streams.forEach(stream => {
+                    stream.name = `${stream.name}\n👤 ${account.label}`;
+                });
+            }
+            return streams;
+        });
+
+        // Also covers providers whose circuit opened during this search
+        const notices = accounts
+            .filter(account => {
+                return !answered.has(account) && !getProviderHealth(account.provider).available;
+            })
+            .map(account => {
+                logger.warn(`[stream-provider] ${account.provider} unavailable, skipping account ${account.label}`);
+                return toProviderUnavailableStream(account.provider, getProviderHealth(account.provider), labelStreams ? account.label : null);
+            });
+
+        return { streams, notices };
     }
 };
 
@@ -97,126 +158,24 @@ class StreamProvider {
                 return [];
             }
 
-            const providers = sharedProviders;
-            
-            const apiConfig = getApiConfig();
-            
-            const searchResponse = await coordinateSearch({
-                apiKey: config.DebridApiKey,
-                provider: config.DebridProvider,
-                searchKey: cinemetaDetails.name,
-                type: 'movie',
-                imdbId,
-                season: null,
-                episode: null,
-                threshold: 0.4,
-                providers,
-                tmdbApiKey: apiConfig.tmdbApiKey,
-                traktApiKey: apiConfig.traktApiKey
-            });
-
-            const searchResults = searchResponse?.results || searchResponse || [];
-            const searchContext = searchResponse?.searchContext || null;
-
-            logger.debug(`[stream-provider] Search found ${searchResults?.length || 0} results for movie ${imdbId}`);
-
-            const deduplicatedResults = StreamHelpers.performDeduplication(searchResults, 'movie');
-
-            if (!deduplicatedResults || deduplicatedResults.length === 0) {
-                logger.info(`[stream-provider] No streams found for movie ${imdbId}`);
-                return [];
+            const accounts = getDebridAccounts(config);
+            if (accounts.length === 0) {
+                throw new ValidationError('No debrid account configured', 'DebridApiKey', 'MISSING_ACCOUNT');
             }
 
-            logger.debug(`[stream-provider] Starting parallel stream processing for ${deduplicatedResults.length} results`);
-            const streamProcessingStart = Date.now();
-            
-            const provider = providers[config.DebridProvider];
-            if (!provider || !provider.getTorrentDetails) {
-                logger.warn(`[stream-provider] Provider ${config.DebridProvider} doesn't have getTorrentDetails method`);
-                return [];
-            }
-
-            const streamData = [];
-
-            StreamHelpers.logBulkProcessing(provider, deduplicatedResults.length, 'movie');
-
-            if (provider.bulkGetTorrentDetails) {
-                
-                const torrentIds = deduplicatedResults.map(result => result.id);
-                const bulkDetails = await provider.bulkGetTorrentDetails(config.DebridApiKey, torrentIds);
-                
-                for (const result of deduplicatedResults) {
-                    try {
-                        const torrentDetails = bulkDetails.get(result.id);
-                        
-                        if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
-                            logger.debug(`[stream-provider] No videos found in torrent ${result.id} (${result.name})`);
-                            continue;
-                        }
-
-                        if (!filterYear(torrentDetails, cinemetaDetails)) {
-                            const torrentYear = torrentDetails?.info?.year;
-                            const movieYear = cinemetaDetails?.year;
-                            logger.debug(`[stream-provider] 📅 Year filter rejected torrent: ${result.name?.substring(0, 50)}... (torrent year: ${torrentYear}, movie year: ${movieYear})`);
-                            continue;
-                        }
-
-                        streamData.push({
-                            details: torrentDetails,
-                            type: 'movie',
-                            knownSeasonEpisode: null,
-                            variantInfo: result.variantInfo,
-                            searchContext: searchContext
-                        });
-                    } catch (error) {
-                        logger.warn(`[stream-provider] Failed to prepare stream data: ${error.message}`);
-                    }
-                }
-            } else {
-                
-                for (const result of deduplicatedResults) {
-                    try {
-                        const torrentDetails = await provider.getTorrentDetails(config.DebridApiKey, result.id, 'stream');
-                        
-                        if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
-                            logger.debug(`[stream-provider] No videos found in torrent ${result.id} (${result.name})`);
-                            continue;
-                        }
-
-                        if (!filterYear(torrentDetails, cinemetaDetails)) {
-                            const torrentYear = torrentDetails?.info?.year;
-                            const movieYear = cinemetaDetails?.year;
-                            logger.debug(`[stream-provider] 📅 Year filter rejected torrent: ${result.name?.substring(0, 50)}... (torrent year: ${torrentYear}, movie year: ${movieYear})`);
-                            continue;
-                        }
-
-                        streamData.push({
-                            details: torrentDetails,
-                            type: 'movie',
-                            knownSeasonEpisode: null,
-                            variantInfo: result.variantInfo,
-                            searchContext: searchContext
-                        });
-                    } catch (error) {
-                        logger.warn(`[stream-provider] Failed to prepare stream data: ${error.message}`);
-                    }
-                }
-            }
-
-            const streams = await sequentialStreamFormatting(streamData);
-            
-            const streamProcessingEnd = Date.now();
-            logger.debug(`[stream-provider] Stream processing completed in ${streamProcessingEnd - streamProcessingStart}ms`);
+            const mappingScope = getMappingScope(accounts);
+            const { streams, notices } = await StreamHelpers.collectFromAccounts(accounts,
+                account => StreamProvider.collectMovieStreams(account, imdbId, cinemetaDetails, mappingScope));
 
             logger.debug(`[stream-provider] Applying stream-level deduplication to ${streams.length} streams`);
-            const deduplicatedStreams = deduplicateStreams(streams);
+            const deduplicatedStreams = deduplicateStreams(deduplicateDownloads(streams));
 
             const sortedStreams = sortMovieStreamsByQuality(deduplicatedStreams);
             
             const duration = Date.now() - startTime;
             logger.info(`[stream-provider] Movie search completed in ${duration}ms. Found ${sortedStreams.length} streams for ${imdbId}`);
 
-            return sortedStreams;
+            return [...sortedStreams, ...notices];
 
         } catch (error) {
             const duration = Date.now() - startTime;
@@ -226,6 +185,141 @@ class StreamProvider {
         }
     }
 
+    /**
+     * Searches a single debrid account and formats its movie streams
+     */
+    static async collectMovieStreams(account, imdbId, cinemetaDetails, mappingScope = null) {
+        const providers = getProviderInstances();
+        
+        const apiConfig = getApiConfig();
+        
+        const searchResponse = await coordinateSearch({
+            apiKey: account.apiKey,
+            provider: account.provider,
+            searchKey: cinemetaDetails.name,
+            type: 'movie',
+            imdbId,
+            season: null,
+            episode: null,
+            threshold: 0.4,
+            providers,
+            tmdbApiKey: apiConfig.tmdbApiKey,
+            traktApiKey: apiConfig.traktApiKey,
+            includeDownloads: account.includeDownloads,
+            mappingScope
+        });
+
+        const searchResults = searchResponse?.results || searchResponse || [];
+        const searchContext = searchResponse?.searchContext || null;
+
+        logger.debug(`[stream-provider] Search found ${searchResults?.length || 0} results for movie ${imdbId} on ${account.label}`);
+
+        const deduplicatedResults = StreamHelpers.performDeduplication(searchResults, 'movie');
+
+        if (!deduplicatedResults || deduplicatedResults.length === 0) {
+            logger.info(`[stream-provider] No streams found for movie ${imdbId} on ${account.label}`);
+            return [];
+        }
+
+        logger.debug(`[stream-provider] Starting parallel stream processing for ${deduplicatedResults.length} results`);
+        const streamProcessingStart = Date.now();
+        
+        const provider = providers[account.provider];
+        if (!provider || !provider.getTorrentDetails) {
+            logger.warn(`[stream-provider] Provider ${account.provider} doesn't have getTorrentDetails method`);
+            return [];
+        }
+
+        const streamData = [];
+        const acceptedNames = [];
+
+        StreamHelpers.logBulkProcessing(account.provider, deduplicatedResults.length, 'movie');
+
+        if (hasCapability(account.provider, 'bulkDetails')) {
+            
+            const torrentIds = deduplicatedResults
+                .filter(result => !StreamHelpers.isDownloadResult(result))
+                .map(result => result.id);
+            const bulkDetails = await provider.bulkGetTorrentDetails(account.apiKey, torrentIds);
+            
+            for (const result of deduplicatedResults) {
+                try {
+                    const torrentDetails = restrictToMatchedFiles(
+                        StreamHelpers.isDownloadResult(result) ? result : bulkDetails.get(result.id),
+                        result.matchedFiles
+                    );
+                    
+                    if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
+                        logger.debug(`[stream-provider] No videos found in torrent ${result.id} (${result.name})`);
+                        recordStreamDecision(result.name, 'no video files');
+                        continue;
+                    }
+
+                    if (!filterYear(torrentDetails, cinemetaDetails)) {
+                        const torrentYear = torrentDetails?.info?.year;
+                        const movieYear = cinemetaDetails?.year;
+                        logger.debug(`[stream-provider] 📅 Year filter rejected torrent: ${result.name?.substring(0, 50)}... (torrent year: ${torrentYear}, movie year: ${movieYear})`);
+                        recordStreamDecision(result.name, `year mismatch (torrent ${torrentYear}, movie ${movieYear})`);
+                        continue;
+                    }
+
+                    acceptedNames.push(StreamHelpers.learnableMatchName(result));
+                    streamData.push({
+                        details: torrentDetails,
+                        type: 'movie',
+                        knownSeasonEpisode: null,
+                        variantInfo: result.variantInfo,
+                        searchContext: searchContext
+                    });
+                } catch (error) {
+                    logger.warn(`[stream-provider] Failed to prepare stream data: ${error.message}`);
+                }
+            }
+        } else {
+            
+            for (const result of deduplicatedResults) {
+                try {
+                    const torrentDetails = restrictToMatchedFiles(StreamHelpers.isDownloadResult(result)
+                        ? result
+                        : await provider.getTorrentDetails(account.apiKey, result.id, 'stream'), result.matchedFiles);
+                    
+                    if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
+                        logger.debug(`[stream-provider] No videos found in torrent ${result.id} (${result.name})`);
+                        recordStreamDecision(result.name, 'no video files');
+                        continue;
+                    }
+
+                    if (!filterYear(torrentDetails, cinemetaDetails)) {
+                        const torrentYear = torrentDetails?.info?.year;
+                        const movieYear = cinemetaDetails?.year;
+                        logger.debug(`[stream-provider] 📅 Year filter rejected torrent: ${result.name?.substring(0, 50)}... (torrent year: ${torrentYear}, movie year: ${movieYear})`);
+                        recordStreamDecision(result.name, `year mismatch (torrent ${torrentYear}, movie ${movieYear})`);
+                        continue;
+                    }
+
+                    acceptedNames.push(StreamHelpers.learnableMatchName(result));
+                    streamData.push({
+                        details: torrentDetails,
+                        type: 'movie',
+                        knownSeasonEpisode: null,
+                        variantInfo: result.variantInfo,
+                        searchContext: searchContext
+                    });
+                } catch (error) {
+                    logger.warn(`[stream-provider] Failed to prepare stream data: ${error.message}`);
+                }
+            }
+        }
+
+        const streams = await sequentialStreamFormatting(streamData);
+        rememberStreamMatches(imdbId, { type: 'movie', title: cinemetaDetails.name }, acceptedNames.filter(Boolean));
+        
+        const streamProcessingEnd = Date.now();
+        logger.debug(`[stream-provider] Stream processing completed in ${streamProcessingEnd - streamProcessingStart}ms`);
+
+        return streams;
+    }
+
     static async getSeriesStreams(config, type, id) {
         const startTime = Date.now();
         logger.info(`[stream-provider] Starting series stream search for ${id}`);
@@ -266,234 +360,279 @@ class StreamProvider {
                 return [];
             }
 
-            const providers = sharedProviders;
-
-            const apiConfig = getApiConfig();
-
-            const searchResponse = await coordinateSearch({
-                apiKey: config.DebridApiKey,
-                provider: config.DebridProvider,
-                searchKey: cinemetaDetails.name,
-                type: 'series',
-                imdbId,
-                season,
-                episode,
-                threshold: 0.3,
-                providers,
-                tmdbApiKey: apiConfig.tmdbApiKey,
-                traktApiKey: apiConfig.traktApiKey
-            });
+            const accounts = getDebridAccounts(config);
+            if (accounts.length === 0) {
+                throw new ValidationError('No debrid account configured', 'DebridApiKey', 'MISSING_ACCOUNT');
+            }
 
-            const searchResults = searchResponse.results || [];
-            const searchContext = searchResponse?.searchContext || null;
+            const mappingScope = getMappingScope(accounts);
+            const { streams: streamTasks, notices } = await StreamHelpers.collectFromAccounts(accounts,
+                account => StreamProvider.collectSeriesStreams(config, account, imdbId, season, episode, cinemetaDetails, mappingScope));
 
-            logger.debug(`[stream-provider] Search found ${searchResults.length} results for series ${imdbId} S${season}E${episode}`);
-            
-            // Check for duplicate torrent IDs in search results
-            const torrentIdCounts = {};
-            searchResults.forEach(result => {
-                const id = result.id;
-                torrentIdCounts[id] = (torrentIdCounts[id] || 0) + 1;
-            });
+            logger.debug(`[stream-provider] Applying stream-level deduplication to ${streamTasks.length} streams`);
+            const deduplicatedStreamTasks = deduplicateStreams(deduplicateDownloads(streamTasks));
+
+            const sortedStreams = sortMovieStreamsByQuality(deduplicatedStreamTasks);
             
-            const duplicateIds = Object.entries(torrentIdCounts).filter(([id, count]) => count > 1);
-            if (duplicateIds.length > 0) {
-                logger.warn(`[stream-provider] 🔍 Found duplicate torrents in search results:`);
-                duplicateIds.forEach(([id, count]) => {
-                    logger.warn(`[stream-provider] 🔍 Torrent ${id}: appears ${count} times`);
-                });
-            }
+            const duration = Date.now() - startTime;
+            logger.info(`[stream-provider] Series search completed in ${duration}ms. Found ${sortedStreams.length} streams for ${imdbId} S${season}E${episode}`);
 
-            const deduplicatedResults = StreamHelpers.performDeduplication(searchResults, 'series');
+            const { formatStreamsForDisplay } = await import('./stream/stream-builder.js');
+            const formattedOutput = formatStreamsForDisplay(sortedStreams);
+            return [...sortedStreams, ...notices];
 
-            const filterSeason = searchResponse.animeMapping ? searchResponse.mappedSeason : season;
-            const targetEpisode = searchResponse.animeMapping ? searchResponse.mappedEpisode : episode;
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error(`[stream-provider] Series search failed in ${duration}ms for ${id}:`, error);
             
-            if (searchResponse.animeMapping) {
-                logger.info(`[stream-provider] Using anime mapping: S${season}E${episode} → S${filterSeason}E${targetEpisode}`);
-            }
+            return [];
+        }
+    }
 
-            if (!deduplicatedResults || deduplicatedResults.length === 0) {
-                logger.info(`[stream-provider] No streams found for series ${imdbId} S${season}E${episode}`);
-                return [];
-            }
+    /**
+     * Searches a single debrid account and builds its series streams
+     */
+    static async collectSeriesStreams(config, account, imdbId, season, episode, cinemetaDetails, mappingScope = null) {
+        const providers = getProviderInstances();
+
+        const apiConfig = getApiConfig();
+
+        const searchResponse = await coordinateSearch({
+            apiKey: account.apiKey,
+            provider: account.provider,
+            searchKey: cinemetaDetails.name,
+            type: 'series',
+            imdbId,
+            season,
+            episode,
+            threshold: 0.3,
+            providers,
+            tmdbApiKey: apiConfig.tmdbApiKey,
+            traktApiKey: apiConfig.traktApiKey,
+            includeDownloads: account.includeDownloads,
+            mappingScope
+        });
+
+        const searchResults = searchResponse.results || [];
+        const searchContext = searchResponse?.searchContext || null;
+
+        logger.debug(`[stream-provider] Search found ${searchResults.length} results for series ${imdbId} S${season}E${episode} on ${account.label}`);
+        
+        // Check for duplicate torrent IDs in search results
+        const torrentIdCounts = {};
+        searchResults.forEach(result => {
+            const id = result.id;
+            torrentIdCounts[id] = (torrentIdCounts[id] || 0) + 1;
+        });
+        
+        const duplicateIds = Object.entries(torrentIdCounts).filter(([id, count]) => count > 1);
+        if (duplicateIds.length > 0) {
+            logger.warn(`[stream-provider] 🔍 Found duplicate torrents in search results:`);
+            duplicateIds.forEach(([id, count]) => {
+                logger.warn(`[stream-provider] 🔍 Torrent ${id}: appears ${count} times`);
+            });
+        }
+
+        const deduplicatedResults = StreamHelpers.performDeduplication(searchResults, 'series');
+
+        // Anime mappings and manual episode offsets both report the numbering the library uses
+        const filterSeason = searchResponse.mappedSeason ?? season;
+        const targetEpisode = searchResponse.mappedEpisode ?? episode;
+        
+        if (searchResponse.animeMapping) {
+            logger.info(`[stream-provider] Using anime mapping: S${season}E${episode} → S${filterSeason}E${targetEpisode}`);
+        } else if (searchResponse.episodeOffset) {
+            logger.info(`[stream-provider] Using manual episode offset: S${season}E${episode} → S${filterSeason}E${targetEpisode}`);
+        } else if (searchResponse.sceneMapping) {
+            logger.info(`[stream-provider] Using scene mapping: S${season}E${episode} → S${filterSeason}E${targetEpisode}`);
+        }
+
+        // Scene-numbered files are only looked up while filtering on the requested (Cinemeta) numbers
+        const sceneLookupId = filterSeason === season && targetEpisode === episode ? imdbId : null;
+
+        if (!deduplicatedResults || deduplicatedResults.length === 0) {
+            logger.info(`[stream-provider] No streams found for series ${imdbId} S${season}E${episode} on ${account.label}`);
+            return [];
+        }
+
+        logger.debug(`[stream-provider] Starting controlled concurrent stream processing for ${deduplicatedResults.length} series results`);
+        const streamProcessingStart = Date.now();
+        
+        // Use controlled concurrency to prevent debrid API overwhelm
+        // Limit concurrent debrid API calls to prevent rate limiting issues
+        const { executeWithControlledConcurrency } = await import('./utils/debrid-processor.js');
+        
+        const provider = providers[account.provider];
+        if (!provider || !provider.getTorrentDetails) {
+            logger.warn(`[stream-provider] Provider ${account.provider} doesn't have getTorrentDetails method`);
+            return [];
+        }
 
-            logger.debug(`[stream-provider] Starting controlled concurrent stream processing for ${deduplicatedResults.length} series results`);
-            const streamProcessingStart = Date.now();
+        let streamTasks = [];
+        const acceptedNames = [];
+
+        StreamHelpers.logBulkProcessing(account.provider, deduplicatedResults.length, 'series');
+
+        if (hasCapability(account.provider, 'bulkDetails')) {
             
-            // Use controlled concurrency to prevent debrid API overwhelm
-            // Limit concurrent debrid API calls to prevent rate limiting issues
-            const { executeWithControlledConcurrency } = await import('./utils/debrid-processor.js');
+            const torrentIds = deduplicatedResults
+                .filter(result => !StreamHelpers.isDownloadResult(result))
+                .map(result => result.id);
+            const bulkDetails = await provider.bulkGetTorrentDetails(account.apiKey, torrentIds);
             
-            const provider = providers[config.DebridProvider];
-            if (!provider || !provider.getTorrentDetails) {
-                logger.warn(`[stream-provider] Provider ${config.DebridProvider} doesn't have getTorrentDetails method`);
-                return [];
-            }
-
-            let streamTasks = [];
-
-            StreamHelpers.logBulkProcessing(provider, deduplicatedResults.length, 'series');
-
-            if (provider.bulkGetTorrentDetails) {
-                
-                const torrentIds = deduplicatedResults.map(result => result.id);
-                const bulkDetails = await provider.bulkGetTorrentDetails(config.DebridApiKey, torrentIds);
-                
-                const streamPromises = deduplicatedResults.map(async (result) => {
-                    try {
-                        const torrentDetails = bulkDetails.get(result.id);
-                        
-                        if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
-                            return null;
-                        }
-
-                        if (searchResponse.absoluteEpisode) {
-                            torrentDetails.videos = AbsoluteEpisodeProcessor.processAbsoluteEpisodes(
-                                searchResponse.absoluteEpisode,
-                                torrentDetails.videos
-                            );
-                        }
-
-                        const episodeFilterSuccess = filterEpisode(torrentDetails, filterSeason, targetEpisode);
-                        if (!episodeFilterSuccess || !torrentDetails.videos || torrentDetails.videos.length === 0) {
-                            return null;
-                        }
-
-                        const knownSeasonEpisode = {
-                            season: searchResponse.animeMapping ? filterSeason : season,
-                            episode: searchResponse.animeMapping ? targetEpisode : episode,
-                            absoluteEpisode: searchResponse.absoluteEpisode
-                        };
-
-                        const streamData = {
-                            details: {
-                                ...torrentDetails,
-                                matchedTerm: result.matchedTerm
-                            },
-                            type: 'series',
-                            knownSeasonEpisode,
-                            variantInfo: result.variantInfo,
-                            searchContext: searchContext,
-                            animeMapping: searchResponse.animeMapping
-                        };
-
-                        const { optimizedStreamCreation } = await import('./stream/stream-builder.js');
-                        const streams = optimizedStreamCreation(streamData.details, streamData.type, null, streamData.knownSeasonEpisode, streamData.variantInfo, streamData.searchContext);
-                        
-                        if (searchResponse.animeMapping && streams && streams.length > 0) {
-                            const mapping = searchResponse.animeMapping;
-                            streams.forEach(stream => {
-                                if (stream && stream.url) {
-                                    stream.name = `${stream.name}\n🎌 Anime S${mapping.originalSeason}E${mapping.originalEpisode}→S${mapping.mappedSeason}E${mapping.mappedEpisode}`;
-                                }
-                            });
-                        }
-
-                        return streams;
-
-                    } catch (error) {
+            const streamPromises = deduplicatedResults.map(async (result) => {
+                try {
+                    const torrentDetails = restrictToMatchedFiles(
+                        StreamHelpers.isDownloadResult(result) ? result : bulkDetails.get(result.id),
+                        result.matchedFiles
+                    );
+                    
+                    if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
+                        recordStreamDecision(result.name, 'no video files');
                         return null;
                     }
-                });
-                
-                const allStreamResults = await Promise.all(streamPromises);
-                streamTasks = allStreamResults.filter(result => result !== null).flat();
-            } else {
-                streamTasks = deduplicatedResults.map(result => async () => {
-                    try {
-                        const torrentDetails = await provider.getTorrentDetails(config.DebridApiKey, result.id, 'stream');
-                        
-                        if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
-                            logger.debug(`[stream-provider] No videos found in torrent ${result.id} (${result.name})`);
-                            return null;
-                        }
-
-                        if (searchResponse.absoluteEpisode) {
-                            torrentDetails.videos = AbsoluteEpisodeProcessor.processAbsoluteEpisodes(
-                                searchResponse.absoluteEpisode,
-                                torrentDetails.videos
-                            );
-                        }
-
-                        const episodeFilterSuccess = filterEpisode(torrentDetails, filterSeason, targetEpisode);
-                        if (!episodeFilterSuccess || !torrentDetails.videos || torrentDetails.videos.length === 0) {
-                            logger.debug(`[stream-provider] No matching episodes found in torrent ${result.id} for S${filterSeason}E${targetEpisode}${searchResponse.animeMapping ? ` (mapped from S${season}E${episode})` : ''}`);
-                            return null;
-                        }
-
-                        // Use mapped values for knownSeasonEpisode when anime mapping is active
-                        const knownSeasonEpisode = {
-                            season: searchResponse.animeMapping ? filterSeason : season,
-                            episode: searchResponse.animeMapping ? targetEpisode : episode,
-                            absoluteEpisode: searchResponse.absoluteEpisode
-                        };
-
-                        const streamData = {
-                            details: {
-                                ...torrentDetails,
-                                matchedTerm: result.matchedTerm // Preserve the matched term from search
-                            },
-                            type: 'series',
-                            knownSeasonEpisode,
-                            variantInfo: result.variantInfo,
-                            searchContext: searchContext,
-                            animeMapping: searchResponse.animeMapping
-                        };
-
-                        const { optimizedStreamCreation } = await import('./stream/stream-builder.js');
-                        const streams = optimizedStreamCreation(streamData.details, streamData.type, null, streamData.knownSeasonEpisode, streamData.variantInfo, streamData.searchContext);
-                        
-                        // Add anime mapping annotation if applicable
-                        if (searchResponse.animeMapping && streams && streams.length > 0) {
-                            const mapping = searchResponse.animeMapping;
-                            streams.forEach(stream => {
-                                if (stream && stream.url) {
-                                    stream.name = `${stream.name}\n🎌 Anime S${mapping.originalSeason}E${mapping.originalEpisode}→S${mapping.mappedSeason}E${mapping.mappedEpisode}`;
-                                }
-                            });
-                        }
-
-                        return streams; // Return array of streams instead of single stream
-
-                    } catch (error) {
-                        logger.warn(`[stream-provider] Failed to build stream for ${result.id}: ${error.message}`);
+
+                    if (searchResponse.absoluteEpisode) {
+                        torrentDetails.videos = AbsoluteEpisodeProcessor.processAbsoluteEpisodes(
+                            searchResponse.absoluteEpisode,
+                            torrentDetails.videos
+                        );
+                    }
+
+                    const episodeFilterSuccess = filterEpisode(torrentDetails, filterSeason, targetEpisode, sceneLookupId);
+                    if (!episodeFilterSuccess || !torrentDetails.videos || torrentDetails.videos.length === 0) {
+                        recordStreamDecision(result.name, `no file for S${filterSeason}E${targetEpisode}`);
                         return null;
                     }
-                });
-                
-                const concurrencyLimit = config.ConcurrencyLimit || 6;
-                logger.info(`[stream-provider] Processing ${streamTasks.length} streams with max ${concurrencyLimit} concurrent individual operations`);
-                
-                const streamResults = await executeWithControlledConcurrency(streamTasks, concurrencyLimit);
-                
-                streamTasks = streamResults
-                    .filter(result => result.status === 'fulfilled' && result.value !== null)
-                    .map(result => result.value)
-                    .flat();
-            }
-            
-            const streamProcessingEnd = Date.now();
-            logger.debug(`[stream-provider] Stream processing completed in ${streamProcessingEnd - streamProcessingStart}ms`);
 
-            logger.debug(`[stream-provider] Applying stream-level deduplication to ${streamTasks.length} streams`);
-            const deduplicatedStreamTasks = deduplicateStreams(streamTasks);
+                    acceptedNames.push(StreamHelpers.learnableMatchName(result));
+
+                    const knownSeasonEpisode = {
+                        season: filterSeason,
+                        episode: targetEpisode,
+                        absoluteEpisode: searchResponse.absoluteEpisode
+                    };
+
+                    const streamData = {
+                        details: {
+                            ...torrentDetails,
+                            matchedTerm: result.matchedTerm
+                        },
+                        type: 'series',
+                        knownSeasonEpisode,
+                        variantInfo: result.variantInfo,
+                        searchContext: searchContext,
+                        animeMapping: searchResponse.animeMapping
+                    };
+
+                    const { optimizedStreamCreation } = await import('./stream/stream-builder.js');
+                    const streams = optimizedStreamCreation(streamData.details, streamData.type, null, streamData.knownSeasonEpisode, streamData.variantInfo, streamData.searchContext);
+                    
+                    const mapping = searchResponse.animeMapping || searchResponse.sceneMapping;
+                    if (mapping && streams && streams.length > 0) {
+                        const mappingLabel = searchResponse.animeMapping ? '🎌 Anime' : '🎬 Scene';
+                        streams.forEach(stream => {
+                            if (stream && stream.url) {
+                                stream.name = `${stream.name}\n${mappingLabel} S${mapping.originalSeason}E${mapping.originalEpisode}→S${mapping.mappedSeason}E${mapping.mappedEpisode}`;
+                            }
+                        });
+                    }
 
-            const sortedStreams = sortMovieStreamsByQuality(deduplicatedStreamTasks);
+                    return streams;
+
+                } catch (error) {
+                    return null;
+                }
+            });
             
-            const duration = Date.now() - startTime;
-            logger.info(`[stream-provider] Series search completed in ${duration}ms. Found ${sortedStreams.length} streams for ${imdbId} S${season}E${episode}`);
+            const allStreamResults = await Promise.all(streamPromises);
+            streamTasks = allStreamResults.filter(result => result !== null).flat();
+        } else {
+            streamTasks = deduplicatedResults.map(result => async () => {
+                try {
+                    const torrentDetails = restrictToMatchedFiles(StreamHelpers.isDownloadResult(result)
+                        ? result
+                        : await provider.getTorrentDetails(account.apiKey, result.id, 'stream'), result.matchedFiles);
+                    
+                    if (!torrentDetails || !torrentDetails.videos || torrentDetails.videos.length === 0) {
+                        logger.debug(`[stream-provider] No videos found in torrent ${result.id} (${result.name})`);
+                        recordStreamDecision(result.name, 'no video files');
+                        return null;
+                    }
 
-            const { formatStreamsForDisplay } = await import('./stream/stream-builder.js');
-            const formattedOutput = formatStreamsForDisplay(sortedStreams);
-            return sortedStreams;
+                    if (searchResponse.absoluteEpisode) {
+                        torrentDetails.videos = AbsoluteEpisodeProcessor.processAbsoluteEpisodes(
+                            searchResponse.absoluteEpisode,
+                            torrentDetails.videos
+                        );
+                    }
 
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            logger.error(`[stream-provider] Series search failed in ${duration}ms for ${id}:`, error);
+                    const episodeFilterSuccess = filterEpisode(torrentDetails, filterSeason, targetEpisode, sceneLookupId);
+                    if (!episodeFilterSuccess || !torrentDetails.videos || torrentDetails.videos.length === 0) {
+                        logger.debug(`[stream-provider] No matching episodes found in torrent ${result.id} for S${filterSeason}E${targetEpisode}${filterSeason !== season || targetEpisode !== episode ? ` (mapped from S${season}E${episode})` : ''}`);
+                        recordStreamDecision(result.name, `no file for S${filterSeason}E${targetEpisode}`);
+                        return null;
+                    }
+
+                    acceptedNames.push(StreamHelpers.learnableMatchName(result));
+
+                    // Use mapped values for knownSeasonEpisode when an anime mapping or episode offset is active
+                    const knownSeasonEpisode = {
+                        season: filterSeason,
+                        episode: targetEpisode,
+                        absoluteEpisode: searchResponse.absoluteEpisode
+                    };
+
+                    const streamData = {
+                        details: {
+                            ...torrentDetails,
+                            matchedTerm: result.matchedTerm // Preserve the matched term from search
+                        },
+                        type: 'series',
+                        knownSeasonEpisode,
+                        variantInfo: result.variantInfo,
+                        searchContext: searchContext,
+                        animeMapping: searchResponse.animeMapping
+                    };
+
+                    const { optimizedStreamCreation } = await import('./stream/stream-builder.js');
+                    const streams = optimizedStreamCreation(streamData.details, streamData.type, null, streamData.knownSeasonEpisode, streamData.variantInfo, streamData.searchContext);
+                    
+                    // Add anime or scene mapping annotation if applicable
+                    const mapping = searchResponse.animeMapping || searchResponse.sceneMapping;
+                    if (mapping && streams && streams.length > 0) {
+                        const mappingLabel = searchResponse.animeMapping ? '🎌 Anime' : '🎬 Scene';
+                        streams.forEach(stream => {
+                            if (stream && stream.url) {
+                                stream.name = `${stream.name}\n${mappingLabel} S${mapping.originalSeason}E${mapping.originalEpisode}→S${mapping.mappedSeason}E${mapping.mappedEpisode}`;
+                            }
+                        });
+                    }
+
+                    return streams; // Return array of streams instead of single stream
+
+                } catch (error) {
+                    logger.warn(`[stream-provider] Failed to build stream for ${result.id}: ${error.message}`);
+                    return null;
+                }
+            });
             
-            return [];
+            const concurrencyLimit = config.ConcurrencyLimit || 6;
+            logger.info(`[stream-provider] Processing ${streamTasks.length} streams with max ${concurrencyLimit} concurrent individual operations`);
+            
+            const streamResults = await executeWithControlledConcurrency(streamTasks, concurrencyLimit);
+            
+            streamTasks = streamResults
+                .filter(result => result.status === 'fulfilled' && result.value !== null)
+                .map(result => result.value)
+                .flat();
         }
+        
+        const streamProcessingEnd = Date.now();
+        logger.debug(`[stream-provider] Stream processing completed in ${streamProcessingEnd - streamProcessingStart}ms`);
+
+        rememberStreamMatches(imdbId, { type: 'series', title: cinemetaDetails.name }, acceptedNames.filter(Boolean));
+        return streamTasks;
     }
 
     /**
@@ -502,34 +641,36 @@ class StreamProvider {
      * @param {string} debridApiKey - The API key for the provider
      * @param {string} itemId - The torrent/item ID
      * @param {string} hostUrl - The encoded host URL to unrestrict
-     * @param {string} clientIp - The client IP address
+     * @param {string|null} clientIp - The client IP address (null when the server streams the link itself)
      * @returns {Promise<string>} The direct download URL
      */
     static async resolveUrl(debridProvider, debridApiKey, itemId, hostUrl, clientIp) {
         logger.info(`[stream-provider] Resolving URL for ${debridProvider}: ${hostUrl}`);
         
         try {
-            let unrestricted;
-            
-            switch (debridProvider) {
-                case 'AllDebrid':
-                    unrestricted = await sharedProviders.AllDebrid.unrestrictUrl(debridApiKey, hostUrl);
-                    break;
-                case 'RealDebrid':
-                    unrestricted = await sharedProviders.RealDebrid.unrestrictUrl(debridApiKey, hostUrl, clientIp);
-                    break;
-                case 'DebridLink':
-                case 'Premiumize':
-                    // These providers return direct URLs, no unrestricting needed
-                    unrestricted = hostUrl;
-                    break;
-                case 'TorBox':
-                    unrestricted = await sharedProviders.TorBox.unrestrictUrl(debridApiKey, itemId, hostUrl, clientIp);
-                    break;
-                default:
-                    throw new Error(`Unsupported debrid provider: ${debridProvider}`);
+            const provider = getProvider(debridProvider);
+            if (!provider) {
+                throw new Error(`Unsupported debrid provider: ${debridProvider}`);
+            }
+
+            const health = provider.getHealth();
+            if (!health.available) {
+                throw new ProviderUnavailableError(`${debridProvider} is temporarily unavailable`, debridProvider, health.retryInMs);
             }
             
+            // Seeking and re-opening a stream hit /resolve again; links still alive are reused.
+            // IP-bound links are only reused for the same client; /proxy resolves without one, so it
+            // gets entries of its own (the provider saw the server's address)
+            const { linkTtlSeconds, ipBoundLinks } = provider.constructor.descriptor || {};
+            const unrestricted = await runWithPriority(PRIORITY.INTERACTIVE, () => resolveWithCache({
+                provider: debridProvider,
+                apiKey: debridApiKey,
+                itemId,
+                hostUrl,
+                ttlSeconds: linkTtlSeconds,
+                boundTo: ipBoundLinks ? clientIp || 'server' : null
+            }, () => provider.resolveLink(debridApiKey, itemId, hostUrl, clientIp)));
+            
             logger.info(`[stream-provider] Successfully resolved URL for ${debridProvider}`);
             return unrestricted;
         } catch (error) {
@@ -537,6 +678,61 @@ class StreamProvider {
             throw error;
         }
     }
+
+    /**
+     * Add a magnet or infohash to a debrid account
+     * The account's library snapshot is expired so the next search lists the new torrent.
+     * @returns {Promise<Object|null>} Provider add result, or null when the provider failed
+     */
+    static async addMagnet(debridProvider, debridApiKey, magnetOrHash) {
+        const provider = getProvider(debridProvider);
+        if (!provider || !hasCapability(debridProvider, 'addMagnet')) {
+            throw new ValidationError(`${debridProvider} does not support adding magnets`, 'provider', debridProvider);
+        }
+
+        const health = provider.getHealth();
+        if (!health.available) {
+            throw new ProviderUnavailableError(`${debridProvider} is temporarily unavailable`, debridProvider, health.retryInMs);
+        }
+
+        const result = await runWithPriority(PRIORITY.INTERACTIVE,
+            () => provider.addMagnet(debridApiKey, magnetOrHash));
+
+        if (result) {
+            logger.info(`[stream-provider] Added ${result.hash} to ${debridProvider} (${result.status})`);
+            try {
+                getLibrarySnapshot()?.markStale(debridProvider, debridApiKey);
+            } catch (error) {
+                logger.warn(`[stream-provider] Could not expire ${debridProvider} snapshot: ${error.message}`);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Instant availability of infohashes on one account
+     * @param {string[]} hashes - Lowercase hex infohashes
+     * @returns {Promise<{supported: boolean, cached?: Object<string, boolean>, error?: string}>}
+     */
+    static async checkCached(debridProvider, debridApiKey, hashes) {
+        const provider = getProvider(debridProvider);
+        if (!provider || !hasCapability(debridProvider, 'cacheCheck')) {
+            return { supported: false };
+        }
+
+        if (!provider.getHealth().available) {
+            return { supported: true, error: 'Provider temporarily unavailable' };
+        }
+
+        try {
+            const cached = await provider.checkCached(debridApiKey, hashes);
+            return cached ? { supported: true, cached } : { supported: true, error: 'Cache check failed' };
+        } catch (error) {
+            logger.warn(`[stream-provider] Cache check failed for ${debridProvider}: ${error.message}`);
+            return { supported: true, error: 'Cache check failed' };
+        }
+    }
 }
 
 export default StreamProvider;
\ No newline at end of file
@@ -5,6 +5,7 @@
 
 import { extractQualityDisplay, extractQualityInfo } from '../utils/media-patterns.js';
 import { logger } from '../utils/logger.js';
+import { recordStreamDecision } from '../search/search-trace.js';
 
 export function extractQuality(video, details) {
     const videoName = video.name || '';
@@ -83,6 +84,7 @@ export function deduplicateStreams(streams) {
             deduplicated.push(stream);
         } else {
             logger.info(`[quality-processor] 🔄 Filtered duplicate stream: ${videoFileName} (${size})`);
+            recordStreamDecision(videoFileName, 'duplicate stream (same file name and size)');
             duplicateCount++;
         }
     }
@@ -92,4 +94,39 @@ export function deduplicateStreams(streams) {
     }
     
     return deduplicated;
-}
\ No newline at end of file
+}
+
+/**
+ * Drops hoster-download streams (⬇️ size line) for files that are also streamed from a torrent,
+ * matched on file name and exact size. Torrent streams are kept since their links do not expire.
+ */
+export function deduplicateDownloads(streams) {
+    const fileKey = stream => {
+        const filename = stream.behaviorHints?.filename;
+        const size = stream.behaviorHints?.videoSize;
+        return filename && size ? `${filename.split('/').pop()}|${size}`.toLowerCase() : null;
+    };
+    const isDownload = stream => {
+        const titleLines = (stream.title || '').split('\n');
+        return (titleLines[titleLines.length - 1] || '').includes('⬇️');
+    };
+
+    const torrentFiles = new Set(streams.filter(stream => !isDownload(stream)).map(fileKey).filter(Boolean));
+    if (torrentFiles.size === 0) {
+        return streams;
+    }
+
+    const deduplicated = streams.filter(stream => {
+        if (isDownload(stream) && torrentFiles.has(fileKey(stream))) {
+            recordStreamDecision(stream.behaviorHints.filename, 'hoster download also streamed from a torrent');
+            return false;
+        }
+        return true;
+    });
+
+    if (deduplicated.length !== streams.length) {
+        logger.info(`[quality-processor] 📊 Download deduplication: ${streams.length} → ${deduplicated.length} streams (filtered ${streams.length - deduplicated.length} downloads also present as torrent files)`);
+    }
+
+    return deduplicated;
+}
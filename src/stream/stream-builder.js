@@ -12,6 +12,8 @@ import { AVOID_EPISODE_PATTERNS } from '../utils/episode-patterns.js';
 import { logger } from '../utils/logger.js';
 import cache from '../utils/cache-manager.js';
 import { configManager } from '../config/configuration.js';
+import { getStreamSourceName, getProviderDescriptor } from '../providers/index.js';
+import { toCinemetaEpisodes } from '../search/scene-mappings.js';
 
 // ================================================================================================
 // CONFIGURATION
@@ -24,12 +26,12 @@ import { configManager } from '../config/configuration.js';
  */
 const ENABLE_MULTI_STREAM_PER_TORRENT = process.env.ENABLE_MULTI_STREAM_PER_TORRENT === 'true';
 
-const STREAM_NAME_MAP = {
-    DebridLink: "[DL⚡] Intell DebridSearch",
-    RealDebrid: "[RD⚡] Intell DebridSearch",
-    AllDebrid: "[AD⚡] Intell DebridSearch",
-    Premiumize: "[PM⚡] Intell DebridSearch",
-    TorBox: "[TB⚡] Intell DebridSearch"
+/**
+ * Title markers for containers that are not torrents (`details.sourceType`), e.g. TorBox usenet
+ */
+const SOURCE_TYPE_LABELS = {
+    usenet: '📰 Usenet',
+    webdl: '🌐 Web'
 };
 
 // ================================================================================================
@@ -130,7 +132,7 @@ function createSingleStreamFast(details, video, type, icon, parsedMetadata, know
     }
 
     const quality = extractQuality(video, details);
-    const sourceName = STREAM_NAME_MAP[details.source] || 'Unknown';
+    const sourceName = getStreamSourceName(details.source);
     
     const title = formatStreamTitle(details, video, type, icon, parsedMetadata, knownSeasonEpisode, variantInfo, searchContext);
 
@@ -193,7 +195,7 @@ function createSingleStream(details, video, type, icon, parsedMetadata, knownSea
 
     const quality = extractQuality(video, details);
     
-    let name = STREAM_NAME_MAP[details.source] || 'Unknown'
+    let name = getStreamSourceName(details.source)
     name = name + '\n' + quality
 
     let title = formatStreamTitle(details, video, type, icon, parsedMetadata, knownSeasonEpisode, variantInfo, searchContext);
@@ -243,6 +245,7 @@ function extractBasicInfo(details, video) {
         containerName: details.containerName || details.name || 'Unknown',
         videoName: video.name || '',
         size: formatSize(video?.size || 0),
+        sourceLabel: SOURCE_TYPE_LABELS[details.sourceType] || null,
         matchedTerm: details.matchedTerm || null // Preserve the search term that matched this torrent
     };
 }
@@ -359,9 +362,10 @@ function addVariantLine(lines, detectedVariant, variantInfo) {
  * @param {string} size - Formatted size
  * @param {string} releaseGroup - Release group name
  * @param {string} seasonEpisode - Season/episode string (for series only)
+ * @param {string} sourceLabel - Source type marker (non-torrent containers only)
  * @returns {string} Complete size line
  */
-function buildSizeLine(icon, size, releaseGroup, seasonEpisode = null) {
+function buildSizeLine(icon, size, releaseGroup, seasonEpisode = null, sourceLabel = null) {
     let sizeLine;
     
     if (seasonEpisode) {
@@ -376,6 +380,10 @@ function buildSizeLine(icon, size, releaseGroup, seasonEpisode = null) {
     if (configManager.getIsReleaseGroupEnabled() && releaseGroup && releaseGroup.trim().length > 0 && isValidReleaseGroup(releaseGroup)) {
         sizeLine += ` • 👥 [${releaseGroup}]`;
     }
+
+    if (sourceLabel) {
+        sizeLine += ` • ${sourceLabel}`;
+    }
     
     return sizeLine;
 }
@@ -391,7 +399,7 @@ function buildSizeLine(icon, size, releaseGroup, seasonEpisode = null) {
  * @returns {string} Formatted series title
  */
 function formatSeriesStreamTitle(basicInfo, icon, parsedMetadata, knownSeasonEpisode, variantInfo, searchContext) {
-    const { containerName, videoName, size, matchedTerm } = basicInfo;
+    const { containerName, videoName, size, matchedTerm, sourceLabel } = basicInfo;
     const seriesInfo = parsedMetadata?.seriesInfo || extractSeriesInfo(videoName, containerName);
     const releaseGroup = configManager.getIsReleaseGroupEnabled() ? 
         (parsedMetadata?.releaseGroup || extractReleaseGroup(videoName || containerName)) : null;
@@ -427,14 +435,14 @@ function formatSeriesStreamTitle(basicInfo, icon, parsedMetadata, knownSeasonEpi
     }
     
     // Final line: Season/Episode + Size + Release Group
-    lines.push(buildSizeLine(icon, size, releaseGroup, seasonEpisode));
+    lines.push(buildSizeLine(icon, size, releaseGroup, seasonEpisode, sourceLabel));
     
     return lines.join('\n');
 }
 
 /** Formats stream title for movie content */
 function formatMovieStreamTitle(basicInfo, icon, parsedMetadata, variantInfo) {
-    const { containerName, videoName, size } = basicInfo;
+    const { containerName, videoName, size, sourceLabel } = basicInfo;
     const movieInfo = parsedMetadata?.movieInfo || extractMovieInfo(removeExtension(videoName || containerName));
     const releaseGroup = configManager.getIsReleaseGroupEnabled() ? 
         (parsedMetadata?.releaseGroup || extractReleaseGroup(videoName || containerName)) : null;
@@ -459,7 +467,7 @@ function formatMovieStreamTitle(basicInfo, icon, parsedMetadata, variantInfo) {
     }
     
     // Final line: Size + Release Group
-    lines.push(buildSizeLine(icon, size, releaseGroup));
+    lines.push(buildSizeLine(icon, size, releaseGroup, null, sourceLabel));
     
     return lines.join('\n');
 }
@@ -487,6 +495,25 @@ function formatStreamTitle(details, video, type, icon, parsedMetadata = null, kn
     }
 }
 
+/**
+ * Informational entry shown instead of streams while a provider's circuit breaker is open.
+ * Stremio needs a target, so it opens the provider's website.
+ */
+export function toProviderUnavailableStream(providerName, health, accountLabel = null) {
+    const descriptor = getProviderDescriptor(providerName);
+    const retrySeconds = Math.ceil((health?.retryInMs || 0) / 1000);
+    const titleLines = [
+        `⚠️ ${providerName}${accountLabel ? ` (${accountLabel})` : ''} is not responding`,
+        retrySeconds > 0 ? `Retrying in ${retrySeconds}s, try again shortly` : 'Try again shortly'
+    ];
+
+    return {
+        name: getStreamSourceName(providerName) + '\nUnavailable',
+        title: titleLines.join('\n'),
+        externalUrl: descriptor?.apiKeyUrl ? new URL(descriptor.apiKeyUrl).origin : process.env.ADDON_URL
+    };
+}
+
 // ================================================================================================
 // FILTERING FUNCTIONS
 // ================================================================================================
@@ -508,8 +535,9 @@ export function filterYear(torrent, cinemetaDetails) {
  * 
  * Uses pre-processed absolute episode matches from AbsoluteEpisodeProcessor.
  * Also applies AVOID_EPISODE_PATTERNS to filter out false positives like (1).mkv files.
+ * With an imdbId, files numbered the scene way are accepted when nothing matches the requested numbers.
  */
-export function filterEpisode(torrentDetails, season, episode) {
+export function filterEpisode(torrentDetails, season, episode, imdbId = null) {
     if (!torrentDetails || !torrentDetails.videos) {
         torrentDetails.videos = [];
         return false;
@@ -524,8 +552,8 @@ export function filterEpisode(torrentDetails, season, episode) {
             return; 
         }
         
-        if (video.isAbsoluteMatch) {
-            logger.debug(`[filterEpisode] ✅ Pre-processed absolute match: "${video.name}"`);
+        if (video.isAbsoluteMatch || video.isSceneMatch) {
+            logger.debug(`[filterEpisode] ✅ Pre-processed ${video.isSceneMatch ? 'scene' : 'absolute'} match: "${video.name}"`);
             matches.push(video);
             return;
         }
@@ -538,6 +566,18 @@ export function filterEpisode(torrentDetails, season, episode) {
             matches.push(video);
         }
     });
+
+    if (matches.length === 0 && imdbId) {
+        torrentDetails.videos.forEach(video => {
+            if (AVOID_EPISODE_PATTERNS.some(pattern => pattern.test(video.name))) return;
+
+            const cinemetaEpisodes = toCinemetaEpisodes(imdbId, video.info?.season, video.info?.episode);
+            if (cinemetaEpisodes.some(mapped => mapped.season == season && mapped.episode == episode)) {
+                logger.debug(`[filterEpisode] ✅ Scene match: S${video.info.season}E${video.info.episode} is S${season}E${episode}`);
+                matches.push({ ...video, isSceneMatch: true });
+            }
+        });
+    }
     
     if (matches.length > 0) {
         // Sort matches by pattern priority: classic patterns before absolute/converted patterns
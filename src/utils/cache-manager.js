@@ -149,9 +149,11 @@ class UnifiedCacheManager {
     }
 
     startPeriodicCleanup() {
-        setInterval(() => {
+        // Housekeeping only: must not keep a process alive that has nothing else to do (tests, scripts)
+        this.cleanupTimer = setInterval(() => {
             this.cleanupExpired();
         }, this.cleanupInterval * 1000);
+        this.cleanupTimer.unref?.();
     }
 
     cleanupExpired() {
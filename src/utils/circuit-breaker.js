@@ -0,0 +1,161 @@
+/**
+ * Provider Circuit Breaker
+ * Tracks consecutive failures per provider. After `failureThreshold` failures the circuit opens
+ * and calls fail fast for `openDurationMs`; it then lets probe calls through (half-open) and
+ * closes again once `halfOpenSuccesses` probes have succeeded. Any failing probe re-opens it.
+ */
+
+import { logger } from './logger.js';
+
+export const CIRCUIT_STATE = Object.freeze({
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+});
+
+const DEFAULT_OPTIONS = {
+    failureThreshold: 5,
+    openDurationMs: 30000,
+    halfOpenSuccesses: 2
+};
+
+export class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.state = CIRCUIT_STATE.CLOSED;
+        this.failures = 0;
+        this.probeSuccesses = 0;
+        this.probeInFlight = false;
+        this.openedAt = null;
+        this.retryAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Whether a call may go out now. In half-open state one probe runs at a time,
+     * so the caller must report its outcome (success, failure or ignored).
+     */
+    tryAcquire(now = Date.now()) {
+        if (this.state === CIRCUIT_STATE.OPEN && now >= this.retryAt) {
+            this.transition(CIRCUIT_STATE.HALF_OPEN);
+        }
+
+        if (this.state === CIRCUIT_STATE.CLOSED) {
+            return true;
+        }
+
+        if (this.state === CIRCUIT_STATE.HALF_OPEN && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    onSuccess() {
+        if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+            this.probeInFlight = false;
+            this.probeSuccesses++;
+            if (this.probeSuccesses >= this.options.halfOpenSuccesses) {
+                this.transition(CIRCUIT_STATE.CLOSED);
+            }
+            return;
+        }
+
+        this.failures = 0;
+    }
+
+    onFailure(error, now = Date.now()) {
+        this.lastError = String(error?.message || error).substring(0, 200);
+
+        if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+            this.probeInFlight = false;
+            this.open(now);
+            return;
+        }
+
+        this.failures++;
+        if (this.state === CIRCUIT_STATE.CLOSED && this.failures >= this.options.failureThreshold) {
+            this.open(now);
+        }
+    }
+
+    /**
+     * Outcome that says nothing about provider health (e.g. a call rejected by our own rate limiter)
+     */
+    onIgnored() {
+        this.probeInFlight = false;
+    }
+
+    open(now) {
+        this.openedAt = now;
+        this.retryAt = now + this.options.openDurationMs;
+        this.transition(CIRCUIT_STATE.OPEN);
+    }
+
+    transition(state) {
+        if (this.state === state) {
+            return;
+        }
+
+        const previous = this.state;
+        this.state = state;
+        this.probeSuccesses = 0;
+        this.probeInFlight = false;
+
+        if (state === CIRCUIT_STATE.OPEN) {
+            logger.warn(`[circuit-breaker] ${this.name} unavailable after ${previous === CIRCUIT_STATE.HALF_OPEN ? 'a failed probe' : `${this.failures} failures`} (${this.lastError}), failing fast for ${Math.round(this.options.openDurationMs / 1000)}s`);
+        } else if (state === CIRCUIT_STATE.CLOSED) {
+            this.failures = 0;
+            this.openedAt = null;
+            this.retryAt = null;
+            logger.info(`[circuit-breaker] ${this.name} recovered`);
+        } else {
+            logger.info(`[circuit-breaker] ${this.name} probing`);
+        }
+    }
+
+    getHealth(now = Date.now()) {
+        return {
+            provider: this.name,
+            state: this.state,
+            available: this.state !== CIRCUIT_STATE.OPEN || now >= this.retryAt,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryInMs: this.state === CIRCUIT_STATE.OPEN ? Math.max(0, this.retryAt - now) : 0,
+            lastError: this.lastError
+        };
+    }
+}
+
+const breakers = new Map();
+
+/**
+ * Breaker shared by every instance of a provider; options apply when it is first created
+ */
+export function getCircuitBreaker(name, options = {}) {
+    if (!breakers.has(name)) {
+        breakers.set(name, new CircuitBreaker(name, options));
+    }
+    return breakers.get(name);
+}
+
+/**
+ * Health of a provider; providers that have not made calls yet are reported closed
+ */
+export function getProviderHealth(name) {
+    return breakers.get(name)?.getHealth() || {
+        provider: name,
+        state: CIRCUIT_STATE.CLOSED,
+        available: true,
+        failures: 0,
+        openedAt: null,
+        retryInMs: 0,
+        lastError: null
+    };
+}
+
+export function getAllProviderHealth() {
+    return [...breakers.values()].map(breaker => breaker.getHealth());
+}
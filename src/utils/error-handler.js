@@ -163,6 +163,19 @@ export class ProviderError extends Error {
     }
 }
 
+export class ProviderUnavailableError extends ProviderError {
+    constructor(message, provider, retryInMs = 0) {
+        super(message, provider, 503);
+        this.name = 'ProviderUnavailableError';
+        this.code = 'PROVIDER_UNAVAILABLE';
+        this.retryInMs = retryInMs;
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, ProviderUnavailableError);
+        }
+    }
+}
+
 export class ApiError extends Error {
     constructor(message, apiName, statusCode = null, originalError = null) {
         super(message);
@@ -0,0 +1,52 @@
+/**
+ * Magnet link and infohash helpers
+ * Accepts what users paste: a magnet URI or a bare BitTorrent v1 infohash, in hex (40 chars)
+ * or base32 (32 chars). Hashes are normalized to lowercase hex.
+ */
+
+const HEX_HASH_PATTERN = /^[a-f0-9]{40}$/i;
+const BASE32_HASH_PATTERN = /^[a-z2-7]{32}$/i;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32ToHex(value) {
+    let bits = '';
+    for (const char of value.toLowerCase()) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+    return bits.match(/.{4}/g).map(nibble => parseInt(nibble, 2).toString(16)).join('');
+}
+
+/**
+ * Normalize an infohash to lowercase hex
+ * @returns {string|null} The hash, or null when the value is not an infohash
+ */
+export function normalizeInfoHash(value) {
+    const hash = String(value || '').trim();
+    if (HEX_HASH_PATTERN.test(hash)) {
+        return hash.toLowerCase();
+    }
+    if (BASE32_HASH_PATTERN.test(hash)) {
+        return base32ToHex(hash);
+    }
+    return null;
+}
+
+/**
+ * Parse a magnet URI or bare infohash
+ * Magnet URIs are passed on unchanged so their trackers and display name reach the provider.
+ * @returns {{hash: string, magnet: string, name: string|null}|null} null when no infohash is found
+ */
+export function parseMagnet(magnetOrHash) {
+    const input = String(magnetOrHash || '').trim();
+
+    if (!input.toLowerCase().startsWith('magnet:?')) {
+        const hash = normalizeInfoHash(input);
+        return hash ? { hash, magnet: `magnet:?xt=urn:btih:${hash}`, name: null } : null;
+    }
+
+    const params = new URLSearchParams(input.substring('magnet:?'.length));
+    const topic = params.getAll('xt').find(value => value.toLowerCase().startsWith('urn:btih:'));
+    const hash = topic ? normalizeInfoHash(topic.substring('urn:btih:'.length)) : null;
+
+    return hash ? { hash, magnet: input, name: params.get('dn') || null } : null;
+}
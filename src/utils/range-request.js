@@ -0,0 +1,99 @@
+/**
+ * HTTP Range helpers for serving media files
+ * Players seek by requesting byte ranges, so file responses must honour `Range: bytes=start-end`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream';
+import { logger } from './logger.js';
+
+const VIDEO_CONTENT_TYPES = {
+    '.mkv': 'video/x-matroska',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.avi': 'video/x-msvideo',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.ts': 'video/mp2t',
+    '.m2ts': 'video/mp2t',
+    '.wmv': 'video/x-ms-wmv',
+    '.mpg': 'video/mpeg',
+    '.mpeg': 'video/mpeg'
+};
+
+export function getVideoContentType(filename) {
+    return VIDEO_CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Parse a single-range `Range` header against a known size
+ * @returns {{start: number, end: number}|null|false} null when absent, false when unsatisfiable
+ */
+export function parseRangeHeader(rangeHeader, size) {
+    if (!rangeHeader) {
+        return null;
+    }
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader).trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return false;
+    }
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+        // Suffix range: last N bytes
+        const suffixLength = parseInt(match[2], 10);
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start > end || start >= size) {
+        return false;
+    }
+
+    return { start, end };
+}
+
+/**
+ * Stream a file to the response, answering 206 for ranged requests and HEAD without a body
+ */
+export function sendFileWithRange(req, res, filePath, size, filename = path.basename(filePath)) {
+    const range = parseRangeHeader(req.headers.range, size);
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', getVideoContentType(filename));
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(filename)}`);
+
+    if (range === false) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        res.statusCode = 416;
+        res.end();
+        return;
+    }
+
+    const { start, end } = range || { start: 0, end: Math.max(size - 1, 0) };
+
+    res.statusCode = range ? 206 : 200;
+    res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+    if (range) {
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    if (req.method === 'HEAD' || size === 0) {
+        res.end();
+        return;
+    }
+
+    pipeline(fs.createReadStream(filePath, { start, end }), res, (error) => {
+        // Players routinely abort ranged requests while seeking; only log real read failures
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.warn(`[range-request] Streaming ${filename} failed: ${error.message}`);
+        }
+    });
+}
@@ -0,0 +1,336 @@
+/**
+ * Provider Rate Limiter
+ * Shared token-bucket limiter for every provider API call. Each provider declares its limits in
+ * its descriptor (`rateLimit: { requestsPerMinute, burst, providerRequestsPerMinute }`); calls are
+ * metered per API key and, optionally, per provider across all keys of this server.
+ * Pending calls are queued by priority so interactive stream requests run before background work,
+ * and `Retry-After` / rate-limit response headers pause the account's bucket. Calls whose caller
+ * gave up (aborted signal) leave the queue instead of spending a token nobody waits for.
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { logger } from './logger.js';
+
+export const PRIORITY = Object.freeze({
+    INTERACTIVE: 0, // Stream lookups and link resolution, a player is waiting
+    NORMAL: 1,      // Catalog and meta requests
+    BACKGROUND: 2   // Snapshot re-listings and other work nobody waits on
+});
+
+const DEFAULT_RATE_LIMITED_PAUSE_MS = 5000; // 429/503 without usable headers
+const MAX_QUEUE_WAIT_MS = 30000; // Fail fast instead of queueing behind a long provider ban
+const IDLE_BUCKET_TTL_MS = 10 * 60 * 1000;
+
+const priorityContext = new AsyncLocalStorage();
+const abortContext = new AsyncLocalStorage();
+
+/**
+ * Run fn so that every provider call made inside it (however deep) uses the given priority
+ */
+export function runWithPriority(priority, fn) {
+    return priorityContext.run(priority, fn);
+}
+
+export function getCurrentPriority() {
+    return priorityContext.getStore() ?? PRIORITY.NORMAL;
+}
+
+/**
+ * Run fn so that calls it queues (however deep) are dropped from the queue once signal aborts
+ */
+export function runWithAbortSignal(signal, fn) {
+    return abortContext.run(signal, fn);
+}
+
+export class RateLimitError extends Error {
+    constructor(message, provider, retryAfterMs) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.provider = provider;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+class TokenBucket {
+    constructor({ requestsPerMinute, burst }) {
+        this.capacity = Math.max(1, burst || Math.ceil(requestsPerMinute / 60));
+        this.refillPerMs = requestsPerMinute / 60000;
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+        this.pausedUntil = 0;
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until a token is available (0 = available now)
+     */
+    waitTime(now) {
+        this.refill(now);
+        const pauseWait = Math.max(0, this.pausedUntil - now);
+        const tokenWait = this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+        return Math.max(pauseWait, tokenWait);
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+
+    pause(until) {
+        this.pausedUntil = Math.max(this.pausedUntil, until);
+    }
+
+    isIdle(now) {
+        this.refill(now);
+        return this.tokens >= this.capacity && this.pausedUntil <= now;
+    }
+}
+
+/**
+ * Parse Retry-After and rate-limit headers into a pause duration
+ * Accepts axios header objects, fetch Headers or plain objects.
+ * @returns {number|null} Milliseconds to pause, or null when the headers say nothing
+ */
+export function getRetryAfterMs(headers, now = Date.now()) {
+    if (!headers) return null;
+
+    const read = (name) => {
+        const value = typeof headers.get === 'function' ? headers.get(name) : (headers[name] ?? headers[name.toLowerCase()]);
+        return value === undefined || value === null || value === '' ? null : String(value);
+    };
+
+    const retryAfter = read('retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (Number.isFinite(date)) return Math.max(0, date - now);
+    }
+
+    const remaining = read('x-ratelimit-remaining') ?? read('ratelimit-remaining');
+    if (remaining !== null && Number(remaining) <= 0) {
+        const reset = Number(read('x-ratelimit-reset') ?? read('ratelimit-reset'));
+        if (Number.isFinite(reset)) {
+            // Epoch seconds or seconds-until-reset, depending on the provider
+            return reset > 1e9 ? Math.max(0, reset * 1000 - now) : reset * 1000;
+        }
+    }
+
+    return null;
+}
+
+// axios errors carry `response`, SDK-generated clients (TorBox) carry `metadata`
+function extractHeaders(errorOrResponse) {
+    return errorOrResponse?.response?.headers || errorOrResponse?.metadata?.headers || errorOrResponse?.headers || null;
+}
+
+function extractStatus(errorOrResponse) {
+    return errorOrResponse?.response?.status ?? errorOrResponse?.metadata?.status
+        ?? errorOrResponse?.status ?? errorOrResponse?.statusCode ?? null;
+}
+
+export class RateLimiter {
+    constructor() {
+        this.lanes = new Map();
+        this.keyBuckets = new Map();
+        this.sequence = 0;
+
+        this.sweepTimer = setInterval(() => this.sweepIdleBuckets(), IDLE_BUCKET_TTL_MS);
+        this.sweepTimer.unref?.();
+    }
+
+    static hashKey(apiKey) {
+        return apiKey ? crypto.createHash('sha256').update(String(apiKey)).digest('hex').substring(0, 16) : 'shared';
+    }
+
+    getLane(provider, limits) {
+        if (!this.lanes.has(provider)) {
+            this.lanes.set(provider, {
+                provider,
+                limits,
+                queue: [],
+                timer: null,
+                providerBucket: limits.providerRequestsPerMinute
+                    ? new TokenBucket({ requestsPerMinute: limits.providerRequestsPerMinute, burst: limits.providerBurst || limits.burst })
+                    : null
+            });
+        }
+        return this.lanes.get(provider);
+    }
+
+    getKeyBucket(provider, keyId, limits) {
+        const bucketId = `${provider}:${keyId}`;
+        if (!this.keyBuckets.has(bucketId)) {
+            this.keyBuckets.set(bucketId, new TokenBucket(limits));
+        }
+        return this.keyBuckets.get(bucketId);
+    }
+
+    /**
+     * Queue a provider call
+     * @param {string} provider - Provider name
+     * @param {string|null} apiKey - Account key the call is made with (hashed, never stored)
+     * @param {Function} task - Performs exactly one HTTP request
+     * @param {Object} options - { limits, priority, signal }; a call still queued when signal aborts
+     *   is dropped and rejected with the abort reason
+     */
+    schedule(provider, apiKey, task, { limits, priority = getCurrentPriority(), signal = abortContext.getStore() } = {}) {
+        if (!limits?.requestsPerMinute) {
+            return task();
+        }
+        if (signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+
+        const keyId = RateLimiter.hashKey(apiKey);
+        const lane = this.getLane(provider, limits);
+        const keyBucket = this.getKeyBucket(provider, keyId, limits);
+        const pausedFor = keyBucket.pausedUntil - Date.now();
+
+        if (pausedFor > MAX_QUEUE_WAIT_MS) {
+            return Promise.reject(new RateLimitError(
+                `${provider} rate limit active for another ${Math.ceil(pausedFor / 1000)}s`, provider, pausedFor));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { task, priority, sequence: this.sequence++, keyId, keyBucket, resolve, reject, signal };
+
+            if (signal) {
+                job.onAbort = () => {
+                    const index = lane.queue.indexOf(job);
+                    if (index !== -1) {
+                        lane.queue.splice(index, 1);
+                        reject(signal.reason);
+                    }
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            lane.queue.push(job);
+            lane.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+            this.pump(lane);
+        });
+    }
+
+    /**
+     * Start every queued call whose buckets have a token, highest priority first;
+     * otherwise wake up when the earliest token becomes available
+     */
+    pump(lane) {
+        if (lane.timer) {
+            clearTimeout(lane.timer);
+            lane.timer = null;
+        }
+
+        let nextWait = Infinity;
+        let index = 0;
+        const blockedKeys = new Set();
+
+        while (index < lane.queue.length) {
+            const now = Date.now();
+            const providerWait = lane.providerBucket?.waitTime(now) || 0;
+            if (providerWait > 0) {
+                nextWait = Math.min(nextWait, providerWait);
+                break;
+            }
+
+            const job = lane.queue[index];
+            if (blockedKeys.has(job.keyId)) {
+                index++;
+                continue;
+            }
+
+            const keyWait = job.keyBucket.waitTime(now);
+            if (keyWait > 0) {
+                // Other accounts may still have tokens; later calls of this key keep their order
+                nextWait = Math.min(nextWait, keyWait);
+                blockedKeys.add(job.keyId);
+                index++;
+                continue;
+            }
+
+            lane.queue.splice(index, 1);
+            job.keyBucket.take();
+            lane.providerBucket?.take();
+            this.run(lane, job);
+        }
+
+        if (lane.queue.length > 0 && Number.isFinite(nextWait)) {
+            lane.timer = setTimeout(() => {
+                lane.timer = null;
+                this.pump(lane);
+            }, nextWait);
+        }
+    }
+
+    run(lane, job) {
+        job.signal?.removeEventListener('abort', job.onAbort);
+
+        Promise.resolve()
+            .then(job.task)
+            .then(result => {
+                this.observe(lane.provider, job.keyBucket, result);
+                job.resolve(result);
+            }, error => {
+                this.observe(lane.provider, job.keyBucket, error, true);
+                job.reject(error);
+            });
+    }
+
+    /**
+     * Pause the account's bucket when a response (or error) carries rate-limit information.
+     * Provider buckets only meter: a 429 cannot tell a server-wide limit from the account's own.
+     */
+    observe(provider, keyBucket, errorOrResponse, isError = false) {
+        const status = extractStatus(errorOrResponse);
+        const isRateLimited = status === 429 || (isError && status === 503);
+        let pauseMs = getRetryAfterMs(extractHeaders(errorOrResponse));
+
+        if (pauseMs === null && isRateLimited) {
+            pauseMs = DEFAULT_RATE_LIMITED_PAUSE_MS;
+        }
+        if (pauseMs === null || pauseMs <= 0) {
+            return;
+        }
+
+        keyBucket.pause(Date.now() + pauseMs);
+        logger.warn(`[rate-limiter] ${provider} ${isRateLimited ? `rate limited (HTTP ${status})` : 'limit exhausted'}, pausing for ${Math.ceil(pauseMs / 1000)}s`);
+
+        const lane = this.lanes.get(provider);
+        if (lane) this.pump(lane);
+    }
+
+    /**
+     * Record rate-limit headers seen outside of schedule() (e.g. a provider's own HTTP helper)
+     */
+    noteHeaders(provider, apiKey, limits, errorOrResponse) {
+        if (!limits?.requestsPerMinute) return;
+        const keyBucket = this.getKeyBucket(provider, RateLimiter.hashKey(apiKey), limits);
+        this.observe(provider, keyBucket, errorOrResponse, extractStatus(errorOrResponse) >= 400);
+    }
+
+    /**
+     * Remaining pause for an account, used to wait out Retry-After before a retry
+     */
+    getPauseRemaining(provider, apiKey) {
+        const bucket = this.keyBuckets.get(`${provider}:${RateLimiter.hashKey(apiKey)}`);
+        return bucket ? Math.max(0, bucket.pausedUntil - Date.now()) : 0;
+    }
+
+    sweepIdleBuckets() {
+        const now = Date.now();
+        for (const [bucketId, bucket] of this.keyBuckets) {
+            if (bucket.isIdle(now)) {
+                const provider = bucketId.split(':')[0];
+                const inUse = this.lanes.get(provider)?.queue.some(job => job.keyBucket === bucket);
+                if (!inUse) this.keyBuckets.delete(bucketId);
+            }
+        }
+    }
+}
+
+export const rateLimiter = new RateLimiter();
@@ -0,0 +1,87 @@
+/**
+ * Resolved Link Cache
+ * Remembers the playable URL a /resolve request produced, so seeking, resuming or re-opening a
+ * stream does not unrestrict the same file again. Entries live as long as the provider says its
+ * links do (descriptor `linkTtlSeconds`) and are probed with a one-byte ranged GET before reuse;
+ * a dead link is dropped and the file resolved afresh.
+ */
+
+import crypto from 'crypto';
+import { UnifiedCacheManager } from './cache-manager.js';
+import { configManager } from '../config/configuration.js';
+import { logger } from './logger.js';
+
+let linkCache = null;
+const pendingResolves = new Map();
+
+function getLinkCache(maxEntries) {
+    if (!linkCache) {
+        linkCache = new UnifiedCacheManager({ maxSize: maxEntries, cleanupInterval: 600 });
+    }
+    return linkCache;
+}
+
+/**
+ * Entries are keyed by provider, account and file; API keys and host links are hashed.
+ * boundTo adds the address a link was unrestricted for, when the provider ties links to it.
+ */
+export function buildResolvedLinkKey(provider, apiKey, itemId, hostUrl, boundTo = null) {
+    const account = crypto.createHash('sha256').update(String(apiKey)).digest('hex').substring(0, 16);
+    const file = crypto.createHash('sha256').update(`${itemId}\n${hostUrl}${boundTo ? `\n${boundTo}` : ''}`).digest('hex').substring(0, 32);
+    return `${provider}:${account}:${file}`;
+}
+
+/**
+ * Whether a link still serves content; only the first byte is requested and the body is discarded
+ */
+export async function isLinkAlive(url, timeoutMs) {
+    try {
+        const response = await fetch(url, {
+            headers: { Range: 'bytes=0-0' },
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        response.body?.cancel().catch(() => {});
+        return response.ok;
+    } catch (error) {
+        logger.debug(`[resolved-link-cache] Link check failed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Resolve a file through the cache. Concurrent requests for the same file share one resolve.
+ * @param {Object} file - { provider, apiKey, itemId, hostUrl, ttlSeconds, boundTo }; no ttlSeconds disables caching
+ * @param {Function} resolve - Produces a fresh playable URL
+ * @returns {Promise<string|null>}
+ */
+export async function resolveWithCache({ provider, apiKey, itemId, hostUrl, ttlSeconds, boundTo = null }, resolve) {
+    const config = configManager.getResolvedLinkCacheConfig();
+    if (!config.enabled || !ttlSeconds) {
+        return resolve();
+    }
+
+    const key = buildResolvedLinkKey(provider, apiKey, itemId, hostUrl, boundTo);
+    const cache = getLinkCache(config.maxEntries);
+    const cachedUrl = cache.get(key);
+
+    if (cachedUrl) {
+        if (await isLinkAlive(cachedUrl, config.validateTimeoutMs)) {
+            logger.debug(`[resolved-link-cache] Reusing ${provider} link`);
+            return cachedUrl;
+        }
+        logger.debug(`[resolved-link-cache] Cached ${provider} link expired, resolving again`);
+        cache.delete(key);
+    }
+
+    if (!pendingResolves.has(key)) {
+        const pending = Promise.resolve()
+            .then(resolve)
+            .then(url => {
+                if (url) cache.set(key, url, ttlSeconds);
+                return url;
+            })
+            .finally(() => pendingResolves.delete(key));
+        pendingResolves.set(key, pending);
+    }
+    return pendingResolves.get(key);
+}
@@ -0,0 +1,95 @@
+/**
+ * Stream Proxy
+ * Relays an unrestricted file through the addon for links the player cannot open itself
+ * (IP-locked or header-restricted). The player's Range header is forwarded as-is, so seeking works
+ * without the addon knowing the file size; concurrent streams are capped overall and per configuration.
+ */
+
+import crypto from 'crypto';
+import { pipeline, Readable } from 'stream';
+import { logger } from './logger.js';
+
+// Upstream headers the player needs to seek and identify the file
+const FORWARDED_HEADERS = ['content-type', 'content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag', 'content-disposition'];
+
+const activeStreams = new Map();
+let totalActiveStreams = 0;
+
+/**
+ * Reserve a stream slot for a configuration
+ * @param {Object} limits - { maxStreams, maxStreamsPerConfig }
+ * @returns {Function|null} Releases the slot (safe to call more than once), or null when a limit is reached
+ */
+export function acquireStreamSlot(configuration, { maxStreams, maxStreamsPerConfig }) {
+    const key = crypto.createHash('sha256').update(String(configuration)).digest('hex').substring(0, 16);
+    const configStreams = activeStreams.get(key) || 0;
+
+    if (totalActiveStreams >= maxStreams || configStreams >= maxStreamsPerConfig) {
+        return null;
+    }
+
+    activeStreams.set(key, configStreams + 1);
+    totalActiveStreams++;
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        totalActiveStreams--;
+        const remaining = activeStreams.get(key) - 1;
+        if (remaining > 0) {
+            activeStreams.set(key, remaining);
+        } else {
+            activeStreams.delete(key);
+        }
+    };
+}
+
+/**
+ * Pipe a remote file to the response, forwarding Range and answering HEAD without a body
+ * @param {number} connectTimeoutMs - Time allowed until the upstream answers with headers
+ * @returns {Promise<boolean>} false when the upstream refused the request (nothing has been sent yet)
+ */
+export async function proxyStream(req, res, url, connectTimeoutMs) {
+    const controller = new AbortController();
+    const onClose = () => controller.abort();
+    res.on('close', onClose);
+
+    const connectTimer = setTimeout(() => controller.abort(), connectTimeoutMs);
+    let upstream;
+    try {
+        upstream = await fetch(url, {
+            method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+            headers: req.headers.range ? { Range: req.headers.range } : {},
+            signal: controller.signal
+        });
+    } finally {
+        clearTimeout(connectTimer);
+    }
+
+    if (!upstream.ok && upstream.status !== 416) {
+        logger.warn(`[stream-proxy] Upstream answered HTTP ${upstream.status}`);
+        upstream.body?.cancel().catch(() => {});
+        res.off('close', onClose);
+        return false;
+    }
+
+    res.statusCode = upstream.status;
+    for (const header of FORWARDED_HEADERS) {
+        const value = upstream.headers.get(header);
+        if (value) res.setHeader(header, value);
+    }
+
+    if (req.method === 'HEAD' || !upstream.body) {
+        res.end();
+        return true;
+    }
+
+    pipeline(Readable.fromWeb(upstream.body), res, (error) => {
+        // Players abort ranged requests while seeking; only log real transfer failures
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE' && error.name !== 'AbortError') {
+            logger.warn(`[stream-proxy] Streaming failed: ${error.message}`);
+        }
+    });
+    return true;
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getDebridAccounts,
+    validateConfig,
+    encryptConfig,
+    parseConfiguration,
+    MAX_DEBRID_ACCOUNTS
+} from '../src/config/configuration.js';
+
+const account = (provider, apiKey, extra = {}) => ({ DebridProvider: provider, DebridApiKey: apiKey, ...extra });
+
+test('getDebridAccounts lists every account of a multi-account configuration', () => {
+    const accounts = getDebridAccounts({
+        DebridAccounts: [account('RealDebrid', 'rd-key-12345'), account('TorBox', 'tb-key-12345', { Label: ' Family ' })]
+    });
+
+    assert.deepEqual(accounts, [
+        { provider: 'RealDebrid', apiKey: 'rd-key-12345', label: 'RealDebrid', includeDownloads: true },
+        { provider: 'TorBox', apiKey: 'tb-key-12345', label: 'Family', includeDownloads: true }
+    ]);
+});
+
+test('getDebridAccounts returns a legacy single-account configuration as one account', () => {
+    const accounts = getDebridAccounts({ DebridProvider: 'AllDebrid', DebridApiKey: 'ad-key-12345', IncludeDownloads: false });
+
+    assert.deepEqual(accounts, [
+        { provider: 'AllDebrid', apiKey: 'ad-key-12345', label: 'AllDebrid', includeDownloads: false }
+    ]);
+});
+
+test('getDebridAccounts numbers default labels of the same provider', () => {
+    const labels = getDebridAccounts({
+        DebridAccounts: [account('RealDebrid', 'rd-key-11111'), account('RealDebrid', 'rd-key-22222'), account('TorBox', 'tb-key-12345')]
+    }).map(entry => entry.label);
+
+    assert.deepEqual(labels, ['RealDebrid #1', 'RealDebrid #2', 'TorBox']);
+});
+
+test('getDebridAccounts skips incomplete accounts and truncates labels', () => {
+    const accounts = getDebridAccounts({
+        DebridAccounts: [account('RealDebrid', ''), null, account('TorBox', 'tb-key-12345', { Label: 'x'.repeat(50) })]
+    });
+
+    assert.equal(accounts.length, 1);
+    assert.equal(accounts[0].label.length, 32);
+});
+
+test('getDebridAccounts returns no account for missing or empty configurations', () => {
+    assert.deepEqual(getDebridAccounts(null), []);
+    assert.deepEqual(getDebridAccounts('RealDebrid'), []);
+    assert.deepEqual(getDebridAccounts({}), []);
+});
+
+test('validateConfig accepts well-formed configurations', () => {
+    assert.equal(validateConfig({ DebridProvider: 'RealDebrid', DebridApiKey: 'rd-key-12345' }), true);
+    assert.equal(validateConfig({ DebridAccounts: [account('RealDebrid', 'rd-key-12345'), account('TorBox', 'tb-key-12345')] }), true);
+});
+
+test('validateConfig rejects short keys, malformed accounts and too many accounts', () => {
+    assert.equal(validateConfig({ DebridProvider: 'RealDebrid', DebridApiKey: 'short' }), false);
+    assert.equal(validateConfig({ DebridAccounts: [account('RealDebrid', 'rd-key-12345'), account(42, 'tb-key-12345')] }), false);
+    assert.equal(validateConfig({ DebridAccounts: [account('RealDebrid', 'rd-key-12345'), null] }), false);
+
+    const tooMany = Array.from({ length: MAX_DEBRID_ACCOUNTS + 1 }, (_, index) => account('RealDebrid', `rd-key-${index}0000`));
+    assert.equal(validateConfig({ DebridAccounts: tooMany }), false);
+});
+
+test('validateConfig rejects configurations without an account', () => {
+    assert.equal(validateConfig(null), false);
+    assert.equal(validateConfig({ ShowCatalog: true }), false);
+});
+
+test('parseConfiguration decrypts what encryptConfig produced', () => {
+    const config = { DebridAccounts: [account('RealDebrid', 'rd-key-12345')], ShowCatalog: false };
+
+    assert.deepEqual(parseConfiguration(encryptConfig(config)), config);
+});
+
+test('parseConfiguration rejects encrypted configurations that fail validation', () => {
+    const configuration = encryptConfig({ DebridProvider: 'RealDebrid', DebridApiKey: 'short' });
+
+    assert.deepEqual(getDebridAccounts(parseConfiguration(configuration)), []);
+});
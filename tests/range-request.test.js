@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRangeHeader, getVideoContentType } from '../src/utils/range-request.js';
+
+const SIZE = 1000;
+
+test('parseRangeHeader returns null without a Range header', () => {
+    assert.equal(parseRangeHeader(undefined, SIZE), null);
+    assert.equal(parseRangeHeader('', SIZE), null);
+});
+
+test('parseRangeHeader reads explicit and open-ended ranges', () => {
+    assert.deepEqual(parseRangeHeader('bytes=0-99', SIZE), { start: 0, end: 99 });
+    assert.deepEqual(parseRangeHeader('bytes=500-', SIZE), { start: 500, end: 999 });
+    assert.deepEqual(parseRangeHeader(' bytes=10-10 ', SIZE), { start: 10, end: 10 });
+});
+
+test('parseRangeHeader clamps the end to the file size', () => {
+    assert.deepEqual(parseRangeHeader('bytes=900-5000', SIZE), { start: 900, end: 999 });
+});
+
+test('parseRangeHeader reads suffix ranges', () => {
+    assert.deepEqual(parseRangeHeader('bytes=-100', SIZE), { start: 900, end: 999 });
+    assert.deepEqual(parseRangeHeader('bytes=-5000', SIZE), { start: 0, end: 999 });
+});
+
+test('parseRangeHeader rejects unsatisfiable and malformed ranges', () => {
+    assert.equal(parseRangeHeader('bytes=1000-', SIZE), false);
+    assert.equal(parseRangeHeader('bytes=200-100', SIZE), false);
+    assert.equal(parseRangeHeader('bytes=-', SIZE), false);
+    assert.equal(parseRangeHeader('bytes=0-10,20-30', SIZE), false);
+    assert.equal(parseRangeHeader('items=0-10', SIZE), false);
+    assert.equal(parseRangeHeader('bytes=-0', SIZE), false);
+});
+
+test('getVideoContentType maps video extensions', () => {
+    assert.equal(getVideoContentType('Movie.2020.MKV'), 'video/x-matroska');
+    assert.equal(getVideoContentType('clip.mp4'), 'video/mp4');
+    assert.equal(getVideoContentType('notes.txt'), 'application/octet-stream');
+    assert.equal(getVideoContentType(undefined), 'application/octet-stream');
+});
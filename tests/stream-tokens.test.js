@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiKeySecurityManager, runWithStreamLinkContext } from '../src/providers/BaseProvider.js';
+import { encryptConfig } from '../src/config/configuration.js';
+
+const RD_KEY = 'rd-key-12345';
+const TB_KEY = 'tb-key-12345';
+const config = {
+    DebridAccounts: [
+        { DebridProvider: 'RealDebrid', DebridApiKey: RD_KEY },
+        { DebridProvider: 'TorBox', DebridApiKey: TB_KEY }
+    ]
+};
+const configuration = encryptConfig(config);
+
+const issue = (provider, apiKey, linkConfiguration = configuration, linkConfig = config) =>
+    runWithStreamLinkContext(linkConfiguration, linkConfig, () => ApiKeySecurityManager.generateSecureToken(provider, apiKey));
+
+// Changes one ciphertext character (the last one may only hold padding bits)
+function tamper(token) {
+    const index = token.length - 8;
+    return token.slice(0, index) + (token[index] === 'A' ? 'B' : 'A') + token.slice(index + 1);
+}
+
+afterEach(() => {
+    delete process.env.RESOLVE_TOKEN_DEPLOYED_AT;
+    delete process.env.RESOLVE_LEGACY_TOKEN_GRACE_HOURS;
+});
+
+test('a stream token resolves to the API key of the referenced account', () => {
+    const token = issue('TorBox', TB_KEY);
+
+    assert.match(token, /^st2\./);
+    assert.ok(!token.includes(TB_KEY));
+    assert.equal(ApiKeySecurityManager.isSecureToken(token), true);
+    assert.equal(ApiKeySecurityManager.resolveSecureToken('TorBox', token, configuration), TB_KEY);
+});
+
+test('no token is issued outside a stream link context or for an unknown account', () => {
+    assert.equal(ApiKeySecurityManager.generateSecureToken('RealDebrid', RD_KEY), null);
+    assert.equal(issue('RealDebrid', 'another-key-123'), null);
+});
+
+test('a token expires after RESOLVE_TOKEN_TTL_HOURS', (t) => {
+    const token = issue('RealDebrid', RD_KEY);
+    const now = Date.now();
+
+    t.mock.method(Date, 'now', () => now + 167 * 60 * 60 * 1000);
+    assert.equal(ApiKeySecurityManager.resolveSecureToken('RealDebrid', token, configuration), RD_KEY);
+
+    Date.now.mock.mockImplementation(() => now + 169 * 60 * 60 * 1000);
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('RealDebrid', token, configuration),
+        { name: 'BadTokenError', message: 'Stream link has expired, reload the stream list' });
+});
+
+test('tampered tokens and tokens used for another provider or configuration are rejected', () => {
+    const token = issue('RealDebrid', RD_KEY);
+    const otherConfiguration = encryptConfig(config);
+    const invalid = { name: 'BadTokenError', message: 'Invalid security token' };
+
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('RealDebrid', tamper(token), configuration), invalid);
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('TorBox', token, configuration), invalid);
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('RealDebrid', token, otherConfiguration), invalid);
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('RealDebrid', token, undefined), invalid);
+});
+
+test('a token of an account that left the configuration is reported as expired', () => {
+    const shrunkConfig = { DebridAccounts: [config.DebridAccounts[1]] };
+    const token = issue('TorBox', TB_KEY, configuration, shrunkConfig);
+
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('TorBox', token, configuration),
+        { name: 'BadTokenError', message: 'Stream link has expired, reload the stream list' });
+});
+
+test('MD5 lookup tokens of older releases are rejected as an expired link format', () => {
+    assert.equal(ApiKeySecurityManager.isSecureToken('0123456789abcdef'), true);
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('RealDebrid', '0123456789abcdef', configuration),
+        { name: 'BadTokenError', message: 'Stream link format has expired, reload the stream list' });
+});
+
+test('raw API keys resolve only inside the migration window', (t) => {
+    const expiredFormat = { name: 'BadTokenError', message: 'Stream link format has expired, reload the stream list' };
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('RealDebrid', RD_KEY, configuration), expiredFormat);
+
+    const deployedAt = Date.now();
+    process.env.RESOLVE_TOKEN_DEPLOYED_AT = new Date(deployedAt).toISOString();
+    process.env.RESOLVE_LEGACY_TOKEN_GRACE_HOURS = '2';
+    assert.equal(ApiKeySecurityManager.resolveSecureToken('RealDebrid', RD_KEY, configuration), RD_KEY);
+
+    t.mock.method(Date, 'now', () => deployedAt + 3 * 60 * 60 * 1000);
+    assert.throws(() => ApiKeySecurityManager.resolveSecureToken('RealDebrid', RD_KEY, configuration), expiredFormat);
+});
+
+test('a proxy token carries the file next to the account reference', () => {
+    const token = runWithStreamLinkContext(configuration, config,
+        () => ApiKeySecurityManager.generateProxyToken('RealDebrid', RD_KEY, 'item-1', 'https://host.example/file'));
+
+    assert.deepEqual(ApiKeySecurityManager.resolveProxyToken(token, configuration), {
+        provider: 'RealDebrid',
+        apiKey: RD_KEY,
+        itemId: 'item-1',
+        hostUrl: 'https://host.example/file'
+    });
+    assert.throws(() => ApiKeySecurityManager.resolveProxyToken(issue('RealDebrid', RD_KEY), configuration),
+        { name: 'BadTokenError' });
+});